@@ -199,7 +199,9 @@ async function getPlaceDetails(apiKey, placeId) {
         email: result.emailAddress || null,
         opening_hours: result.regularOpeningHours ? {
             open_now: result.regularOpeningHours.openNow || false,
-            weekday_text: result.regularOpeningHours.weekdayDescriptions || []
+            weekday_text: result.regularOpeningHours.weekdayDescriptions || [],
+            periods: result.regularOpeningHours.periods || [],
+            special_days: result.regularOpeningHours.specialDays || []
         } : null,
         formatted_address: result.formattedAddress || null
     };
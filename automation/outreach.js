@@ -19,9 +19,15 @@ export function generateOutreachMessage(businessName, siteUrl, options = {}) {
     const {
         type = 'email', // 'email' or 'social'
         tone = 'professional', // 'professional', 'friendly', 'casual'
-        includePricing = true
+        includePricing = true,
+        problems = [] // audit findings on the business's current site, worst first
     } = options;
 
+    // Concrete problems make the pitch about their site rather than ours
+    const noticed = problems.length > 0
+        ? `\n\nA few things I noticed on your current site:\n${problems.slice(0, 3).map(problem => `- ${problem}`).join('\n')}`
+        : '';
+
     const messages = {
         email: {
             professional: {
@@ -30,7 +36,7 @@ export function generateOutreachMessage(businessName, siteUrl, options = {}) {
 
 I noticed ${businessName} could benefit from a modern, mobile-friendly website. I've created a sample website for you to review:
 
-${siteUrl}
+${siteUrl}${noticed}
 
 This is a completely free, no-obligation preview. The site is:
 - Mobile-first and fast-loading
@@ -49,7 +55,7 @@ Best regards`
 
 I'm a local web developer, and I thought ${businessName} deserved a better website. So I built you one for free to check out:
 
-${siteUrl}
+${siteUrl}${noticed}
 
 Take a look when you get a chance - it's mobile-friendly, loads fast, and looks modern. If you like it, we can make it live on your domain. I charge a small monthly fee (much less than you'd think) that covers hosting and any updates you need.
 
@@ -64,7 +70,7 @@ Thanks,
 
 I built ${businessName} a quick website preview - check it out:
 
-${siteUrl}
+${siteUrl}${noticed}
 
 It's mobile-friendly and looks pretty good if I do say so myself! 😊
 
@@ -98,12 +104,12 @@ export async function generateOutreachCSV(results, outputFile) {
     const csvRows = [];
     
     // Header
-    csvRows.push('Business Name,Website URL,Email,Phone,Address,Outreach Email Subject,Outreach Email Body,Social Media Message');
+    csvRows.push('Business Name,Website URL,Email,Phone,Address,Contact Form,Needs New Website Score,Site Problems,Current Site Screenshot,Preview Screenshot,Outreach Email Subject,Outreach Email Body,Social Media Message');
 
     for (const result of results) {
         if (result.status !== 'success') continue;
 
-        const emailMsg = generateOutreachMessage(result.business, result.url, { type: 'email', tone: 'friendly' });
+        const emailMsg = generateOutreachMessage(result.business, result.url, { type: 'email', tone: 'friendly', problems: result.siteProblems });
         const socialMsg = generateOutreachMessage(result.business, result.url, { type: 'social', tone: 'friendly' });
 
         // Escape quotes and newlines for CSV
@@ -116,8 +122,13 @@ export async function generateOutreachCSV(results, outputFile) {
             escapeCSV(result.business),
             result.url,
             result.email || '',
-            result.phone || '',
-            result.address || '',
+            escapeCSV(result.phone),
+            escapeCSV(result.address),
+            result.contactFormUrl || '',
+            result.auditScore ?? '',
+            escapeCSV((result.siteProblems || []).join('; ')),
+            escapeCSV(result.screenshots?.original?.desktop),
+            escapeCSV(result.screenshots?.preview?.desktop),
             escapeCSV(emailMsg.subject),
             escapeCSV(emailMsg.body),
             escapeCSV(socialMsg.message)
@@ -136,6 +147,25 @@ export async function generateOutreachCSV(results, outputFile) {
     return outputFile;
 }
 
+/**
+ * Before/after screenshot section of an outreach file: the business's current site next to our
+ * preview, per viewport, for attaching to the message
+ */
+function screenshotSection(screenshots) {
+    const lines = ['desktop', 'mobile']
+        .filter(viewport => screenshots?.original?.[viewport] || screenshots?.preview?.[viewport])
+        .map(viewport => `${viewport[0].toUpperCase()}${viewport.slice(1)}:\n  Before: ${screenshots.original?.[viewport] || '(no current site)'}\n  After:  ${screenshots.preview?.[viewport] || '(not taken)'}`);
+    if (lines.length === 0) return '';
+
+    return `═══════════════════════════════════════════
+SCREENSHOTS TO ATTACH
+═══════════════════════════════════════════
+
+${lines.join('\n')}
+
+`;
+}
+
 /**
  * Generate individual outreach files for each business
  */
@@ -150,15 +180,19 @@ export async function generateIndividualOutreachFiles(results, outputDir) {
     for (const result of results) {
         if (result.status !== 'success') continue;
 
-        const emailMsg = generateOutreachMessage(result.business, result.url, { type: 'email', tone: 'friendly' });
+        const emailMsg = generateOutreachMessage(result.business, result.url, { type: 'email', tone: 'friendly', problems: result.siteProblems });
         const socialMsg = generateOutreachMessage(result.business, result.url, { type: 'social', tone: 'friendly' });
 
         const filename = result.slug || result.business.toLowerCase().replace(/[^a-z0-9]+/g, '-');
         const filepath = path.join(outputDir, `${filename}-outreach.txt`);
 
+        const sendTo = result.email ? `Send to: ${result.email}\n`
+            : result.contactFormUrl ? `Send via contact form: ${result.contactFormUrl}\n`
+            : '';
+
         const content = `OUTREACH FOR: ${result.business}
 Website URL: ${result.url}
-
+${result.auditScore !== null && result.auditScore !== undefined ? `Needs a new website: ${result.auditScore}/100\n` : ''}${sendTo}
 ═══════════════════════════════════════════
 EMAIL TEMPLATE
 ═══════════════════════════════════════════
@@ -173,7 +207,7 @@ SOCIAL MEDIA TEMPLATE
 
 ${socialMsg.message}
 
-`;
+${screenshotSection(result.screenshots)}`;
 
         await fs.writeFile(filepath, content);
         files.push(filepath);
@@ -6,7 +6,13 @@
 
 import { findLocalBusinesses } from './google-places.js';
 import { scrapeWebsite } from '../scraper/analyzer.js';
+import { createCrawlService } from '../scraper/crawl-service.js';
 import { generateWebsite } from '../generator/index.js';
+import { screenshotSite } from '../scripts/screenshot-site.js';
+import { buildSitesPage } from '../scripts/build-index.js';
+import { scheduleFromPlaces } from '../scraper/hours.js';
+import { recordProvenance } from '../scraper/provenance.js';
+import { normalizeContact, parsePhone, parseAddress } from '../scraper/contact.js';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -38,6 +44,15 @@ async function createBusinessDataFromPlaces(business) {
         description: `Quality ${type.replace(/_/g, ' ')} services`
     })) || [];
 
+    // Places fields are verified listing data; services are only guessed from the place types
+    const provenance = {};
+    const fromPlaces = { confidence: 0.9, strategy: 'google-places' };
+    recordProvenance(provenance, 'businessName', { ...fromPlaces, snippet: business.name });
+    if (business.phone) recordProvenance(provenance, 'contact.phone', { ...fromPlaces, snippet: business.phone });
+    if (business.address) recordProvenance(provenance, 'contact.address', { ...fromPlaces, snippet: business.address });
+    if (business.hours) recordProvenance(provenance, 'hoursSchedule', fromPlaces);
+    if (services.length > 0) recordProvenance(provenance, 'services', { confidence: 0.4, strategy: 'google-places-types', snippet: business.types.join(' ') });
+
     return {
         sourceUrl: null,
         businessName: business.name,
@@ -51,16 +66,20 @@ async function createBusinessDataFromPlaces(business) {
             textColor: '333333',
             bgColor: 'FFFFFF'
         },
-        contact: {
+        contact: normalizeContact({
             phone: business.phone || null,
             email: business.email || null,
             address: business.address || null
-        },
+        }),
         socialLinks: [],
         logoUrl: null,
         logoPath: null,
         services: services,
         hours: business.hours ? (business.hours.weekday_text || []).join('\n') : null,
+        hoursSchedule: scheduleFromPlaces(business.hours),
+        // A business with no website at all needs one most
+        audit: business.website ? null : { score: 100, issues: ['There is no website, so people searching only find the Google listing'] },
+        provenance: provenance,
         aboutText: `${business.name} is a local ${businessType.replace(/_/g, ' ')} committed to serving ${business.address ? 'the ' + business.address.split(',')[0] + ' community' : 'our community'} with quality products and exceptional service.${business.rating ? ` Rated ${business.rating} stars by our customers.` : ''}`
     };
 }
@@ -101,7 +120,10 @@ export async function runAutomatedPipeline(options) {
         keyword = '',
         maxBusinesses = 10,
         skipExisting = true,
-        autoGenerate = true
+        autoGenerate = true,
+        screenshotPreviews = true,
+        minAuditScore = 0,
+        concurrency = 3
     } = options;
 
     console.log(chalk.cyan('\n╔══════════════════════════════════════╗'));
@@ -135,11 +157,29 @@ export async function runAutomatedPipeline(options) {
             return [];
         }
 
-        // Step 2: Process each business
-        const results = [];
-        
-        for (let i = 0; i < businesses.length; i++) {
-            const business = businesses[i];
+        // Step 2: Process each business, a few at a time. One browser pool serves every scrape;
+        // it keeps each site to its robots.txt, crawl delay and one request at a time.
+        const crawler = createCrawlService({ pagesPerBrowser: Math.max(1, concurrency) });
+        const results = new Array(businesses.length);
+        // Generation rewrites the shared sites.html (reading every customer.json), so sites are
+        // generated and screenshotted one at a time
+        let generating = Promise.resolve();
+
+        // Screenshot a generated site; returns the before/after screenshot paths (relative to the
+        // project root) from its customer record, or null when the screenshots couldn't be taken
+        const screenshotsFor = async slug => {
+            try {
+                await screenshotSite(slug, { crawler });
+            } catch (e) {
+                console.log(chalk.yellow(`⚠ Could not screenshot ${slug}: ${e.message}`));
+                return null;
+            }
+            const customer = await fs.readJson(path.join(__dirname, '..', 'websites', 'sites', slug, 'customer.json'));
+            const inProject = files => (files ? Object.fromEntries(Object.entries(files).map(([viewport, file]) => [viewport, path.posix.join('websites', 'sites', slug, file)])) : null);
+            return { original: inProject(customer.screenshots?.original), preview: inProject(customer.screenshots?.preview) };
+        };
+
+        const processBusiness = async (business, i) => {
             console.log(chalk.cyan(`\n${'═'.repeat(50)}`));
             console.log(chalk.cyan(`Processing ${i + 1}/${businesses.length}: ${business.name}`));
             console.log(chalk.cyan(`${'═'.repeat(50)}\n`));
@@ -151,83 +191,141 @@ export async function runAutomatedPipeline(options) {
                 
                 if (skipExisting && await fs.pathExists(customerDir)) {
                     console.log(chalk.yellow(`⏭ Skipping ${business.name} (already exists)\n`));
-                    results.push({
+                    return {
                         business: business.name,
                         status: 'skipped',
                         url: `https://${slug}.websites.losey.co`
-                    });
-                    continue;
+                    };
                 }
 
                 let scrapedData;
+                // A site whose robots.txt shuts us out is treated like one without a website
+                const scrapable = business.website && await crawler.allowed(business.website);
+                if (business.website && !scrapable) {
+                    console.log(chalk.yellow(`⚠ robots.txt disallows ${business.website}; using Google Places data`));
+                }
 
-                if (business.website) {
+                if (scrapable) {
                     // Step 2a: Scrape website if available
                     console.log(chalk.gray(`Scraping: ${business.website}`));
-                    scrapedData = await scrapeWebsite(business.website);
+                    scrapedData = await scrapeWebsite(business.website, { crawler });
 
                     // Merge Google Places data with scraped data
                     scrapedData.contact = scrapedData.contact || {};
+                    scrapedData.provenance = scrapedData.provenance || {};
+                    const placesPhone = parsePhone(business.phone);
                     if (business.phone && !scrapedData.contact.phone) {
-                        scrapedData.contact.phone = business.phone;
+                        scrapedData.contact.phone = placesPhone ? placesPhone.display : business.phone;
+                        if (placesPhone) {
+                            scrapedData.contact.phones = [{ role: 'main', ...placesPhone }, ...(scrapedData.contact.phones || [])];
+                        }
+                        recordProvenance(scrapedData.provenance, 'contact.phone', { confidence: 0.9, strategy: 'google-places', snippet: business.phone });
                     }
                     if (business.address && !scrapedData.contact.address) {
-                        scrapedData.contact.address = business.address;
+                        scrapedData.contact.addressParts = parseAddress(business.address);
+                        scrapedData.contact.address = scrapedData.contact.addressParts?.formatted || business.address;
+                        recordProvenance(scrapedData.provenance, 'contact.address', { confidence: 0.9, strategy: 'google-places', snippet: business.address });
+                    }
+                    if (business.hours && !scrapedData.hoursSchedule) {
+                        scrapedData.hoursSchedule = scheduleFromPlaces(business.hours);
+                        scrapedData.hours = scrapedData.hours || (business.hours.weekday_text || []).join('\n') || null;
+                        recordProvenance(scrapedData.provenance, 'hoursSchedule', { confidence: 0.9, strategy: 'google-places' });
                     }
                 } else {
                     // Step 2a: Generate from Google Places data only
                     console.log(chalk.gray(`Generating from Google Places data (no website to scrape)`));
                     scrapedData = await createBusinessDataFromPlaces(business);
                     
-                    // Ensure slug matches
-                    scrapedData.businessSlug = slug;
-                    
-                    // Save data to JSON file (like scraper does)
-                    const dataDir = path.join(__dirname, '..', '.scraped-data');
-                    await fs.ensureDir(dataDir);
-                    const dataFile = path.join(dataDir, `${slug}.json`);
-                    await fs.writeJson(dataFile, scrapedData, { spaces: 2 });
-                    console.log(chalk.gray(`Saved data to: ${dataFile}`));
                 }
 
-                // Ensure slug matches for scraped data too
-                if (business.website) {
-                    scrapedData.businessSlug = slug;
+                // A current site that's already in good shape isn't worth pitching
+                if (scrapedData.audit && scrapedData.audit.score < minAuditScore) {
+                    console.log(chalk.yellow(`⏭ Skipping ${business.name} (current site scores ${scrapedData.audit.score}/100, below ${minAuditScore})\n`));
+                    return {
+                        business: business.name,
+                        status: 'skipped',
+                        reason: 'current site is in good shape',
+                        auditScore: scrapedData.audit.score,
+                        siteProblems: scrapedData.audit.issues
+                    };
                 }
 
-                // Step 2b: Generate website
+                // Ensure slug matches
+                scrapedData.businessSlug = slug;
+                // The generator picks the site's theme from these (see generator/themes.js)
+                scrapedData.placeTypes = business.types || [];
+
+                // Save data to JSON file (the generator reads it from here, so this also
+                // persists the Places fields merged into scraped data above)
+                const dataDir = path.join(__dirname, '..', '.scraped-data');
+                await fs.ensureDir(dataDir);
+                const dataFile = path.join(dataDir, `${slug}.json`);
+                await fs.writeJson(dataFile, scrapedData, { spaces: 2 });
+                console.log(chalk.gray(`Saved data to: ${dataFile}`));
+
+                // Step 2b: Generate website, then screenshot it for the before/after in outreach
+                let screenshots = null;
                 if (autoGenerate) {
                     console.log(chalk.gray(`Generating website...`));
-                    await generateWebsite(scrapedData.businessSlug);
+                    const generation = generating.then(async () => {
+                        await generateWebsite(scrapedData.businessSlug);
+                        if (screenshotPreviews) {
+                            screenshots = await screenshotsFor(scrapedData.businessSlug);
+                        }
+                    });
+                    generating = generation.catch(() => {});
+                    await generation;
                 }
 
                 const siteUrl = `https://${scrapedData.businessSlug}.websites.losey.co`;
                 const localUrl = `http://localhost:8080/websites/sites/${scrapedData.businessSlug}/`;
                 
-                results.push({
+                console.log(chalk.green(`✓ Completed: ${siteUrl}\n`));
+
+                return {
                     business: business.name,
                     status: 'success',
                     url: siteUrl,
                     localUrl: localUrl,
                     slug: scrapedData.businessSlug,
-                    hadWebsite: !!business.website
-                });
-
-                console.log(chalk.green(`✓ Completed: ${siteUrl}\n`));
+                    hadWebsite: !!business.website,
+                    email: scrapedData.contact?.email || null,
+                    phone: scrapedData.contact?.phone || null,
+                    address: scrapedData.contact?.address || null,
+                    // Where to reach a business that publishes no email address
+                    contactFormUrl: scrapedData.contact?.forms?.[0]?.pageUrl || null,
+                    screenshots,
+                    // How much the business needs a new website, and why, for prioritizing and pitching
+                    auditScore: scrapedData.audit?.score ?? null,
+                    siteProblems: scrapedData.audit?.issues || []
+                };
 
             } catch (error) {
                 console.error(chalk.red(`❌ Error processing ${business.name}: ${error.message}\n`));
-                results.push({
+                return {
                     business: business.name,
                     status: 'error',
                     error: error.message
-                });
+                };
             }
+        };
 
-            // Rate limiting between businesses
-            if (i < businesses.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, 2000));
+        let next = 0;
+        const worker = async () => {
+            while (next < businesses.length) {
+                const i = next++;
+                results[i] = await processBusiness(businesses[i], i);
             }
+        };
+        try {
+            await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, businesses.length)) }, worker));
+        } finally {
+            await crawler.close();
+        }
+
+        // Screenshots were taken after each site's portfolio entry was built
+        if (autoGenerate && screenshotPreviews) {
+            await buildSitesPage().catch(() => {});
         }
 
         // Summary
@@ -235,6 +333,9 @@ export async function runAutomatedPipeline(options) {
         console.log(chalk.cyan('║           Summary                    ║'));
         console.log(chalk.cyan('╚══════════════════════════════════════╝\n'));
 
+        // Best prospects first: the businesses whose current site needs replacing most
+        results.sort((a, b) => (b.auditScore ?? -1) - (a.auditScore ?? -1));
+
         const successful = results.filter(r => r.status === 'success');
         const skipped = results.filter(r => r.status === 'skipped');
         const errors = results.filter(r => r.status === 'error');
@@ -246,7 +347,7 @@ export async function runAutomatedPipeline(options) {
         if (successful.length > 0) {
             console.log(chalk.blue('Generated sites:\n'));
             successful.forEach(r => {
-                console.log(`  ${chalk.cyan(r.business)}:`);
+                console.log(`  ${chalk.cyan(r.business)}${r.auditScore !== null && r.auditScore !== undefined ? chalk.gray(` (needs a new website: ${r.auditScore}/100)`) : ''}:`);
                 console.log(`    Live: ${chalk.underline(r.url)}`);
                 console.log(`    Local: ${chalk.gray(r.localUrl || `http://localhost:8080/websites/sites/${r.slug}/`)}`);
             });
@@ -300,9 +401,14 @@ if (isMainModule) {
             process.exit(1);
         }
 
-        const location = process.argv[2] || await question('Enter location (address or lat,lng): ');
-        const type = process.argv[3] || await question('Enter business type (restaurant, bar, cafe, etc.) [restaurant]: ') || 'restaurant';
-        const maxBusinesses = parseInt(process.argv[4]) || parseInt(await question('Max businesses to process [10]: ') || '10');
+        const args = process.argv.slice(2);
+        const [locationArg, typeArg, maxArg] = args.filter(arg => !arg.startsWith('--'));
+        const concurrencyArg = args.find(arg => arg.startsWith('--concurrency='));
+        const minScoreArg = args.find(arg => arg.startsWith('--min-score='));
+
+        const location = locationArg || await question('Enter location (address or lat,lng): ');
+        const type = typeArg || await question('Enter business type (restaurant, bar, cafe, etc.) [restaurant]: ') || 'restaurant';
+        const maxBusinesses = parseInt(maxArg) || parseInt(await question('Max businesses to process [10]: ') || '10');
 
         rl.close();
 
@@ -311,6 +417,8 @@ if (isMainModule) {
             location,
             type,
             maxBusinesses,
+            ...(concurrencyArg ? { concurrency: parseInt(concurrencyArg.split('=')[1], 10) || 1 } : {}),
+            ...(minScoreArg ? { minAuditScore: parseInt(minScoreArg.split('=')[1], 10) || 0 } : {}),
             skipExisting: true,
             autoGenerate: true
         });
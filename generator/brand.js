@@ -0,0 +1,127 @@
+/**
+ * Generated brand artwork: an SVG wordmark or monogram in the business's colors for sites
+ * without a usable logo, and the favicon set built from whichever logo the site ends up with
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import sharp from 'sharp';
+
+const FONT_STACK = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+
+// Names longer than this get a monogram; a wordmark would have to shrink to fit the header
+const MAX_WORDMARK_LENGTH = 22;
+
+// Words left out of initials ("The Blue Door Cafe" → "BD")
+const MINOR_WORDS = /^(the|a|an|and|of|at|on|in|by|&|\+|co\.?|llc|inc\.?|ltd\.?)$/i;
+
+// PNG favicons: file name and size
+const FAVICON_SIZES = [
+    ['favicon-16x16.png', 16],
+    ['favicon-32x32.png', 32],
+    ['apple-touch-icon.png', 180],
+    ['icon-192.png', 192],
+    ['icon-512.png', 512]
+];
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Black or white, whichever reads better on a hex background
+ */
+function contrastColor(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    const [r, g, b] = [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    return (0.299 * r + 0.587 * g + 0.114 * b) / 255 > 0.6 ? '#1a1a1a' : '#ffffff';
+}
+
+/**
+ * Up to two initials from a business name
+ */
+export function initials(name) {
+    const words = String(name || '').replace(/[^\p{L}\p{N}&+\s.'-]/gu, ' ').split(/\s+/).filter(Boolean);
+    const significant = words.filter(word => !MINOR_WORDS.test(word));
+    const letters = (significant.length > 0 ? significant : words).slice(0, 2).map(word => word.match(/[\p{L}\p{N}]/u)?.[0] || '');
+    return letters.join('').toUpperCase() || '?';
+}
+
+/**
+ * Square monogram: the initials on a rounded tile of the primary color
+ */
+export function monogramSvg(name, { primaryColor, secondaryColor } = {}) {
+    const background = `#${primaryColor || '333333'}`;
+    const letters = initials(name);
+    const fontSize = letters.length > 1 ? 220 : 280;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512" role="img" aria-label="${escapeXml(name)}">`
+        + `<rect width="512" height="512" rx="96" fill="${background}"/>`
+        + (secondaryColor ? `<rect x="48" y="48" width="416" height="416" rx="64" fill="none" stroke="#${secondaryColor}" stroke-width="12" opacity="0.6"/>` : '')
+        + `<text x="256" y="256" dy="0.35em" text-anchor="middle" font-family="${FONT_STACK}" font-size="${fontSize}" font-weight="700" fill="${contrastColor(background)}">${escapeXml(letters)}</text>`
+        + '</svg>';
+}
+
+/**
+ * Horizontal wordmark: a small monogram tile followed by the business name in the primary color
+ */
+export function wordmarkSvg(name, { primaryColor, secondaryColor } = {}) {
+    const color = `#${primaryColor || '333333'}`;
+    const tileColor = `#${secondaryColor || primaryColor || '333333'}`;
+    const letters = initials(name);
+    // Rough text width for a bold sans-serif: about 0.6em per character
+    const textWidth = Math.ceil(String(name).length * 0.6 * 48);
+    const width = 96 + 24 + textWidth + 8;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} 96" role="img" aria-label="${escapeXml(name)}">`
+        + `<rect width="96" height="96" rx="20" fill="${tileColor}"/>`
+        + `<text x="48" y="48" dy="0.35em" text-anchor="middle" font-family="${FONT_STACK}" font-size="${letters.length > 1 ? 40 : 52}" font-weight="700" fill="${contrastColor(tileColor)}">${escapeXml(letters)}</text>`
+        + `<text x="120" y="48" dy="0.35em" font-family="${FONT_STACK}" font-size="48" font-weight="700" fill="${color}">${escapeXml(name)}</text>`
+        + '</svg>';
+}
+
+/**
+ * Generated logo for a business without one: a wordmark for short names, a monogram otherwise.
+ * Returns { kind, svg }.
+ */
+export function generatedLogo(name, colors) {
+    return String(name || '').length <= MAX_WORDMARK_LENGTH
+        ? { kind: 'wordmark', svg: wordmarkSvg(name, colors) }
+        : { kind: 'monogram', svg: monogramSvg(name, colors) };
+}
+
+/**
+ * Write the favicon set into `dir` from logo artwork (a file path or an SVG/PNG buffer): PNGs
+ * at the sizes browsers and home screens ask for, padded to a square, plus favicon.svg when the
+ * artwork is an SVG. The apple-touch-icon gets a solid background, since iOS fills transparency
+ * with black. Returns the file names written.
+ */
+export async function writeFavicons(artwork, dir, { background = '#ffffff' } = {}) {
+    const buffer = Buffer.isBuffer(artwork) ? artwork : await fs.readFile(artwork);
+    const isSvg = /<svg[\s>]/i.test(buffer.subarray(0, 512).toString('utf-8'));
+    const files = [];
+
+    await fs.ensureDir(dir);
+    for (const [file, size] of FAVICON_SIZES) {
+        const opaque = file === 'apple-touch-icon.png';
+        const padding = opaque ? Math.round(size * 0.1) : 0;
+        const inner = size - padding * 2;
+        let image = sharp(buffer, { density: isSvg ? 300 : 72, failOn: 'none' })
+            .resize(inner, inner, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+            .extend({ top: padding, bottom: padding, left: padding, right: padding, background: { r: 0, g: 0, b: 0, alpha: 0 } });
+        if (opaque) {
+            image = image.flatten({ background });
+        }
+        await image.png().toFile(path.join(dir, file));
+        files.push(file);
+    }
+
+    if (isSvg) {
+        await fs.writeFile(path.join(dir, 'favicon.svg'), buffer);
+        files.push('favicon.svg');
+    }
+
+    return files;
+}
@@ -0,0 +1,100 @@
+/**
+ * Template helpers for generated sites: formatting scraped values where the template shows them
+ *
+ *   <a href="tel:{{phone | tel}}">{{phone}}</a>
+ *   <p>{{aboutText | truncate 160}}</p>
+ *   <span>{{reviewCount | pluralize "review"}}</span>
+ *   <p>&copy; {{currentYear}} {{businessName}}</p>
+ */
+
+import { parsePhone } from '../scraper/contact.js';
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function toDate(value) {
+    if (value instanceof Date) return value;
+    // A bare date ("2024-12-25") is a day where the business is, not UTC midnight
+    const day = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    return day ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])) : new Date(value);
+}
+
+/**
+ * The dialable form of a phone number for a tel: link ("(555) 123-4567" → "+15551234567")
+ */
+export function tel(phone) {
+    if (phone === null || phone === undefined || phone === '') return '';
+    return parsePhone(phone)?.tel || String(phone).replace(/[^\d+]/g, '');
+}
+
+/**
+ * A number for display: grouped digits by default, `decimals` fixed places, or 'currency' (USD)
+ * or 'percent' (0.25 → 25%). Anything that isn't a number is returned as it is.
+ */
+export function format(value, style) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (value === null || value === '' || !Number.isFinite(number)) return value;
+    if (style === 'currency') {
+        return number.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+    }
+    if (style === 'percent') {
+        return number.toLocaleString('en-US', { style: 'percent', maximumFractionDigits: 1 });
+    }
+    if (typeof style === 'number') {
+        return number.toLocaleString('en-US', { minimumFractionDigits: style, maximumFractionDigits: style });
+    }
+    return number.toLocaleString('en-US');
+}
+
+/**
+ * Cut text to at most `length` characters at a word boundary, ending with `suffix`
+ */
+export function truncate(text, length = 160, suffix = '…') {
+    if (text === null || text === undefined) return '';
+    const value = String(text).trim();
+    if (value.length <= length) return value;
+    const cut = value.substring(0, Math.max(0, length - suffix.length));
+    const boundary = cut.lastIndexOf(' ');
+    // Fall back to a hard cut when the only break is near the start
+    const words = boundary > cut.length / 2 ? cut.substring(0, boundary) : cut;
+    return words.replace(/[\s,;:.!?-]+$/, '') + suffix;
+}
+
+/**
+ * Format a date (Date, ISO string or timestamp) with YYYY, MMMM, MMM, MM, M, DD, D, dddd and
+ * ddd tokens; an invalid date renders as nothing
+ */
+export function date(value, pattern = 'MMMM D, YYYY') {
+    if (value === null || value === undefined || value === '') return '';
+    const when = toDate(value);
+    if (Number.isNaN(when.getTime())) return '';
+    const tokens = {
+        YYYY: String(when.getFullYear()),
+        MMMM: MONTHS[when.getMonth()],
+        MMM: MONTHS[when.getMonth()].substring(0, 3),
+        MM: String(when.getMonth() + 1).padStart(2, '0'),
+        M: String(when.getMonth() + 1),
+        DD: String(when.getDate()).padStart(2, '0'),
+        D: String(when.getDate()),
+        dddd: WEEKDAYS[when.getDay()],
+        ddd: WEEKDAYS[when.getDay()].substring(0, 3)
+    };
+    return String(pattern).replace(/YYYY|MMMM|MMM|MM|M|DD|D|dddd|ddd/g, token => tokens[token]);
+}
+
+/**
+ * A count with its noun: 1 → "1 review", 3 → "3 reviews" (or the `plural` given)
+ */
+export function pluralize(count, singular, plural = `${singular}s`) {
+    const number = Array.isArray(count) ? count.length : Number(count) || 0;
+    return `${number} ${number === 1 ? singular : plural}`;
+}
+
+/**
+ * The year the site is generated, for the footer's copyright line
+ */
+export function currentYear() {
+    return new Date().getFullYear();
+}
+
+export const siteHelpers = { tel, format, truncate, date, pluralize, currentYear };
@@ -4,15 +4,283 @@ import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
-import { renderTemplate, normalizeColor } from './template-engine.js';
+import { renderTemplate, registerHelpers, normalizeColor } from './template-engine.js';
+import { siteHelpers } from './helpers.js';
+import { loadTemplateSet } from './templates.js';
+import { listThemes, selectTheme } from './themes.js';
+import { parseHoursText, formatScheduleRows, formatExceptionRows, formatScheduleText } from '../scraper/hours.js';
+import { loadMenuPdf } from '../scraper/pdf-menu.js';
+import { LOW_CONFIDENCE, HOLD_BACK_CONFIDENCE, lowConfidenceFields } from '../scraper/provenance.js';
+import { normalizeContact, primaryPhone, mapsUrl } from '../scraper/contact.js';
+import { socialLinksFromUrls } from '../scraper/social.js';
+import * as simpleIcons from 'simple-icons';
+import { generatedLogo, monogramSvg, writeFavicons } from './brand.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+registerHelpers(siteHelpers);
+
+// Short labels for menu dietary markers
+const DIETARY_LABELS = {
+    vegetarian: 'V',
+    vegan: 'VG',
+    'gluten-free': 'GF',
+    'dairy-free': 'DF',
+    spicy: '🌶 Spicy',
+    'contains-nuts': 'Contains nuts'
+};
+
+/**
+ * Flatten menu sections into rows the template can loop over; the first item of each
+ * section carries the section heading
+ */
+function buildMenuRows(menu) {
+    return (menu?.sections || []).flatMap(section => section.items.map((item, index) => ({
+        ...item,
+        sectionHeading: index === 0 ? section.name : null,
+        priceText: (item.prices || []).map(price => price.price).join(' / ') || item.price || null,
+        dietaryText: (item.dietary || []).map(tag => DIETARY_LABELS[tag] || tag).join(' · ')
+    })));
+}
+
+/**
+ * Template fields for one image: local optimized file plus AVIF/WebP srcsets when the asset
+ * pipeline processed it, otherwise the original URL
+ */
+function buildImage(image, assetBase, sizes) {
+    const asset = image.asset;
+    if (!asset) {
+        return { url: image.url, alt: image.alt, src: image.url, sizes };
+    }
+    const srcset = format => asset.variants
+        .filter(variant => variant.format === format)
+        .map(variant => `${assetBase}/${variant.file} ${variant.width}w`)
+        .join(', ');
+    return {
+        url: image.url,
+        alt: image.alt,
+        src: `${assetBase}/${asset.file}`,
+        width: asset.width,
+        height: asset.height,
+        avifSrcset: srcset('avif'),
+        webpSrcset: srcset('webp'),
+        sizes
+    };
+}
+
+// How each phone/email role is labelled on the site
+const CONTACT_ROLE_LABELS = {
+    main: 'Phone',
+    reservations: 'Reservations',
+    orders: 'Orders',
+    fax: 'Fax',
+    events: 'Events',
+    careers: 'Jobs'
+};
+
+/**
+ * Template fields for the contact details: display strings, dialable tel: values, the address
+ * split into lines and a map link
+ */
+function buildContact(contact, geo) {
+    const normalized = normalizeContact(contact || {});
+    const phone = primaryPhone(normalized.phones);
+    const parts = normalized.addressParts;
+    return {
+        phone: normalized.phone || null,
+        otherPhones: [
+            ...normalized.phones.filter(entry => entry !== phone).map(entry => ({
+                label: CONTACT_ROLE_LABELS[entry.role] || 'Phone',
+                display: entry.display,
+                href: entry.role === 'fax' ? null : `tel:${entry.tel}`
+            })),
+            ...(normalized.sms || []).map(entry => ({ label: 'Text', display: entry.display, href: `sms:${entry.e164}` }))
+        ],
+        email: normalized.email || null,
+        otherEmails: normalized.emails.filter(entry => entry.address !== normalized.email).map(entry => ({
+            label: entry.role === 'main' ? 'Email' : CONTACT_ROLE_LABELS[entry.role] || 'Email',
+            address: entry.address
+        })),
+        address: normalized.address || '',
+        addressStreet: parts?.street || null,
+        addressLocality: parts ? [parts.city, [parts.state, parts.postalCode].filter(Boolean).join(' ')].filter(Boolean).join(', ') : null,
+        mapUrl: normalized.address ? mapsUrl(parts || normalized.address) : (geo ? mapsUrl(`${geo.lat},${geo.lng}`) : null),
+        normalized
+    };
+}
+
+// simple-icons glyph for each social platform; LinkedIn isn't in the set and gets a letter badge
+const SOCIAL_ICONS = {
+    facebook: 'siFacebook',
+    instagram: 'siInstagram',
+    x: 'siX',
+    threads: 'siThreads',
+    youtube: 'siYoutube',
+    tiktok: 'siTiktok',
+    pinterest: 'siPinterest',
+    yelp: 'siYelp',
+    nextdoor: 'siNextdoor',
+    googlemaps: 'siGooglemaps',
+    tripadvisor: 'siTripadvisor'
+};
+
+/**
+ * Social links for the template with an SVG icon path each. Links are re-normalized so data
+ * scraped before profiles were canonicalized gets the same treatment.
+ */
+function buildSocialLinks(links) {
+    return socialLinksFromUrls((links || []).map(link => link.url)).map(link => ({
+        ...link,
+        label: link.handle ? `${link.platform} (${link.handle})` : link.platform,
+        iconPath: simpleIcons[SOCIAL_ICONS[link.id]]?.path || null,
+        initial: link.platform.charAt(0)
+    }));
+}
+
+// Button text for each kind of ordering/booking action
+const ACTION_LABELS = {
+    order: 'Order Online',
+    reserve: 'Reserve',
+    book: 'Book Now'
+};
+
+/**
+ * Call-to-action buttons from the scraped ordering/reservation/booking links: the best link of
+ * each kind becomes a button, and other known providers (e.g. delivery apps alongside the
+ * restaurant's own ordering) are listed as "Also on" links
+ */
+function buildActions(actions) {
+    const buttons = [];
+    const alsoOn = [];
+    for (const action of actions || []) {
+        if (!action || !action.url || !ACTION_LABELS[action.type]) continue;
+        if (!buttons.some(button => button.type === action.type)) {
+            buttons.push({ type: action.type, label: ACTION_LABELS[action.type], url: action.url, provider: action.label || null });
+        } else if (action.label && !alsoOn.some(link => link.label === action.label)) {
+            alsoOn.push({ label: action.label, url: action.url });
+        }
+    }
+    return { buttons, alsoOn };
+}
+
+// Where a testimonial was left, as shown under its author
+const REVIEW_SOURCE_LABELS = {
+    google: 'Google review',
+    yelp: 'Yelp review',
+    facebook: 'Facebook review',
+    tripadvisor: 'Tripadvisor review'
+};
+
+/**
+ * Template rows for the testimonials section: the quote, its author and source, and the
+ * rating as stars
+ */
+function buildTestimonials(testimonials) {
+    return (testimonials || []).filter(item => item && item.text).map(item => {
+        const rating = item.rating ? Math.round(Math.min(item.rating, 5)) : 0;
+        return {
+            text: item.text,
+            author: item.author || null,
+            stars: rating > 0 ? '★'.repeat(rating) + '☆'.repeat(5 - rating) : null,
+            ratingLabel: rating > 0 ? `Rated ${item.rating} out of 5` : null,
+            sourceLabel: REVIEW_SOURCE_LABELS[item.source] || null
+        };
+    });
+}
+
+// schema.org action types for the call-to-action buttons
+const SCHEMA_ACTION_TYPES = {
+    order: 'OrderAction',
+    reserve: 'ReserveAction',
+    book: 'ScheduleAction'
+};
+
+/**
+ * schema.org LocalBusiness JSON-LD for the generated page, safe to inline in a <script> tag
+ */
+function buildSchemaJson(data, contact, actions, socialLinks, siteUrl) {
+    const { normalized } = contact;
+    const parts = normalized.addressParts;
+    const schema = {
+        '@context': 'https://schema.org',
+        '@type': data.structuredData?.type || 'LocalBusiness',
+        name: data.businessName,
+        description: data.businessDescription || undefined,
+        url: siteUrl,
+        telephone: primaryPhone(normalized.phones)?.e164 || normalized.phone || undefined,
+        faxNumber: normalized.phones.find(entry => entry.role === 'fax')?.e164,
+        email: normalized.email || undefined,
+        address: parts ? {
+            '@type': 'PostalAddress',
+            streetAddress: parts.street || undefined,
+            addressLocality: parts.city || undefined,
+            addressRegion: parts.state || undefined,
+            postalCode: parts.postalCode || undefined,
+            addressCountry: parts.country || undefined
+        } : (normalized.address || undefined),
+        geo: data.geo ? { '@type': 'GeoCoordinates', latitude: data.geo.lat, longitude: data.geo.lng } : undefined,
+        sameAs: socialLinks.map(link => link.url),
+        potentialAction: actions.buttons.filter(button => SCHEMA_ACTION_TYPES[button.type]).map(button => ({
+            '@type': SCHEMA_ACTION_TYPES[button.type],
+            target: button.url
+        }))
+    };
+    if (schema.potentialAction.length === 0) delete schema.potentialAction;
+    if (schema.sameAs.length === 0) delete schema.sameAs;
+    return JSON.stringify(schema).replace(/</g, '\\u003c');
+}
+
+/**
+ * Check field provenance before a preview goes to a prospect: returns a copy of the data with
+ * fields below `minConfidence` held back (so the template falls back to its defaults), plus
+ * every low-confidence field for warnings
+ */
+function reviewConfidence(data, { minConfidence = HOLD_BACK_CONFIDENCE, holdBack = true } = {}) {
+    const reviewed = { ...data, contact: { ...data.contact } };
+    const lowConfidence = lowConfidenceFields(data.provenance, Math.max(LOW_CONFIDENCE, minConfidence));
+
+    const clear = {
+        'contact.phone': () => { reviewed.contact.phone = null; reviewed.contact.phones = []; },
+        'contact.email': () => { reviewed.contact.email = null; reviewed.contact.emails = []; },
+        'contact.address': () => { reviewed.contact.address = null; reviewed.contact.addressParts = null; },
+        businessDescription: () => { reviewed.businessDescription = null; },
+        aboutText: () => { reviewed.aboutText = null; },
+        services: () => { reviewed.services = []; },
+        menu: () => { reviewed.menu = null; },
+        hours: () => { reviewed.hours = null; },
+        hoursSchedule: () => { reviewed.hoursSchedule = null; },
+        logoUrl: () => { reviewed.logoPath = null; },
+        images: () => { reviewed.images = []; },
+        testimonials: () => { reviewed.testimonials = []; },
+        actions: () => { reviewed.actions = []; }
+    };
+
+    for (const entry of lowConfidence) {
+        entry.heldBack = holdBack && entry.confidence < minConfidence && !!clear[entry.field];
+        if (entry.heldBack) {
+            clear[entry.field]();
+        }
+    }
+
+    return { data: reviewed, lowConfidence };
+}
+
 /**
  * Generate website from extracted data
+ *
+ * Options:
+ *   menuPdf       - path to a menu PDF (e.g. emailed by the business); its menu is saved into the data file
+ *   minConfidence - fields whose provenance confidence is below this are left off the site
+ *   holdBack      - set to false to keep low-confidence fields (they're still reported)
+ *   theme         - the theme to use (a folder in templates/); otherwise the customer record's theme,
+ *                   or one picked from the business's Google Places types (see themes.js)
+ *   compare       - render the theme into themes/<theme>/ in the customer's folder, for comparing with
+ *                   the live design; the customer record keeps its own theme
+ *   templateDir   - a template folder to render with instead of the theme's; files it doesn't have
+ *                   come from templates/base
  */
-async function generateWebsite(dataFile, outputDir = null) {
+async function generateWebsite(dataFile, outputDir = null, options = {}) {
     console.log(chalk.blue(`\n🚀 Generating website...\n`));
 
     try {
@@ -28,28 +296,106 @@ async function generateWebsite(dataFile, outputDir = null) {
             throw new Error(`Data file not found: ${dataPath}`);
         }
 
-        const data = await fs.readJson(dataPath);
+        const scrapedData = await fs.readJson(dataPath);
+
+        if (options.menuPdf) {
+            const menu = await loadMenuPdf(options.menuPdf);
+            if (!menu) {
+                throw new Error(`No menu items found in ${options.menuPdf}`);
+            }
+            scrapedData.menu = menu;
+            scrapedData.sources = { ...scrapedData.sources, menu: menu.sourceUrl };
+            scrapedData.provenance = { ...scrapedData.provenance, menu: { confidence: 0.9, strategy: 'supplied-pdf', selector: null, pageUrl: menu.sourceUrl, snippet: null } };
+            await fs.writeJson(dataPath, scrapedData, { spaces: 2 });
+            console.log(chalk.green(`✓ Imported ${menu.itemCount} menu items from ${options.menuPdf}`));
+        }
+        const { data, lowConfidence } = reviewConfidence(scrapedData, options);
         console.log(chalk.blue(`\n✓ Loaded data for: ${data.businessName}`));
         console.log(chalk.gray(`  Services: ${data.services?.length || 0}`));
+        console.log(chalk.gray(`  Menu items: ${data.menu?.itemCount || 0}`));
         console.log(chalk.gray(`  Hours: ${data.hours ? 'Yes' : 'No'}`));
         console.log(chalk.gray(`  Logo: ${data.logoPath ? 'Yes' : 'No'}`));
         console.log(chalk.gray(`  Colors: ${data.colors?.primaryColor || 'default'}\n`));
 
+        if (lowConfidence.length > 0) {
+            console.log(chalk.yellow(`⚠ ${lowConfidence.length} low-confidence fields - check them before sending the preview:`));
+            for (const entry of lowConfidence) {
+                const where = [entry.strategy, entry.selector, entry.pageUrl].filter(Boolean).join(', ');
+                console.log(chalk.yellow(`  ${entry.field} (${entry.confidence}${where ? `; ${where}` : ''})${entry.heldBack ? ' - held back' : ''}`));
+            }
+            console.log('');
+        }
+
         // Determine output directory
         const businessSlug = data.businessSlug || dataFile;
         
         // Use customer-based structure in websites/sites/ for GitHub
         const websitesDir = path.join(__dirname, '..', 'websites', 'sites');
         const customerDir = path.join(websitesDir, businessSlug);
-        const siteDir = outputDir || customerDir;
+        const customerFile = path.join(customerDir, 'customer.json');
+        const existingCustomer = await fs.pathExists(customerFile) ? await fs.readJson(customerFile) : null;
+
+        if (options.compare && !options.theme) {
+            throw new Error('Comparing needs a theme to compare (--theme=<name>)');
+        }
+
+        // Pick the theme: --theme, then the customer's own, then one made for the business's category
+        const themes = await listThemes();
+        const { theme, reason: themeReason, missing: missingThemeFields } = selectTheme(themes, data, {
+            theme: options.theme,
+            customerTheme: existingCustomer?.theme
+        });
+        console.log(chalk.blue(`🎨 Theme: ${theme.name} (${theme.id}, ${themeReason})`));
+        if (missingThemeFields.length > 0) {
+            console.log(chalk.yellow(`⚠ The ${theme.id} theme needs data this business doesn't have: ${missingThemeFields.join(', ')}`));
+        }
+        // A comparison is its own site inside the customer's folder, assets and all
+        const comparePath = options.compare ? `themes/${theme.id}` : null;
+        const siteDir = outputDir || (comparePath ? path.join(customerDir, comparePath) : customerDir);
         
         await fs.ensureDir(customerDir);
         await fs.ensureDir(siteDir);
         await fs.ensureDir(path.join(siteDir, 'assets'));
         await fs.ensureDir(path.join(customerDir, 'data'));
 
+        // Sites without a usable logo get a generated wordmark or monogram in the brand colors;
+        // the favicon set is made from the same artwork (the monogram, for generated logos)
+        const brandColors = {
+            primaryColor: normalizeColor(data.colors?.primaryColor),
+            secondaryColor: data.colors?.secondaryColor ? normalizeColor(data.colors.secondaryColor) : null
+        };
+        const logoSource = data.logoPath && await fs.pathExists(data.logoPath) ? data.logoPath : null;
+        const generatedArt = logoSource ? null : generatedLogo(data.businessName, brandColors);
+        if (generatedArt) {
+            await fs.writeFile(path.join(siteDir, 'assets', 'logo.svg'), generatedArt.svg);
+            console.log(chalk.gray(`No logo; generated a ${generatedArt.kind}`));
+        }
+        let faviconFiles = [];
+        try {
+            faviconFiles = await writeFavicons(logoSource || Buffer.from(monogramSvg(data.businessName, brandColors)), path.join(siteDir, 'assets'), {
+                background: data.colors?.bgColor ? `#${normalizeColor(data.colors.bgColor)}` : '#ffffff'
+            });
+        } catch (e) {
+            console.log(chalk.yellow('⚠ Could not create favicons:', e.message));
+        }
+
+        // Structured hours: scraped/Places schedule, else parse the raw text; raw text stays as the fallback
+        const hoursSchedule = data.hoursSchedule || parseHoursText(data.hours);
+        const hoursTable = formatScheduleRows(hoursSchedule);
+
+        // The template shows a real menu in place of the heuristic services list (which is usually
+        // scraped from the same menu blocks)
+        const menuItems = buildMenuRows(data.menu);
+
         // Prepare template data
-        const siteBasePath = `/site/${businessSlug}`;
+        const siteBasePath = comparePath ? `/site/${businessSlug}/${comparePath}` : `/site/${businessSlug}`;
+        const imageBase = `${siteBasePath}/assets/images`;
+        const images = data.images || [];
+        const galleryImages = images.map(image => buildImage(image, imageBase, '(max-width: 600px) 100vw, 33vw'));
+        const contact = buildContact(data.contact, data.geo);
+        const testimonials = buildTestimonials(data.testimonials);
+        const actions = buildActions(data.actions);
+        const socialLinks = buildSocialLinks(data.socialLinks);
         const templateData = {
             businessName: data.businessName || 'Business Name',
             businessSlug: businessSlug,
@@ -62,35 +408,43 @@ async function generateWebsite(dataFile, outputDir = null) {
             accentColor: normalizeColor(data.colors?.accentColor),
             textColor: normalizeColor(data.colors?.textColor),
             bgColor: normalizeColor(data.colors?.bgColor),
-            phone: data.contact?.phone || null,
-            email: data.contact?.email || null,
-            address: data.contact?.address || '',
-            hours: data.hours || '',
+            phone: contact.phone,
+            otherPhones: contact.otherPhones,
+            email: contact.email,
+            otherEmails: contact.otherEmails,
+            address: contact.address,
+            addressStreet: contact.addressStreet,
+            addressLocality: contact.addressLocality,
+            mapUrl: contact.mapUrl,
+            schemaJson: buildSchemaJson(data, contact, actions, socialLinks, `https://${businessSlug}.websites.losey.co`),
+            hours: data.hours || formatScheduleText(hoursSchedule) || '',
+            hoursTable: hoursTable,
+            hoursExceptions: formatExceptionRows(hoursSchedule),
             services: (data.services || []).map((service, index) => ({
                 ...service,
-                image: data.images && data.images[index + 1] ? data.images[index + 1] : null
+                image: images[index + 1] ? buildImage(images[index + 1], imageBase, '(max-width: 600px) 100vw, 33vw') : null
             })),
-            hasServices: (data.services && data.services.length > 0),
-            socialLinks: data.socialLinks || [],
-            images: data.images || [],
-            hasImages: (data.images && data.images.length > 0),
-            heroImage: data.images && data.images.length > 0 ? data.images[0] : null,
-            currentYear: new Date().getFullYear(),
-            logo: !!data.logoPath,
-            logoExt: data.logoPath ? path.extname(data.logoPath) : '.png'
+            menuItems: menuItems,
+            socialLinks: socialLinks,
+            images: galleryImages,
+            testimonials: testimonials,
+            actionButtons: actions.buttons,
+            alsoOnLinks: actions.alsoOn,
+            logo: !!(logoSource || generatedArt),
+            logoExt: logoSource ? path.extname(logoSource) : '.svg',
+            hasFavicons: faviconFiles.length > 0,
+            faviconSvg: faviconFiles.includes('favicon.svg')
         };
 
-        // Load templates
-        const templateDir = path.join(__dirname, '..', 'templates', 'base');
-        const htmlTemplate = await fs.readFile(path.join(templateDir, 'index.html'), 'utf-8');
-        const cssTemplate = await fs.readFile(path.join(templateDir, 'styles.css'), 'utf-8');
-        const jsTemplate = await fs.readFile(path.join(templateDir, 'script.js'), 'utf-8');
+        // Load templates: the theme's own files, falling back to templates/base
+        const templates = await loadTemplateSet(options.templateDir || theme.dir);
+        const { partials, layouts, helpers } = templates;
 
         // Render templates
         console.log(chalk.gray('Rendering templates...'));
-        const html = renderTemplate(htmlTemplate, templateData);
-        const css = renderTemplate(cssTemplate, templateData);
-        const js = jsTemplate; // JavaScript doesn't need templating
+        const html = renderTemplate(templates.index.source, templateData, { name: templates.index.file, partials, layouts, helpers });
+        const css = renderTemplate(templates.styles.source, templateData, { name: templates.styles.file, partials, layouts, helpers });
+        const js = templates.script.source; // JavaScript doesn't need templating
 
         // Write files
         await fs.writeFile(path.join(siteDir, 'index.html'), html);
@@ -107,16 +461,64 @@ async function generateWebsite(dataFile, outputDir = null) {
             console.log(chalk.green('✓ Logo copied'));
         }
 
+        // Copy optimized images and their variants from the business's asset directory
+        const imageAssets = images.filter(image => image.asset);
+        if (imageAssets.length > 0 && data.assetsDir && await fs.pathExists(data.assetsDir)) {
+            const imagesDir = path.join(siteDir, 'assets', 'images');
+            await fs.ensureDir(imagesDir);
+            for (const { asset } of imageAssets) {
+                for (const file of [asset.file, ...asset.variants.map(variant => variant.file)]) {
+                    const source = path.join(data.assetsDir, file);
+                    if (await fs.pathExists(source)) {
+                        await fs.copy(source, path.join(imagesDir, file));
+                    }
+                }
+            }
+            console.log(chalk.green(`✓ ${imageAssets.length} images copied`));
+        }
+
+        // A comparison leaves the customer's site and data alone; the record only lists it
+        if (comparePath) {
+            if (existingCustomer) {
+                const themeComparisons = { ...existingCustomer.themeComparisons, [theme.id]: { localUrl: siteBasePath, date: new Date().toISOString() } };
+                await fs.writeJson(customerFile, { ...existingCustomer, themeComparisons }, { spaces: 2 });
+            }
+            console.log(chalk.green(`\n✓ ${theme.name} version generated for comparison`));
+            console.log(chalk.blue(`\n📁 Website directory: ${siteDir}\n`));
+            console.log(chalk.cyan(`  Current (${existingCustomer?.theme || 'not generated yet'}): /site/${businessSlug}`));
+            console.log(chalk.cyan(`  ${theme.id}: ${siteBasePath}\n`));
+            console.log(chalk.gray(`Switch the customer to it with --theme=${theme.id} (without --compare)\n`));
+            return { customerDir, siteDir, theme: theme.id };
+        }
+
+        // Screenshots of the business's current site, for showing next to the preview
+        const originalScreenshots = {};
+        for (const [viewport, file] of Object.entries(data.screenshots || {})) {
+            if (!await fs.pathExists(file)) continue;
+            const name = `original-${viewport}${path.extname(file)}`;
+            await fs.copy(file, path.join(customerDir, 'data', 'screenshots', name));
+            originalScreenshots[viewport] = `data/screenshots/${name}`;
+        }
+        if (Object.keys(originalScreenshots).length > 0) {
+            console.log(chalk.green(`✓ Original site screenshots copied (${Object.keys(originalScreenshots).join(', ')})`));
+        }
+
+        // The audit of the business's current site sits next to the scraped data
+        if (data.audit?.file && await fs.pathExists(data.audit.file)) {
+            await fs.copy(data.audit.file, path.join(customerDir, 'data', 'audit.json'));
+        }
+
         // Save scraped data to customer data folder
         const customerDataFile = path.join(customerDir, 'data', 'scraped-data.json');
-        await fs.writeJson(customerDataFile, data, { spaces: 2 });
+        await fs.writeJson(customerDataFile, scrapedData, { spaces: 2 });
 
         // Create or update customer.json
-        const customerFile = path.join(customerDir, 'customer.json');
         let customer = {
             customerId: businessSlug,
             businessName: data.businessName || businessSlug,
             status: "pending",
+            // The design the site is generated with; later runs keep it unless given --theme
+            theme: theme.id,
             contact: {
                 phone: data.contact?.phone || null,
                 email: data.contact?.email || null,
@@ -138,8 +540,20 @@ async function generateWebsite(dataFile, outputDir = null) {
                 date: new Date().toISOString(),
                 dataSource: data.sourceUrl ? "scraped" : "google-places",
                 servicesCount: data.services?.length || 0,
+                menuItemsCount: data.menu?.itemCount || 0,
                 hasLogo: !!data.logoPath,
-                hasHours: !!data.hours
+                logo: logoSource ? 'scraped' : generatedArt.kind,
+                hasHours: !!(data.hours || data.hoursSchedule),
+                lowConfidenceFields: lowConfidence.map(({ field, confidence, heldBack }) => ({ field, confidence, heldBack }))
+            },
+            // How much the business needs a new website (0-100), with the problems found on its current site
+            audit: data.audit ? { score: data.audit.score, issues: data.audit.issues } : null,
+            // Paths relative to the site folder; the preview's are filled in by scripts/screenshot-site.js,
+            // so a regeneration keeps the ones it took (and the original's, when none were copied now)
+            screenshots: {
+                ...existingCustomer?.screenshots,
+                original: Object.keys(originalScreenshots).length > 0 ? originalScreenshots : existingCustomer?.screenshots?.original || null,
+                preview: existingCustomer?.screenshots?.preview || null
             },
             outreach: {
                 sentDate: null,
@@ -158,9 +572,8 @@ async function generateWebsite(dataFile, outputDir = null) {
         };
 
         // Merge with existing customer data if present
-        if (await fs.pathExists(customerFile)) {
-            const existing = await fs.readJson(customerFile);
-            customer = { ...existing, ...customer, generated: customer.generated };
+        if (existingCustomer) {
+            customer = { ...existingCustomer, ...customer, generated: customer.generated };
         }
 
         await fs.writeJson(customerFile, customer, { spaces: 2 });
@@ -180,14 +593,26 @@ async function generateWebsite(dataFile, outputDir = null) {
         console.log(chalk.cyan('Generated files:'));
         console.log(`  - customer.json (customer record)`);
         console.log(`  - data/scraped-data.json`);
+        if (data.audit?.file) {
+            console.log(`  - data/audit.json (current site audit, score ${data.audit.score}/100)`);
+        }
+        if (Object.keys(originalScreenshots).length > 0) {
+            console.log(`  - data/screenshots/ (original site)`);
+        }
         console.log(`  - index.html`);
         console.log(`  - styles.css`);
         console.log(`  - script.js`);
-        if (data.logoPath) {
-            console.log(`  - assets/logo${path.extname(data.logoPath)}\n`);
+        if (images.some(image => image.asset)) {
+            console.log(`  - assets/images/ (optimized images with WebP/AVIF variants)`);
+        }
+        if (faviconFiles.length > 0) {
+            console.log(`  - assets/ favicons (${faviconFiles.join(', ')})`);
+        }
+        if (logoSource || generatedArt) {
+            console.log(`  - assets/logo${logoSource ? path.extname(logoSource) : `.svg (generated ${generatedArt.kind})`}\n`);
         }
 
-        return { customerDir, siteDir };
+        return { customerDir, siteDir, theme: theme.id };
 
     } catch (error) {
         console.error(chalk.red('\n❌ Error generating website:'), error.message);
@@ -201,18 +626,51 @@ const isMainModule = import.meta.url === `file://${process.argv[1]?.replace(/\\/
                      process.argv[1]?.includes('generator') ||
                      process.argv[1]?.endsWith('index.js');
 
+function printUsage() {
+    console.log(chalk.yellow('\nUsage: node generator/index.js <data-file-slug> [output-dir] [--menu-pdf=path/to/menu.pdf] [--min-confidence=0.3] [--keep-low-confidence] [--theme=name] [--compare]\n'));
+    console.log(chalk.gray('Example: node generator/index.js restaurant-name'));
+    console.log(chalk.gray('Compare a theme: node generator/index.js restaurant-name --theme=services --compare\n'));
+}
+
 if (isMainModule) {
-    const dataFile = process.argv[2];
-    const outputDir = process.argv[3] || null;
+    const args = process.argv.slice(2);
+    const [dataFile, outputDir = null] = args.filter(arg => !arg.startsWith('--'));
+    const menuPdfArg = args.find(arg => arg.startsWith('--menu-pdf='));
+    const minConfidenceArg = args.find(arg => arg.startsWith('--min-confidence='));
+    const themeArg = args.find(arg => arg.startsWith('--theme='));
 
     if (!dataFile) {
         console.log(chalk.red('❌ Please provide a data file name (without .json extension)'));
-        console.log(chalk.yellow('\nUsage: node generator/index.js <data-file-slug> [output-dir]\n'));
-        console.log(chalk.gray('Example: node generator/index.js restaurant-name\n'));
+        printUsage();
         process.exit(1);
     }
 
-    generateWebsite(dataFile, outputDir).catch(err => {
+    const options = {};
+    if (menuPdfArg) {
+        options.menuPdf = menuPdfArg.substring('--menu-pdf='.length);
+    }
+    if (minConfidenceArg) {
+        // A NaN cut-off would compare false against every field and silently hold nothing back
+        const value = minConfidenceArg.substring('--min-confidence='.length).trim();
+        const minConfidence = value === '' ? NaN : Number(value);
+        if (!Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+            console.log(chalk.red(`❌ --min-confidence must be a number from 0 to 1 (got "${value}")`));
+            printUsage();
+            process.exit(1);
+        }
+        options.minConfidence = minConfidence;
+    }
+    if (args.includes('--keep-low-confidence')) {
+        options.holdBack = false;
+    }
+    if (themeArg) {
+        options.theme = themeArg.substring('--theme='.length);
+    }
+    if (args.includes('--compare')) {
+        options.compare = true;
+    }
+
+    generateWebsite(dataFile, outputDir, options).catch(err => {
         console.error(chalk.red('\n❌ Fatal error:'), err);
         process.exit(1);
     });
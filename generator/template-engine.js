@@ -1,332 +1,793 @@
 /**
- * Simple template engine for replacing placeholders in templates
+ * Template engine: a Handlebars-style language compiled to an AST
+ *
+ *   {{name}} {{a.b.c}} {{images.0.src}}    output a value, escaped (null/undefined render as nothing)
+ *   {{{name}}}                             output a value as-is, for HTML or JSON built by the generator
+ *   {{#if x}}...{{else if y}}...{{else}}...{{/if}}
+ *   {{#unless x}}...{{else}}...{{/unless}}
+ *   {{#each list}}...{{else}}...{{/each}} inside: {{this}}, {{this.prop}}, {{@index}}, {{@first}},
+ *                                          {{@last}}, {{@key}} (objects), {{../name}} (parent scope)
+ *   {{#with obj}}...{{else}}...{{/with}}   {{this}} is obj inside
+ *   {{! comment }} {{!-- comment with }} --}}
+ *   {{value | helper arg ...}}             pipe a value through helpers: {{aboutText | truncate 160}}
+ *   {{helper arg ...}}                     call a helper: {{currentYear}}, {{eq status "open"}}
+ *   {{#if count | gt 1}}                   helpers work in block conditions (and {{#each}}) too
+ *   {{> name}} {{> name item key=value}}   include a partial, optionally with its own context and
+ *                                          parameters (merged over the context)
+ *   {{#extends page}}{{#block main}}...{{/block}}{{/extends}}
+ *                                          render the `page` layout with its {{#block main}} replaced;
+ *                                          blocks not given keep the layout's own content;
+ *                                          {{#block}} and {{> name}} only go between tags
+ *
+ * Helper arguments are names or literals ("text", 'text', 12, 1.5, true, false, null). Built in:
+ * eq, ne, gt, gte, lt, lte, and, or, not, default, length and json; registerHelper() adds more
+ * for every template and the `helpers` option for one compile. A helper name wins over a data
+ * name of the same spelling.
+ *
+ * Names that aren't in the current item are looked up in the enclosing scopes, out to the
+ * template data (so {{siteBasePath}} works inside a loop); {{@root.name}} skips straight there.
+ * Empty arrays, '', null, undefined and false are falsy; 0 is truthy.
+ *
+ * Partials and layouts come from the `partials` and `layouts` options. A partial on a line of its
+ * own is indented to match its {{> tag}}.
+ *
+ * Syntax errors throw a TemplateSyntaxError naming the template, line and column.
+ *
+ * Escaping depends on where a value lands, worked out from the template text around it:
+ *   - HTML text and quoted attribute values are HTML-escaped
+ *   - a value that starts a URL attribute (href, src, srcset, action, poster...) must be http(s),
+ *     mailto:, tel:, sms: or relative; anything else (javascript:...) becomes "about:invalid"
+ *   - inside <script> a value is written as JSON (a string becomes a string literal)
+ *   - CSS (a .css template, <style>, style="...") only takes plain tokens like colors and
+ *     lengths; a value with anything else (; { } quotes url() etc.) renders as nothing
+ *   - values can't go in event handler attributes, unquoted attributes or between attributes;
+ *     those are syntax errors (use {{{raw}}} if the template really means it)
  */
 
 /**
- * Replace placeholders in template string with data
+ * A template that can't be parsed. `file`, `line` and `column` (1-based) locate the problem.
+ */
+export class TemplateSyntaxError extends Error {
+    constructor(message, { file = 'template', line, column }) {
+        super(`${file}:${line}:${column}: ${message}`);
+        this.name = 'TemplateSyntaxError';
+        this.file = file;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+const BLOCKS = new Set(['if', 'unless', 'each', 'with', 'block', 'extends']);
+
+// Partial, layout and block names: hero, sections/hero, social-icons
+const TEMPLATE_NAME = /^[\w-]+(?:\/[\w-]+)*$/;
+
+// One argument of a partial: a value, or key=value
+const PARTIAL_ARG = /\s*(?:([A-Za-z_$][\w$-]*)=)?(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s"'=]+))/y;
+
+const HELPER_NAME = /^[A-Za-z_$][\w$]*$/;
+
+const helpers = new Map(Object.entries({
+    eq: (a, b) => a === b,
+    ne: (a, b) => a !== b,
+    gt: (a, b) => a > b,
+    gte: (a, b) => a >= b,
+    lt: (a, b) => a < b,
+    lte: (a, b) => a <= b,
+    and: (...values) => values.every(isTruthy),
+    or: (...values) => values.some(isTruthy),
+    not: value => !isTruthy(value),
+    default: (value, fallback) => (isTruthy(value) ? value : fallback),
+    length: value => (Array.isArray(value) || typeof value === 'string' ? value.length
+        : value !== null && typeof value === 'object' ? Object.keys(value).length : 0),
+    json: value => JSON.stringify(value ?? null)
+}));
+
+/**
+ * Add a helper for every template: `fn` gets the piped value (if any) then the arguments, and
+ * returns the value to output or test
+ */
+export function registerHelper(name, fn) {
+    if (!HELPER_NAME.test(name) || typeof fn !== 'function') {
+        throw new TypeError(`registerHelper needs a name and a function, got ${name}`);
+    }
+    helpers.set(name, fn);
+}
+
+/**
+ * Add every helper in an object ({ name: fn })
+ */
+export function registerHelpers(entries) {
+    for (const [name, fn] of Object.entries(entries || {})) {
+        registerHelper(name, fn);
+    }
+}
+
+// A path: this, this.a.b, a.b.0, ../a, ../../a.b, @index, @root.a
+const PATH_PATTERN = /^(?:(?:\.\.\/)+)?(?:@?[A-Za-z_$][\w$-]*|this|\d+)(?:\.(?:[A-Za-z_$][\w$-]*|\d+))*$/;
+
+/**
+ * Split a template into text and tag tokens, each with its 1-based line and column
  */
-export function renderTemplate(template, data) {
-    let result = template;
+function tokenize(source, file) {
+    const tokens = [];
+    let pos = 0;
+    let line = 1;
+    let column = 1;
 
-    // Helper to check if a value is truthy
-    function isTruthy(value) {
-        if (value === null || value === undefined || value === '') {
-            return false;
+    // Move the position forward, keeping line and column in step
+    const advance = to => {
+        for (; pos < to; pos++) {
+            if (source[pos] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
         }
-        if (Array.isArray(value)) {
-            return value.length > 0;
+    };
+
+    while (pos < source.length) {
+        const open = source.indexOf('{{', pos);
+        if (open === -1) {
+            tokens.push({ type: 'text', value: source.substring(pos) });
+            break;
+        }
+        if (open > pos) {
+            tokens.push({ type: 'text', value: source.substring(pos, open) });
+            advance(open);
+        }
+
+        const loc = { file, line, column };
+        // Long comments may contain "}}"
+        const longComment = source.startsWith('{{!--', open);
+        const unescaped = !longComment && source.startsWith('{{{', open);
+        const [start, closer] = longComment ? [open + 5, '--}}'] : unescaped ? [open + 3, '}}}'] : [open + 2, '}}'];
+        const close = source.indexOf(closer, start);
+        if (close === -1) {
+            throw new TemplateSyntaxError(longComment ? 'Unclosed comment: expected "--}}"' : `Unclosed tag: expected "${closer}"`, loc);
         }
-        return true;
+        const end = close + closer.length;
+        const raw = source.substring(open, end);
+        const content = source.substring(open + 2, close).trim();
+        tokens.push({ type: 'tag', raw, content: unescaped ? content.substring(1).trim() : content, unescaped, loc });
+        advance(end);
     }
 
-    // Process {{#each}} loops first
-    let loopCount = 0;
-    while (result.includes('{{#each') && loopCount < 10) {
-        result = result.replace(/\{\{#each\s+(\w+)\}\}([\s\S]*?)\{\{\/each\}\}/g, (match, arrayName, content) => {
-            const array = getNestedValue(data, arrayName);
-            if (!Array.isArray(array) || array.length === 0) {
-                return '';
-            }
+    return tokens;
+}
 
-            return array.map((item, index) => {
-                let itemContent = content;
-                
-                // Process nested {{#if this.prop}} blocks in each loop
-                let nestedCount = 0;
-                while (itemContent.includes('{{#if this.') && nestedCount < 5) {
-                    // Handle {{#if this.prop}}...{{else}}...{{/if}}
-                    itemContent = itemContent.replace(/\{\{#if\s+this\.(\w+)\}\}([\s\S]*?)\{\{else\}\}([\s\S]*?)\{\{\/if\}\}/g, (m, prop, ifContent, elseContent) => {
-                        if (isTruthy(item[prop])) {
-                            return ifContent;
-                        }
-                        return elseContent || '';
-                    });
-                    
-                    // Handle {{#if this.prop}}...{{/if}}
-                    itemContent = itemContent.replace(/\{\{#if\s+this\.(\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g, (m, prop, nestedContent) => {
-                        if (isTruthy(item[prop])) {
-                            return nestedContent;
-                        }
-                        return '';
-                    });
-                    nestedCount++;
-                }
-                
-                // Replace {{this.property}}
-                itemContent = itemContent.replace(/\{\{this\.(\w+)\}\}/g, (m, prop) => {
-                    return item[prop] || '';
-                });
-                
-                // Replace {{this.property.subproperty}}
-                itemContent = itemContent.replace(/\{\{this\.(\w+)\.(\w+)\}\}/g, (m, prop1, prop2) => {
-                    return (item[prop1] && item[prop1][prop2]) || '';
-                });
-
-                // Replace {{@index}}
-                itemContent = itemContent.replace(/\{\{@index\}\}/g, index);
-
-                return itemContent;
-            }).join('');
-        });
-        loopCount++;
-    }
-
-    // Helper function to process nested conditionals recursively
-    function processNestedConditionals(content, data) {
-        let processed = content;
-        let nestedCount = 0;
-        
-        while (processed.includes('{{#if') && nestedCount < 5) {
-            // Handle nested if/else blocks first
-            const nestedIfElse = /\{\{#if\s+(\w+)\}\}([\s\S]*?)\{\{else\}\}([\s\S]*?)\{\{\/if\}\}/g;
-            let nestedMatch;
-            const nestedMatches = [];
-            
-            // Reset regex lastIndex
-            nestedIfElse.lastIndex = 0;
-            while ((nestedMatch = nestedIfElse.exec(processed)) !== null) {
-                nestedMatches.push({
-                    fullMatch: nestedMatch[0],
-                    variable: nestedMatch[1],
-                    ifContent: nestedMatch[2],
-                    elseContent: nestedMatch[3],
-                    index: nestedMatch.index
-                });
+function parsePath(text, loc, context) {
+    if (!text) {
+        throw new TemplateSyntaxError(`Expected a name after ${context}`, loc);
+    }
+    if (!PATH_PATTERN.test(text)) {
+        throw new TemplateSyntaxError(`Invalid name "${text}" in ${context}`, loc);
+    }
+
+    let rest = text;
+    let up = 0;
+    while (rest.startsWith('../')) {
+        up++;
+        rest = rest.substring(3);
+    }
+    const parts = rest.split('.');
+    if (parts[0] === 'this') {
+        return { up, self: true, parts: parts.slice(1), original: text };
+    }
+    if (parts[0].startsWith('@')) {
+        return { up, data: parts[0].substring(1), parts: parts.slice(1), original: text };
+    }
+    return { up, parts, original: text };
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+// Attributes whose value is a URL (srcset is a list of them)
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'poster', 'cite', 'background', 'xlink:href', 'data']);
+
+const SAFE_URL = /^(?:https?:|mailto:|tel:|sms:|data:image\/(?:png|jpe?g|gif|webp|avif);|[^:]*(?:[/?#]|$))/i;
+
+/**
+ * A URL that can't run script: http(s), mailto:, tel:, sms:, raster data: images and relative URLs
+ */
+function sanitizeUrl(value) {
+    const url = String(value);
+    // Browsers ignore whitespace and control characters in a scheme ("java\tscript:")
+    const compact = url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+    return SAFE_URL.test(compact) ? url : 'about:invalid';
+}
+
+function sanitizeSrcset(srcset) {
+    return String(srcset).split(',').map(candidate => {
+        const [url, ...descriptors] = candidate.trim().split(/\s+/);
+        return [sanitizeUrl(url), ...descriptors].join(' ');
+    }).join(', ');
+}
+
+// Colors, lengths, keywords and lists of them; no way out of a declaration or into url()/expression()
+const SAFE_CSS = /^[\w\s#.,%+-]*$/;
+
+function sanitizeCss(value) {
+    const text = String(value);
+    return SAFE_CSS.test(text) ? text : '';
+}
+
+function escapeScript(value) {
+    // JSON can't end the <script> element or open an HTML comment inside it
+    return (JSON.stringify(value) ?? 'null').replace(/</g, '\\u003c').replace(/>/g, '\\u003e').replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Where the end of `html` (the template text before a value) puts the value:
+ *   { kind: 'text' | 'script' | 'css' | 'comment' }
+ *   { kind: 'attribute', name, quoted, prefix }   prefix is the attribute value so far
+ *   { kind: 'tag' }                               inside a tag, outside any attribute value
+ */
+function htmlContext(html) {
+    const commentOpen = html.lastIndexOf('<!--');
+    if (commentOpen !== -1 && html.indexOf('-->', commentOpen + 4) === -1) {
+        return { kind: 'comment' };
+    }
+
+    let tagOpen = -1;
+    for (const match of html.matchAll(/<[A-Za-z\/]/g)) tagOpen = match.index;
+    if (tagOpen !== -1 && html.indexOf('>', tagOpen) === -1) {
+        return tagAttributeContext(html.substring(tagOpen));
+    }
+
+    // Raw text elements: the last <script>/<style> opened and not yet closed
+    for (const element of ['script', 'style']) {
+        const opened = html.search(new RegExp(`<${element}\\b[^>]*>(?![\\s\\S]*<\\/${element}\\s*>)`, 'i'));
+        if (opened !== -1) return { kind: element === 'script' ? 'script' : 'css' };
+    }
+    return { kind: 'text' };
+}
+
+/**
+ * Context at the end of an unfinished tag (`<a class="x" href="...`)
+ */
+function tagAttributeContext(tag) {
+    let pos = tag.search(/[\s/]|$/);
+    for (;;) {
+        const name = /^[\s/]*([^\s"'>\/=]*)\s*/.exec(tag.substring(pos));
+        pos += name[0].length;
+        if (!name[1] || pos >= tag.length) return { kind: 'tag' };
+        if (tag[pos] !== '=') continue;
+
+        pos = pos + 1 + /^\s*/.exec(tag.substring(pos + 1))[0].length;
+        if (pos >= tag.length) return { kind: 'attribute', name: name[1].toLowerCase(), quoted: false, prefix: '' };
+        const quote = tag[pos] === '"' || tag[pos] === "'" ? tag[pos] : null;
+        const valueStart = quote ? pos + 1 : pos;
+        const valueEnd = quote ? tag.indexOf(quote, valueStart) : tag.substring(valueStart).search(/\s|$/) + valueStart;
+        if (valueEnd === -1 || valueEnd >= tag.length) {
+            return { kind: 'attribute', name: name[1].toLowerCase(), quoted: !!quote, prefix: tag.substring(valueStart) };
+        }
+        pos = valueEnd + (quote ? 1 : 0);
+    }
+}
+
+/**
+ * The escaping function for a value at `context`, or a syntax error where no escaping makes a
+ * value safe
+ */
+function escaperFor(context, loc, raw) {
+    switch (context.kind) {
+        case 'script':
+            return escapeScript;
+        case 'css':
+            return sanitizeCss;
+        case 'tag':
+            throw new TemplateSyntaxError(`${raw} is inside a tag but not in an attribute value; quote it as an attribute value or use {{{raw}}} output`, loc);
+        case 'attribute': {
+            const { name, quoted, prefix } = context;
+            if (!quoted) {
+                throw new TemplateSyntaxError(`${raw} is in the unquoted ${name}= attribute; put the value in quotes`, loc);
             }
-            
-            // Process in reverse order
-            for (let i = nestedMatches.length - 1; i >= 0; i--) {
-                const m = nestedMatches[i];
-                const value = getNestedValue(data, m.variable);
-                const replacement = isTruthy(value) ? m.ifContent : m.elseContent;
-                processed = processed.substring(0, m.index) + replacement + processed.substring(m.index + m.fullMatch.length);
+            if (name.startsWith('on')) {
+                throw new TemplateSyntaxError(`${raw} can't be escaped safely in the ${name} event handler`, loc);
             }
-            
-            // Handle nested simple if blocks (without else)
-            const nestedIf = /\{\{#if\s+(\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g;
-            const simpleMatches = [];
-            let simpleMatch;
-            
-            // Reset regex lastIndex
-            nestedIf.lastIndex = 0;
-            while ((simpleMatch = nestedIf.exec(processed)) !== null) {
-                simpleMatches.push({
-                    fullMatch: simpleMatch[0],
-                    variable: simpleMatch[1],
-                    content: simpleMatch[2],
-                    index: simpleMatch.index
-                });
+            if (name === 'style') {
+                return value => escapeHtml(sanitizeCss(value));
             }
-            
-            // Process in reverse order
-            for (let i = simpleMatches.length - 1; i >= 0; i--) {
-                const m = simpleMatches[i];
-                const value = getNestedValue(data, m.variable);
-                const replacement = isTruthy(value) ? m.content : '';
-                processed = processed.substring(0, m.index) + replacement + processed.substring(m.index + m.fullMatch.length);
+            // Each candidate in a srcset starts its own URL
+            if (name === 'srcset' && (prefix.trim() === '' || /,\s*$/.test(prefix))) {
+                return value => escapeHtml(sanitizeSrcset(value));
             }
-            
-            nestedCount++;
+            // A value that starts the URL decides its scheme; after "tel:" or "/path/" it can't
+            if (URL_ATTRIBUTES.has(name) && !/[:/?#]/.test(prefix)) {
+                return value => escapeHtml(sanitizeUrl(value));
+            }
+            return escapeHtml;
         }
-        
-        return processed;
-    }
-
-    // Process top-level {{#if}} conditionals
-    let ifCount = 0;
-    while (result.includes('{{#if') && ifCount < 10) {
-        // Process if/else blocks first - need to match correctly by counting nested blocks
-        // Find all if/else blocks by finding {{#if ... {{else}} ... {{/if}} patterns
-        // and ensuring we match the correct closing {{/if}}
-        const ifElseMatches = [];
-        let searchIndex = 0;
-        
-        while (searchIndex < result.length) {
-            const ifStart = result.indexOf('{{#if', searchIndex);
-            if (ifStart === -1) break;
-            
-            // Find the variable name
-            const ifMatch = result.substring(ifStart).match(/^\{\{#if\s+(\w+)\}\}/);
-            if (!ifMatch) {
-                searchIndex = ifStart + 5;
-                continue;
+        default:
+            return escapeHtml;
+    }
+}
+
+// One word of an expression: a quoted string, a pipe or anything else up to whitespace
+const WORD_PATTERN = /\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(\|)|([^\s|"']+))/y;
+
+const LITERALS = { true: true, false: false, null: null, undefined };
+
+function parseOperand(word, loc, context) {
+    if (word.string !== undefined) {
+        return { type: 'literal', value: word.string };
+    }
+    if (Object.hasOwn(LITERALS, word.text)) {
+        return { type: 'literal', value: LITERALS[word.text] };
+    }
+    if (/^-?\d+(?:\.\d+)?$/.test(word.text)) {
+        return { type: 'literal', value: Number(word.text) };
+    }
+    return { type: 'path', path: parsePath(word.text, loc, context) };
+}
+
+/**
+ * Parse a tag's expression: a name or literal, a helper call, and/or helpers piped after it.
+ * Returns { type: 'literal', value } | { type: 'path', path } | { type: 'call', name, fn, args }.
+ */
+function parseExpression(text, loc, context, helperTable) {
+    const segments = [[]];
+    WORD_PATTERN.lastIndex = 0;
+    let rest = text.trim();
+    while (rest) {
+        const match = WORD_PATTERN.exec(rest);
+        if (!match) {
+            throw new TemplateSyntaxError(`Unclosed string in ${context}`, loc);
+        }
+        if (match[3]) {
+            segments.push([]);
+        } else {
+            const string = match[1] ?? match[2];
+            segments[segments.length - 1].push(string !== undefined
+                ? { string: string.replace(/\\(.)/g, '$1') }
+                : { text: match[4] });
+        }
+        rest = rest.substring(WORD_PATTERN.lastIndex).trimStart();
+        WORD_PATTERN.lastIndex = 0;
+    }
+
+    const helperFor = word => (word.text !== undefined && helperTable.has(word.text) ? helperTable.get(word.text) : null);
+    const call = (words, input) => {
+        const [first, ...args] = words;
+        const fn = helperFor(first);
+        if (!fn) {
+            throw new TemplateSyntaxError(`Unknown helper "${first.text ?? first.string}" in ${context}`, loc);
+        }
+        const operands = args.map(word => parseOperand(word, loc, context));
+        return { type: 'call', name: first.text, fn, args: input ? [input, ...operands] : operands };
+    };
+
+    let expression = null;
+    segments.forEach((words, index) => {
+        if (words.length === 0) {
+            throw new TemplateSyntaxError(index === 0 && segments.length === 1 ? `Expected a name after ${context}` : `Empty pipe in ${context}`, loc);
+        }
+        if (index > 0) {
+            expression = call(words, expression);
+        } else if (helperFor(words[0])) {
+            expression = call(words, null);
+        } else if (words.length === 1) {
+            expression = parseOperand(words[0], loc, context);
+        } else {
+            throw new TemplateSyntaxError(`Unknown helper "${words[0].text ?? words[0].string}" in ${context}`, loc);
+        }
+    });
+    return expression;
+}
+
+function parseTemplateName(text, loc, context) {
+    const name = text.trim().replace(/^(["'])(.*)\1$/, '$2');
+    if (!TEMPLATE_NAME.test(name)) {
+        throw new TemplateSyntaxError(name ? `Invalid name "${name}" in ${context}` : `Expected a name after ${context}`, loc);
+    }
+    return name;
+}
+
+/**
+ * Compile a partial or layout for inclusion, once per indentation
+ */
+function loadTemplate(session, kind, name, loc, indent) {
+    const entry = (kind === 'partial' ? session.partials : session.layouts)[name];
+    if (entry === undefined) {
+        throw new TemplateSyntaxError(`Unknown ${kind} "${name}"`, loc);
+    }
+    const { source, file } = typeof entry === 'string' ? { source: entry, file: `${kind}s/${name}` } : entry;
+    const id = `${kind}:${name}`;
+    if (session.including.includes(id)) {
+        throw new TemplateSyntaxError(`The ${kind} "${name}" includes itself`, loc);
+    }
+
+    const key = `${id}:${indent}`;
+    if (!session.compiled.has(key)) {
+        session.including.push(id);
+        try {
+            // The file's final newline belongs to the line the include is on
+            session.compiled.set(key, parse(tokenize(source.replace(/\r?\n$/, ''), file), session, indent));
+        } finally {
+            session.including.pop();
+        }
+    }
+    return session.compiled.get(key);
+}
+
+/**
+ * {{> name [context] [key=value ...]}}
+ */
+function parsePartial(text, loc, raw, session, indent) {
+    const args = [];
+    let rest = text.trim();
+    while (rest) {
+        PARTIAL_ARG.lastIndex = 0;
+        const match = PARTIAL_ARG.exec(rest);
+        if (!match) {
+            throw new TemplateSyntaxError(`Can't read the arguments of ${raw}`, loc);
+        }
+        const string = match[2] ?? match[3];
+        args.push({ key: match[1], word: string !== undefined ? { string: string.replace(/\\(.)/g, '$1') } : { text: match[4] } });
+        rest = rest.substring(PARTIAL_ARG.lastIndex).trimStart();
+    }
+
+    const [first, ...others] = args;
+    if (!first || first.key) {
+        throw new TemplateSyntaxError(`Expected a partial name in ${raw}`, loc);
+    }
+    const name = parseTemplateName(first.word.text ?? first.word.string, loc, raw);
+    const positional = others.filter(arg => !arg.key);
+    if (positional.length > 1) {
+        throw new TemplateSyntaxError(`${raw} takes one context value before its key=value parameters`, loc);
+    }
+
+    return {
+        type: 'partial',
+        name,
+        context: positional.length ? parseOperand(positional[0].word, loc, raw) : null,
+        params: others.filter(arg => arg.key).map(arg => [arg.key, parseOperand(arg.word, loc, raw)]),
+        body: loadTemplate(session, 'partial', name, loc, indent),
+        loc
+    };
+}
+
+/**
+ * Parse tokens into an AST:
+ *   { type: 'text', value }
+ *   { type: 'value', expression, escape, loc }   escape: value → string, null for {{{raw}}} output
+ *   { type: 'block', name, expression, body: [...], inverse: [...] | null, loc }
+ *   { type: 'partial', name, context, params: [[key, expression]], body: [...], loc }
+ *   { type: 'region', region, body: [...], loc }                          a {{#block}}
+ *   { type: 'extends', layout: [...], blocks: Map of region → [...], loc }
+ * An {{else if}} becomes an `if` block that is the whole inverse of the one before it. `indent`
+ * is added after every newline in the text, for a partial included on its own line.
+ */
+function parse(tokens, session, indent = '') {
+    const { mode, helperTable } = session;
+    const root = { body: [] };
+    // The template's text so far, for working out each value's escaping
+    let html = '';
+    // Open blocks, innermost last; `target` is the node list being filled (body or inverse)
+    const stack = [];
+    let target = root.body;
+
+    // Partials and block overrides are compiled on their own, as HTML text, so they can't go
+    // where a value would need other escaping
+    const assertBetweenTags = token => {
+        const context = mode === 'css' ? null : htmlContext(html);
+        if (context && context.kind !== 'text') {
+            throw new TemplateSyntaxError(`${token.raw} can only go between tags, not in ${context.kind === 'attribute' ? `the ${context.name} attribute` : `a ${context.kind}`}`, token.loc);
+        }
+    };
+
+    const openBlock = (name, expression, loc, chained = false) => {
+        const node = { type: 'block', name, expression: parseExpression(expression, loc, `{{#${name}}}`, helperTable), body: [], inverse: null, loc, chained };
+        target.push(node);
+        stack.push(node);
+        target = node.body;
+        return node;
+    };
+
+    for (const token of tokens) {
+        if (token.type === 'text') {
+            target.push({ type: 'text', value: indent ? token.value.replace(/\n/g, `\n${indent}`) : token.value });
+            html += token.value;
+            continue;
+        }
+
+        const { content, loc } = token;
+        if (token.unescaped) {
+            target.push({ type: 'value', expression: parseExpression(content, loc, token.raw, helperTable), escape: null, loc });
+            continue;
+        }
+        if (content.startsWith('!')) continue;
+
+        if (content.startsWith('#')) {
+            const [, name, expression] = /^#\s*(\S*)\s*([\s\S]*)$/.exec(content);
+            if (!BLOCKS.has(name)) {
+                throw new TemplateSyntaxError(`Unknown block "{{#${name}}}"; expected one of ${[...BLOCKS].map(block => `#${block}`).join(', ')}`, loc);
             }
-            
-            const variable = ifMatch[1];
-            const ifContentStart = ifStart + ifMatch[0].length;
-            
-            // Look for {{else}} before any closing {{/if}}
-            let depth = 1;
-            let pos = ifContentStart;
-            let elsePos = -1;
-            let elseEndPos = -1;
-            let ifEndPos = -1;
-            
-            while (pos < result.length && depth > 0) {
-                const nextIf = result.indexOf('{{#if', pos);
-                const nextElse = result.indexOf('{{else}}', pos);
-                const nextEndIf = result.indexOf('{{/if}}', pos);
-                
-                // Find the next relevant token
-                let nextToken = result.length;
-                let tokenType = 'end';
-                
-                if (nextIf !== -1 && nextIf < nextToken) {
-                    nextToken = nextIf;
-                    tokenType = 'if';
+            if (name === 'block') {
+                assertBetweenTags(token);
+                const node = { type: 'region', name, region: parseTemplateName(expression, loc, '{{#block}}'), body: [], loc };
+                target.push(node);
+                stack.push(node);
+                target = node.body;
+            } else if (name === 'extends') {
+                if (stack.length > 0) {
+                    throw new TemplateSyntaxError('{{#extends}} has to be outside every other block', loc);
                 }
-                if (nextElse !== -1 && nextElse < nextToken && depth === 1) {
-                    nextToken = nextElse;
-                    tokenType = 'else';
-                }
-                if (nextEndIf !== -1 && nextEndIf < nextToken) {
-                    nextToken = nextEndIf;
-                    tokenType = 'endif';
-                }
-                
-                if (tokenType === 'if') {
-                    depth++;
-                    pos = nextToken + 5;
-                } else if (tokenType === 'else' && depth === 1) {
-                    elsePos = nextToken;
-                    elseEndPos = nextToken + 8;
-                    pos = nextToken + 8;
-                } else if (tokenType === 'endif') {
-                    depth--;
-                    if (depth === 0) {
-                        ifEndPos = nextToken;
-                    }
-                    pos = nextToken + 7;
-                } else {
-                    break;
-                }
-            }
-            
-            // If we found a matching else and endif, this is an if/else block
-            if (elsePos !== -1 && ifEndPos !== -1) {
-                const ifContent = result.substring(ifContentStart, elsePos);
-                const elseContent = result.substring(elseEndPos, ifEndPos);
-                const fullMatch = result.substring(ifStart, ifEndPos + 7);
-                
-                ifElseMatches.push({
-                    fullMatch: fullMatch,
-                    variable: variable,
-                    ifContent: ifContent,
-                    elseContent: elseContent,
-                    index: ifStart
-                });
-                
-                searchIndex = ifEndPos + 7;
+                const layout = loadTemplate(session, 'layout', parseTemplateName(expression, loc, '{{#extends}}'), loc, indent);
+                const node = { type: 'extends', name, layout, blocks: new Map(), body: [], loc };
+                target.push(node);
+                stack.push(node);
+                target = node.body;
             } else {
-                // Not an if/else block, skip it
-                searchIndex = ifStart + 5;
+                openBlock(name, expression, loc);
             }
+            continue;
         }
-        
-        // Process matches in reverse order (to preserve indices)
-        for (let i = ifElseMatches.length - 1; i >= 0; i--) {
-            const m = ifElseMatches[i];
-            const value = getNestedValue(data, m.variable);
-            let replacement = '';
-            
-            if (isTruthy(value)) {
-                // Process nested conditionals in if block too
-                replacement = processNestedConditionals(m.ifContent, data);
-            } else {
-                // Process nested conditionals in else block
-                replacement = processNestedConditionals(m.elseContent, data);
-            }
-            
-            result = result.substring(0, m.index) + replacement + result.substring(m.index + m.fullMatch.length);
+
+        if (content.startsWith('>')) {
+            assertBetweenTags(token);
+            // On a line of its own, the partial's lines are indented to match
+            const line = html.substring(html.lastIndexOf('\n') + 1);
+            target.push(parsePartial(content.substring(1), loc, token.raw, session, indent + (/^[ \t]*$/.test(line) ? line : '')));
+            continue;
         }
-        
-        // Then process simple if blocks (without else) - but exclude those already in if/else
-        const ifRegex = /\{\{#if\s+(\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g;
-        const ifMatches = [];
-        let ifMatch;
-        
-        // Reset regex lastIndex and collect all simple if matches
-        ifRegex.lastIndex = 0;
-        while ((ifMatch = ifRegex.exec(result)) !== null) {
-            // Skip if this is part of an if/else block (check context)
-            const before = result.substring(Math.max(0, ifMatch.index - 100), ifMatch.index);
-            const after = result.substring(ifMatch.index, Math.min(result.length, ifMatch.index + ifMatch[0].length + 100));
-            
-            if (!before.includes('{{else}}') && !after.includes('{{else}}')) {
-                ifMatches.push({
-                    fullMatch: ifMatch[0],
-                    variable: ifMatch[1],
-                    content: ifMatch[2],
-                    index: ifMatch.index
-                });
+
+        if (content === 'else' || /^else\s/.test(content)) {
+            const block = stack[stack.length - 1];
+            if (!block) {
+                throw new TemplateSyntaxError('{{else}} outside of a block', loc);
+            }
+            if (block.name === 'block' || block.name === 'extends') {
+                throw new TemplateSyntaxError(`{{else}} can't be used in {{#${block.name}}}`, loc);
+            }
+            if (block.inverse) {
+                throw new TemplateSyntaxError(`Second {{else}} in {{#${block.name}}} (opened at line ${block.loc.line}, column ${block.loc.column})`, loc);
+            }
+            block.inverse = [];
+            target = block.inverse;
+
+            const chain = content.substring(4).trim();
+            if (chain) {
+                const [, name, expression] = /^(\S+)\s*([\s\S]*)$/.exec(chain);
+                if (name !== 'if' && name !== 'unless') {
+                    throw new TemplateSyntaxError(`Expected {{else if ...}} or {{else unless ...}}, got "{{${content}}}"`, loc);
+                }
+                if (block.name !== 'if' && block.name !== 'unless') {
+                    throw new TemplateSyntaxError(`{{else ${name}}} can only follow {{#if}} or {{#unless}}, not {{#${block.name}}}`, loc);
+                }
+                // The chained block closes with its parent's {{/if}}
+                openBlock(name, expression, loc, true);
             }
+            continue;
         }
-        
-        // Process matches in reverse order
-        for (let i = ifMatches.length - 1; i >= 0; i--) {
-            const m = ifMatches[i];
-            const value = getNestedValue(data, m.variable);
-            
-            if (isTruthy(value)) {
-                result = result.substring(0, m.index) + m.content + result.substring(m.index + m.fullMatch.length);
-            } else {
-                result = result.substring(0, m.index) + result.substring(m.index + m.fullMatch.length);
+
+        if (content.startsWith('/')) {
+            const name = content.substring(1).trim();
+            let block = stack.pop();
+            // Close the {{else if}} blocks chained onto this one along with it
+            while (block?.chained) {
+                block = stack.pop();
+            }
+            if (!block) {
+                throw new TemplateSyntaxError(`{{/${name}}} without an open block`, loc);
+            }
+            if (block.name !== name) {
+                throw new TemplateSyntaxError(`{{/${name}}} closes {{#${block.name}}} (opened at line ${block.loc.line}, column ${block.loc.column})`, loc);
             }
+            if (block.type === 'extends') {
+                collectBlocks(block);
+            }
+            const parent = stack[stack.length - 1];
+            target = parent ? (parent.inverse ?? parent.body) : root.body;
+            continue;
         }
-        
-        ifCount++;
-    }
 
-    // Handle array access patterns like {{images.0.url}}
-    result = result.replace(/\{\{(\w+)\.(\d+)\.(\w+)\}\}/g, (match, arrayName, index, prop) => {
-        const array = getNestedValue(data, arrayName);
-        if (Array.isArray(array) && array[parseInt(index)]) {
-            return array[parseInt(index)][prop] || '';
+        if (!content) {
+            throw new TemplateSyntaxError('Empty tag "{{}}"', loc);
         }
-        return '';
-    });
-    
-    // Handle array access without property like {{images.0}}
-    result = result.replace(/\{\{(\w+)\.(\d+)\}\}/g, (match, arrayName, index) => {
-        const array = getNestedValue(data, arrayName);
-        if (Array.isArray(array) && array[parseInt(index)]) {
-            return JSON.stringify(array[parseInt(index)]);
+        if (/^[\^>&{]/.test(content)) {
+            throw new TemplateSyntaxError(`Unsupported tag "${token.raw}"`, loc);
         }
-        return '';
-    });
+        const escape = mode === 'css' ? sanitizeCss : escaperFor(htmlContext(html), loc, token.raw);
+        target.push({ type: 'value', expression: parseExpression(content, loc, token.raw, helperTable), escape, loc });
+    }
 
-    // Handle simple replacements {{variable}} or {{variable.property}}
-    result = result.replace(/\{\{(\w+(?:\.\w+)*)\}\}/g, (match, path) => {
-        const value = getNestedValue(data, path);
-        if (value === null || value === undefined) {
-            return '';
+    const layout = root.body.find(node => node.type === 'extends');
+    if (layout && root.body.some(node => node !== layout && !(node.type === 'text' && !node.value.trim()))) {
+        throw new TemplateSyntaxError('A template that uses {{#extends}} can only have {{#block}}s, inside the {{#extends}}', layout.loc);
+    }
+
+    const unclosed = stack.filter(block => !block.chained).pop();
+    if (unclosed) {
+        throw new TemplateSyntaxError(`Unclosed {{#${unclosed.name}}}: expected {{/${unclosed.name}}}`, unclosed.loc);
+    }
+    return root.body;
+}
+
+/**
+ * The {{#block}}s an {{#extends}} overrides; anything else inside it is an error
+ */
+function collectBlocks(node) {
+    for (const child of node.body) {
+        if (child.type === 'text' && !child.value.trim()) continue;
+        if (child.type !== 'region') {
+            throw new TemplateSyntaxError('Only {{#block}}s can go inside {{#extends}}', child.loc || node.loc);
         }
-        return String(value);
-    });
+        if (node.blocks.has(child.region)) {
+            throw new TemplateSyntaxError(`{{#block ${child.region}}} is given twice`, child.loc);
+        }
+        node.blocks.set(child.region, child.body);
+    }
+}
 
-    // Final cleanup: Remove any remaining template tags
-    result = result.replace(/\{\{[#\/]?\w+.*?\}\}/g, '');
+function isTruthy(value) {
+    if (value === null || value === undefined || value === '' || value === false) {
+        return false;
+    }
+    if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+    return true;
+}
 
-    return result;
+function getNestedValue(obj, parts) {
+    let value = obj;
+    for (const part of parts) {
+        if (value === null || value === undefined || typeof value !== 'object' || !Object.hasOwn(value, part)) {
+            return undefined;
+        }
+        value = value[part];
+    }
+    return value;
 }
 
 /**
- * Get nested value from object using dot notation
+ * Resolve a path against a scope: { context, parent, data }
  */
-function getNestedValue(obj, path) {
-    if (!obj || !path) return undefined;
-    const parts = path.split('.');
-    let value = obj;
+function lookup(path, scope) {
+    let start = scope;
+    for (let i = 0; i < path.up && start.parent; i++) {
+        start = start.parent;
+    }
 
-    for (const part of parts) {
-        if (value && typeof value === 'object' && part in value) {
-            value = value[part];
+    if (path.data !== undefined) {
+        if (path.data === 'root') {
+            let root = start;
+            while (root.parent) root = root.parent;
+            return getNestedValue(root.context, path.parts);
+        }
+        // @index and friends come from the nearest loop
+        for (let current = start; current; current = current.parent) {
+            if (current.data && Object.hasOwn(current.data, path.data)) {
+                return getNestedValue(current.data[path.data], path.parts);
+            }
+        }
+        return undefined;
+    }
+
+    if (path.self) {
+        return getNestedValue(start.context, path.parts);
+    }
+
+    // The first scope that has the name, innermost first
+    const [first] = path.parts;
+    for (let current = start; current; current = current.parent) {
+        const context = current.context;
+        if (context !== null && typeof context === 'object' && Object.hasOwn(context, first)) {
+            return getNestedValue(context, path.parts);
+        }
+    }
+    return undefined;
+}
+
+function evaluate(expression, scope, loc) {
+    if (expression.type === 'literal') return expression.value;
+    if (expression.type === 'path') return lookup(expression.path, scope);
+    const args = expression.args.map(arg => evaluate(arg, scope, loc));
+    try {
+        return expression.fn(...args);
+    } catch (e) {
+        throw new Error(`${loc.file}:${loc.line}:${loc.column}: helper "${expression.name}" failed: ${e.message}`);
+    }
+}
+
+/**
+ * Render nodes in a scope; `blocks` maps {{#block}} names to the content replacing them
+ */
+function renderNodes(nodes, scope, blocks) {
+    let output = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.value;
+        } else if (node.type === 'value') {
+            const value = evaluate(node.expression, scope, node.loc);
+            if (value !== null && value !== undefined) {
+                output += node.escape ? node.escape(value) : String(value);
+            }
+        } else if (node.type === 'partial') {
+            output += renderPartial(node, scope, blocks);
+        } else if (node.type === 'region') {
+            output += renderNodes(blocks?.get(node.region) ?? node.body, scope, blocks);
+        } else if (node.type === 'extends') {
+            // Blocks from further out (a template extending this one) win
+            output += renderNodes(node.layout, scope, new Map([...node.blocks, ...(blocks || [])]));
         } else {
-            return undefined;
+            output += renderBlock(node, scope, blocks);
         }
     }
+    return output;
+}
 
-    return value;
+function renderPartial(node, scope, blocks) {
+    if (!node.context && node.params.length === 0) {
+        return renderNodes(node.body, scope, blocks);
+    }
+    let context = node.context ? evaluate(node.context, scope, node.loc) : scope.context;
+    if (node.params.length > 0) {
+        const params = Object.fromEntries(node.params.map(([key, expression]) => [key, evaluate(expression, scope, node.loc)]));
+        context = { ...(context !== null && typeof context === 'object' ? context : {}), ...params };
+    }
+    return renderNodes(node.body, { context, parent: scope, data: null }, blocks);
+}
+
+function renderBlock(node, scope, blocks) {
+    const value = evaluate(node.expression, scope, node.loc);
+    const inverse = () => (node.inverse ? renderNodes(node.inverse, scope, blocks) : '');
+
+    switch (node.name) {
+        case 'if':
+            return isTruthy(value) ? renderNodes(node.body, scope, blocks) : inverse();
+        case 'unless':
+            return isTruthy(value) ? inverse() : renderNodes(node.body, scope, blocks);
+        case 'with':
+            return isTruthy(value) ? renderNodes(node.body, { context: value, parent: scope, data: null }, blocks) : inverse();
+        case 'each': {
+            const entries = Array.isArray(value)
+                ? value.map((item, index) => [index, item])
+                : value !== null && typeof value === 'object' ? Object.entries(value) : [];
+            if (entries.length === 0) return inverse();
+            return entries.map(([key, item], index) => renderNodes(node.body, {
+                context: item,
+                parent: scope,
+                data: { index, key, first: index === 0, last: index === entries.length - 1 }
+            }, blocks)).join('');
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Compile a template to a render function: data → string. `name` (the template's file) is used
+ * in syntax error messages; `mode` is 'html' or 'css' (the default for a .css name); `helpers`
+ * ({ name: fn }) adds helpers for this template only. `partials` and `layouts` map names to
+ * template source, or to { source, file } so errors in them name their file.
+ */
+export function compileTemplate(template, options = {}) {
+    const { name = 'template', mode = name.endsWith('.css') ? 'css' : 'html', helpers: extraHelpers = {}, partials = {}, layouts = {} } = options;
+    const session = {
+        mode,
+        helperTable: new Map([...helpers, ...Object.entries(extraHelpers)]),
+        partials,
+        layouts,
+        compiled: new Map(),
+        including: []
+    };
+    const ast = parse(tokenize(template, name), session);
+    return data => renderNodes(ast, { context: data, parent: null, data: null }, null);
+}
+
+/**
+ * Replace placeholders in template string with data
+ */
+export function renderTemplate(template, data, options = {}) {
+    return compileTemplate(template, options)(data);
 }
 
 /**
@@ -334,15 +795,15 @@ function getNestedValue(obj, path) {
  */
 export function normalizeColor(color) {
     if (!color) return '333333';
-    
+
     // Remove # if present
     let hex = color.replace('#', '');
-    
+
     // Convert short hex to long (e.g., #f00 -> #ff0000)
     if (hex.length === 3) {
         hex = hex.split('').map(c => c + c).join('');
     }
-    
+
     // Extract hex from rgb/rgba
     if (color.startsWith('rgb')) {
         const matches = color.match(/\d+/g);
@@ -353,6 +814,6 @@ export function normalizeColor(color) {
             hex = r + g + b;
         }
     }
-    
+
     return hex.toUpperCase();
 }
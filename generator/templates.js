@@ -0,0 +1,100 @@
+/**
+ * Template loading: a template folder's files, with templates/base filling in anything the folder
+ * doesn't have. A folder (a theme - see themes.js) looks like:
+ *
+ *   theme.json            the theme's manifest
+ *   index.html            the page (usually {{#extends page}} with a few {{#block}} overrides)
+ *   styles.css, script.js
+ *   layouts/<name>.html   for {{#extends <name>}}
+ *   partials/<name>.html  for {{> <name>}}; subfolders give names like sections/hero
+ *   partials/<name>.css   the same, for including in styles.css (so a name can't have both)
+ *   helpers.js            template helpers, one exported function each
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_DIR = path.join(__dirname, '..');
+
+export const BASE_TEMPLATE_DIR = path.join(PROJECT_DIR, 'templates', 'base');
+
+/**
+ * Every .html and .css file under `dir`, by name relative to it without the extension. Two files
+ * with the same name (hero.html and hero.css) are an error, since only one could be used.
+ */
+async function listTemplates(dir, prefix = '') {
+    if (!await fs.pathExists(dir)) return [];
+    const found = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+            found.push(...await listTemplates(path.join(dir, entry.name), `${prefix}${entry.name}/`));
+        } else if (/\.(html|css)$/.test(entry.name)) {
+            const name = `${prefix}${entry.name.replace(/\.(html|css)$/, '')}`;
+            const file = path.join(dir, entry.name);
+            const other = found.find(template => template.name === name);
+            if (other) {
+                throw new Error(`${path.relative(PROJECT_DIR, other.file)} and ${path.relative(PROJECT_DIR, file)} are both named "${name}"; rename one`);
+            }
+            found.push({ name, file });
+        }
+    }
+    return found;
+}
+
+async function readTemplate(file) {
+    // Error messages name the file relative to the project, like templates/base/partials/hero.html
+    const relative = path.relative(PROJECT_DIR, file);
+    return { source: await fs.readFile(file, 'utf-8'), file: relative.startsWith('..') ? file : relative.replace(/\\/g, '/') };
+}
+
+/**
+ * Load a template folder (templates/base by default) for rendering. Returns
+ * { dirs, index, styles, script, partials, layouts, helpers }, each template as { source, file }.
+ */
+export async function loadTemplateSet(templateDir = BASE_TEMPLATE_DIR) {
+    // Looked up in order: the folder, then the base template
+    const dirs = [...new Set([path.resolve(templateDir), BASE_TEMPLATE_DIR])];
+
+    const first = async name => {
+        for (const dir of dirs) {
+            const file = path.join(dir, name);
+            if (await fs.pathExists(file)) return readTemplate(file);
+        }
+        throw new Error(`Template file ${name} not found in ${dirs.map(dir => path.relative(PROJECT_DIR, dir)).join(' or ')}`);
+    };
+
+    const collect = async folder => {
+        const templates = {};
+        // Base first so the folder's own files replace them
+        for (const dir of [...dirs].reverse()) {
+            for (const { name, file } of await listTemplates(path.join(dir, folder))) {
+                templates[name] = await readTemplate(file);
+            }
+        }
+        return templates;
+    };
+
+    const helpers = {};
+    for (const dir of [...dirs].reverse()) {
+        const file = path.join(dir, 'helpers.js');
+        if (!await fs.pathExists(file)) continue;
+        const module = await import(pathToFileURL(file).href);
+        for (const [name, fn] of Object.entries(module)) {
+            if (name !== 'default' && typeof fn === 'function') helpers[name] = fn;
+        }
+    }
+
+    return {
+        dirs,
+        index: await first('index.html'),
+        styles: await first('styles.css'),
+        script: await first('script.js'),
+        partials: await collect('partials'),
+        layouts: await collect('layouts'),
+        helpers
+    };
+}
@@ -0,0 +1,176 @@
+/**
+ * Theme registry: every folder in templates/ with a theme.json is a theme. The manifest says what
+ * the theme is for and what it needs:
+ *
+ *   {
+ *     "name": "Restaurant & Café",
+ *     "description": "Menu-first layout with a visit-us band",
+ *     "categories": ["restaurant", "cafe"],    Google Places types the theme is picked for
+ *     "requires": ["businessName"],            data fields the design doesn't work without
+ *     "optional": ["menu", "images"],          data fields it shows when they're there
+ *     "preview": "preview.svg"                 an image of the design, relative to the folder
+ *   }
+ *
+ * templates/base is the default theme; the others only hold the files they change.
+ *
+ * Usage: node generator/themes.js [data-file-slug]
+ */
+
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { BASE_TEMPLATE_DIR } from './templates.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const THEMES_DIR = path.dirname(BASE_TEMPLATE_DIR);
+export const DEFAULT_THEME = path.basename(BASE_TEMPLATE_DIR);
+
+const THEME_ID = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Whether the data has a value at a dotted path ("contact.phone"); empty strings and lists don't count
+ */
+function hasField(data, field) {
+    const value = field.split('.').reduce((object, key) => (object && Object.hasOwn(object, key) ? object[key] : undefined), data);
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * The theme's required fields the data doesn't have
+ */
+export function missingFields(theme, data) {
+    return theme.requires.filter(field => !hasField(data, field));
+}
+
+async function readManifest(themesDir, id) {
+    const dir = path.join(themesDir, id);
+    const file = path.join(dir, 'theme.json');
+    const where = `${path.basename(themesDir)}/${id}/theme.json`;
+    let manifest;
+    try {
+        manifest = await fs.readJson(file);
+    } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+    }
+
+    if (!THEME_ID.test(id)) {
+        throw new Error(`${where}: theme folders are named in lowercase-with-dashes`);
+    }
+    if (typeof manifest.name !== 'string' || !manifest.name.trim()) {
+        throw new Error(`${where}: "name" is required`);
+    }
+    for (const key of ['categories', 'requires', 'optional']) {
+        const list = manifest[key] ?? [];
+        if (!Array.isArray(list) || list.some(entry => typeof entry !== 'string' || !entry)) {
+            throw new Error(`${where}: "${key}" must be a list of strings`);
+        }
+    }
+    const preview = manifest.preview ? path.join(dir, manifest.preview) : null;
+    if (preview && !await fs.pathExists(preview)) {
+        throw new Error(`${where}: preview ${manifest.preview} not found`);
+    }
+
+    return {
+        id,
+        dir,
+        name: manifest.name,
+        description: manifest.description || '',
+        categories: manifest.categories || [],
+        requires: manifest.requires || [],
+        optional: manifest.optional || [],
+        preview
+    };
+}
+
+/**
+ * Every theme in templates/ (or `themesDir`), the default first
+ */
+export async function listThemes(themesDir = THEMES_DIR) {
+    const themes = [];
+    for (const entry of await fs.readdir(themesDir, { withFileTypes: true })) {
+        if (entry.isDirectory() && await fs.pathExists(path.join(themesDir, entry.name, 'theme.json'))) {
+            themes.push(await readManifest(themesDir, entry.name));
+        }
+    }
+    if (!themes.some(theme => theme.id === DEFAULT_THEME)) {
+        throw new Error(`The default theme has no manifest (${path.basename(themesDir)}/${DEFAULT_THEME}/theme.json)`);
+    }
+    return themes.sort((a, b) => (a.id === DEFAULT_THEME ? -1 : b.id === DEFAULT_THEME ? 1 : a.id.localeCompare(b.id)));
+}
+
+/**
+ * Look up a theme by id among `themes`, with an error naming the ones there are
+ */
+export function findTheme(themes, id) {
+    const theme = themes.find(candidate => candidate.id === id);
+    if (!theme) {
+        throw new Error(`Unknown theme "${id}" (themes: ${themes.map(candidate => candidate.id).join(', ')})`);
+    }
+    return theme;
+}
+
+/**
+ * Pick a business's theme. In order: the `theme` asked for (the --theme flag), the customer
+ * record's `customerTheme`, the first theme made for one of the data's Google Places types
+ * (`placeTypes`, most specific first) that has the data it requires, then the default.
+ * Returns { theme, reason, missing } - `missing` lists required fields the data lacks.
+ */
+export function selectTheme(themes, data, { theme: requested = null, customerTheme = null } = {}) {
+    const chosen = (theme, reason) => ({ theme, reason, missing: missingFields(theme, data) });
+
+    if (requested) {
+        return chosen(findTheme(themes, requested), 'asked for');
+    }
+    // A theme that's since been removed falls through to the usual choice
+    const saved = customerTheme && themes.find(theme => theme.id === customerTheme);
+    if (saved) {
+        return chosen(saved, 'customer record');
+    }
+
+    for (const type of data.placeTypes || []) {
+        const theme = themes.find(candidate => candidate.categories.includes(type) && missingFields(candidate, data).length === 0);
+        if (theme) {
+            return chosen(theme, `Places type ${type}`);
+        }
+    }
+    return chosen(findTheme(themes, DEFAULT_THEME), 'default');
+}
+
+/**
+ * Print the themes, and with a data file slug, the one that business would get
+ */
+async function printThemes(slug = null) {
+    const themes = await listThemes();
+    console.log(chalk.blue(`\n🎨 ${themes.length} themes\n`));
+    for (const theme of themes) {
+        console.log(`${chalk.bold(theme.id)} - ${theme.name}${theme.id === DEFAULT_THEME ? chalk.gray(' (default)') : ''}`);
+        if (theme.description) console.log(chalk.gray(`  ${theme.description}`));
+        if (theme.categories.length > 0) console.log(chalk.gray(`  Categories: ${theme.categories.join(', ')}`));
+        if (theme.requires.length > 0) console.log(chalk.gray(`  Requires: ${theme.requires.join(', ')}`));
+        if (theme.optional.length > 0) console.log(chalk.gray(`  Optional: ${theme.optional.join(', ')}`));
+        if (theme.preview) console.log(chalk.gray(`  Preview: ${path.relative(process.cwd(), theme.preview)}`));
+    }
+
+    if (slug) {
+        const data = await fs.readJson(path.join(__dirname, '..', '.scraped-data', `${slug}.json`));
+        const customerFile = path.join(__dirname, '..', 'websites', 'sites', data.businessSlug || slug, 'customer.json');
+        const customer = await fs.pathExists(customerFile) ? await fs.readJson(customerFile) : null;
+        const { theme, reason, missing } = selectTheme(themes, data, { customerTheme: customer?.theme });
+        console.log(chalk.green(`\n${data.businessName || slug}: ${theme.id} (${reason})`));
+        if (missing.length > 0) console.log(chalk.yellow(`  Missing required data: ${missing.join(', ')}`));
+    }
+    console.log('');
+}
+
+// CLI Interface
+if (process.argv[1] && (import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href || process.argv[1].endsWith('themes.js'))) {
+    const [slug] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    printThemes(slug).catch(err => {
+        console.error(chalk.red('Error:'), err.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,165 @@
+/**
+ * Online ordering, reservation and booking links
+ *
+ * Recognizes the providers restaurants and salons link out to (DoorDash, Toast online ordering,
+ * OpenTable, Resy, Square Appointments, Vagaro...) and links labelled "Order online", "Reserve"
+ * or "Book now". An action looks like:
+ * {
+ *     type: 'order',                 // 'order', 'reserve' or 'book'
+ *     provider: 'toast',             // null for the business's own ordering/booking page
+ *     label: 'Toast',
+ *     url: 'https://www.toasttab.com/example/v3',
+ *     firstParty: true,              // the business's own ordering system rather than a marketplace
+ *     confidence: 0.9
+ * }
+ */
+
+export const ACTION_TYPES = ['order', 'reserve', 'book'];
+
+// Known providers by the host (and path) their links point at. First-party ordering systems
+// come before the delivery marketplaces, which take a cut of every order.
+const PROVIDERS = [
+    { name: 'toast', label: 'Toast', type: 'order', firstParty: true, pattern: /(^|\.)toasttab\.com\/(?!.*\/(giftcards?|careers|jobs))|(^|\.)toast\.site\/.*order/i },
+    { name: 'chownow', label: 'ChowNow', type: 'order', firstParty: true, pattern: /(^|\.)(chownow\.com|ordering\.chownow\.com|direct\.chownow\.com)\//i },
+    { name: 'square-online', label: 'Square Online', type: 'order', firstParty: true, pattern: /(^|\.)square\.site\/(?!book)|squareup\.com\/(store|order)\//i },
+    { name: 'clover', label: 'Clover', type: 'order', firstParty: true, pattern: /(^|\.)clover\.com\/online-ordering\//i },
+    { name: 'menufy', label: 'Menufy', type: 'order', firstParty: true, pattern: /(^|\.)menufy\.com\//i },
+    { name: 'slice', label: 'Slice', type: 'order', firstParty: false, pattern: /(^|\.)slicelife\.com\//i },
+    { name: 'doordash', label: 'DoorDash', type: 'order', firstParty: false, pattern: /(^|\.)doordash\.com\/(store|business)\//i },
+    { name: 'ubereats', label: 'Uber Eats', type: 'order', firstParty: false, pattern: /(^|\.)ubereats\.com\//i },
+    { name: 'grubhub', label: 'Grubhub', type: 'order', firstParty: false, pattern: /(^|\.)grubhub\.com\/restaurant\//i },
+    { name: 'seamless', label: 'Seamless', type: 'order', firstParty: false, pattern: /(^|\.)seamless\.com\/menu\//i },
+    { name: 'postmates', label: 'Postmates', type: 'order', firstParty: false, pattern: /(^|\.)postmates\.com\/(store|merchant)\//i },
+
+    { name: 'opentable', label: 'OpenTable', type: 'reserve', firstParty: false, pattern: /(^|\.)opentable\.(com|ca|co\.uk)\/(r\/|restref|restaurant\/profile|booking)/i },
+    { name: 'resy', label: 'Resy', type: 'reserve', firstParty: false, pattern: /(^|\.)resy\.com\/cities\/|widgets\.resy\.com/i },
+    { name: 'tock', label: 'Tock', type: 'reserve', firstParty: false, pattern: /(^|\.)exploretock\.com\//i },
+    { name: 'sevenrooms', label: 'SevenRooms', type: 'reserve', firstParty: false, pattern: /(^|\.)sevenrooms\.com\/reservations\//i },
+    { name: 'yelp-reservations', label: 'Yelp', type: 'reserve', firstParty: false, pattern: /(^|\.)yelp\.com\/reservations\//i },
+
+    { name: 'square-appointments', label: 'Square Appointments', type: 'book', firstParty: true, pattern: /squareup\.com\/appointments\/|(^|\.)square\.site\/book/i },
+    { name: 'vagaro', label: 'Vagaro', type: 'book', firstParty: true, pattern: /(^|\.)vagaro\.com\//i },
+    { name: 'booksy', label: 'Booksy', type: 'book', firstParty: true, pattern: /(^|\.)booksy\.com\/.*\/(b|biz|\d)/i },
+    { name: 'styleseat', label: 'StyleSeat', type: 'book', firstParty: true, pattern: /(^|\.)styleseat\.com\/m\//i },
+    { name: 'fresha', label: 'Fresha', type: 'book', firstParty: true, pattern: /(^|\.)fresha\.com\/(a|book-now|providers)\//i },
+    { name: 'glossgenius', label: 'GlossGenius', type: 'book', firstParty: true, pattern: /(^|\.)glossgenius\.com\b/i },
+    { name: 'mindbody', label: 'Mindbody', type: 'book', firstParty: true, pattern: /(^|\.)(mindbodyonline\.com|clients\.mindbodyonline\.com)\//i },
+    { name: 'schedulicity', label: 'Schedulicity', type: 'book', firstParty: true, pattern: /(^|\.)schedulicity\.com\//i },
+    { name: 'acuity', label: 'Acuity Scheduling', type: 'book', firstParty: true, pattern: /(^|\.)(as\.me|acuityscheduling\.com)\b/i },
+    { name: 'calendly', label: 'Calendly', type: 'book', firstParty: true, pattern: /(^|\.)calendly\.com\//i }
+];
+
+// Link text that names an action when the link goes to the business's own page or an unknown host
+const ACTION_TEXT = [
+    ['order', /\b(order (online|now|pickup|delivery|here|food|takeout|to go)|online order(ing)?|start (an |your )?order|pickup (&|and) delivery)\b/i],
+    ['reserve', /\b(reserv(e|ations?)|book a table|make a reservation)\b/i],
+    ['book', /\b(book (now|online|an? appointment|a visit|your (visit|appointment))|schedule (an? )?(appointment|visit)|request (an )?appointment)\b/i]
+];
+
+// Links that mention a provider but aren't a way to order or book (careers pages, the provider's own marketing)
+const NOT_AN_ACTION = /\/(careers|jobs|giftcards?|gift-cards?|signup|sign-up|login|partners?|merchants?|for-restaurants|about|legal|privacy)(\/|$|\?)/i;
+
+/**
+ * The known provider a URL points at, or null
+ */
+export function actionProvider(url) {
+    if (!url || NOT_AN_ACTION.test(url)) return null;
+    let hostAndPath;
+    try {
+        const parsed = new URL(url);
+        hostAndPath = `${parsed.hostname}${parsed.pathname}`;
+    } catch (e) {
+        return null;
+    }
+    return PROVIDERS.find(provider => provider.pattern.test(hostAndPath)) || null;
+}
+
+function actionFromText(text) {
+    const match = ACTION_TEXT.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : null;
+}
+
+function resolveUrl(href, baseUrl) {
+    try {
+        return new URL(href, baseUrl || undefined).href;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Build an action for a URL (and optionally its link text): a known provider, or a labelled
+ * link to the business's own ordering/booking page. Returns null for anything else.
+ */
+export function actionFromUrl(url, text = '') {
+    const provider = actionProvider(url);
+    if (provider) {
+        return {
+            type: provider.type,
+            provider: provider.name,
+            label: provider.label,
+            url,
+            firstParty: provider.firstParty,
+            confidence: 0.9
+        };
+    }
+
+    const type = actionFromText(text);
+    if (!type || !/^https?:/i.test(url || '')) return null;
+    return { type, provider: null, label: null, url, firstParty: true, confidence: 0.6 };
+}
+
+/**
+ * Order the actions for display: by type, then the business's own systems before marketplaces,
+ * then known providers before plain labelled links
+ */
+export function sortActions(actions) {
+    return [...actions].sort((a, b) =>
+        ACTION_TYPES.indexOf(a.type) - ACTION_TYPES.indexOf(b.type)
+        || Number(b.firstParty) - Number(a.firstParty)
+        || Number(!!b.provider) - Number(!!a.provider)
+        || b.confidence - a.confidence);
+}
+
+/**
+ * Every ordering, reservation and booking link on a page (one per URL, and one per provider)
+ */
+export function extractActions($, baseUrl) {
+    const actions = [];
+
+    $('a[href]').each((i, elem) => {
+        const href = ($(elem).attr('href') || '').trim();
+        if (!href || /^(#|mailto:|tel:|sms:|javascript:)/i.test(href)) return;
+        const url = resolveUrl(href, baseUrl);
+        if (!url) return;
+        const text = [$(elem).text(), $(elem).attr('aria-label'), $(elem).attr('title')].filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+        const action = actionFromUrl(url, text);
+        // A labelled link to another page of the same site ("Reservations" in the nav) is navigation;
+        // the crawler visits that page and picks up the widget or provider link on it
+        if (action && !action.provider && baseUrl && new URL(url).hostname === new URL(baseUrl).hostname) return;
+        actions.push(action);
+    });
+
+    // Ordering, reservation and booking widgets embedded in an iframe (its src is a page a customer can open)
+    $('iframe[src]').each((i, elem) => {
+        const url = resolveUrl($(elem).attr('src'), baseUrl);
+        const action = url && actionFromUrl(url);
+        if (action) actions.push({ ...action, confidence: 0.8 });
+    });
+
+    return mergeActions(actions);
+}
+
+/**
+ * Merge action lists (e.g. from several pages), dropping repeats of a URL or provider
+ */
+export function mergeActions(...lists) {
+    const merged = [];
+    for (const action of lists.flat()) {
+        if (!action || !action.url) continue;
+        if (merged.some(existing => existing.url === action.url
+            || (action.provider && existing.provider === action.provider && existing.type === action.type))) continue;
+        merged.push(action);
+    }
+    return sortActions(merged);
+}
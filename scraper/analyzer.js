@@ -1,109 +1,352 @@
 #!/usr/bin/env node
 
-import puppeteer from 'puppeteer';
-import * as cheerio from 'cheerio';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import {
-    extractColors,
     extractBusinessName,
     extractContactInfo,
     extractSocialLinks,
     extractLogo,
+    findLogoCandidates,
     extractServices,
     extractHours,
     extractImages,
     extractAboutText,
     generateSlug
 } from './utils.js';
+import { loadPage, findCrawlTargets, mergePageResults } from './crawler.js';
+import { createCrawlService } from './crawl-service.js';
+import { extractStructuredData, applyStructuredData } from './structured-data.js';
+import { parseHoursText, scheduleFromStructuredData } from './hours.js';
+import { extractMenu } from './menu.js';
+import { findMenuPdfLinks, downloadPdf, menuFromPdf, loadMenuPdf } from './pdf-menu.js';
+import { recordSnapshot, replaySnapshot, readSnapshot } from './snapshot.js';
+import { assetDir, fetchAsset, saveLogo, downloadImages } from './assets.js';
+import { captureScreenshots, saveScreenshots } from './screenshots.js';
+import { auditPage, measurePage, scoreAudit } from './audit.js';
+import { collectComputedColors, collectInlineColors, sampleLogoColors, buildPalette } from './colors.js';
+import { recordProvenance, withPageUrl } from './provenance.js';
+import { detectPlatform, extractField } from './platforms/index.js';
+import { findContactForms } from './channels.js';
+import { extractTestimonials } from './testimonials.js';
+import { extractActions } from './actions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// How much a menu is trusted, by where it was read from
+const MENU_CONFIDENCE = {
+    'schema.org': 0.95,
+    pdf: 0.75,
+    html: 0.6,
+    text: 0.5
+};
+
+// How much testimonials are trusted, by how the first one was found
+const TESTIMONIAL_CONFIDENCE = {
+    'google-widget': 0.8,
+    'yelp-widget': 0.8,
+    'facebook-widget': 0.75,
+    'tripadvisor-widget': 0.75,
+    'testimonial-block': 0.6,
+    'testimonial-heading': 0.5,
+    blockquote: 0.4
+};
+
+/**
+ * Run the per-page extractors against one loaded page, trying the platform adapter first
+ */
+function extractPageData($, pageUrl, adapter = null) {
+    const provenance = {};
+    const menu = extractMenu($);
+    if (menu) {
+        recordProvenance(provenance, 'menu', {
+            confidence: MENU_CONFIDENCE[menu.source] ?? 0.5,
+            strategy: menu.source,
+            snippet: menu.sections.flatMap(section => section.items).slice(0, 3).map(item => `${item.name} ${item.price || ''}`).join('; ')
+        });
+    }
+
+    const reviews = extractTestimonials($);
+    if (reviews) {
+        recordProvenance(provenance, 'testimonials', {
+            confidence: TESTIMONIAL_CONFIDENCE[reviews.strategy] ?? 0.5,
+            strategy: reviews.strategy,
+            selector: reviews.selector,
+            snippet: reviews.testimonials[0].text
+        });
+    }
+
+    const actions = extractActions($, pageUrl);
+    if (actions.length > 0) {
+        recordProvenance(provenance, 'actions', {
+            confidence: actions[0].confidence,
+            strategy: actions[0].provider ? `provider:${actions[0].provider}` : 'link-text',
+            selector: 'a[href]',
+            snippet: actions.map(action => action.url).join(' ')
+        });
+    }
+
+    return {
+        services: extractField(adapter, 'services', $, pageUrl, provenance, () => extractServices($, provenance)),
+        menu: menu,
+        hours: extractField(adapter, 'hours', $, pageUrl, provenance, () => extractHours($, provenance)),
+        aboutText: extractAboutText($, provenance),
+        testimonials: reviews ? reviews.testimonials : [],
+        actions: actions,
+        contact: { ...extractContactInfo($, provenance), forms: findContactForms($, pageUrl) },
+        structured: extractStructuredData($),
+        provenance: withPageUrl(provenance, pageUrl)
+    };
+}
+
 /**
  * Main scraper function
+ *
+ * Options:
+ *   maxPages - how many same-origin pages (about, menu, contact...) to crawl besides the homepage
+ *   menuPdf  - path to a local menu PDF; its menu replaces whatever the site yields
+ *   snapshot - { mode: 'record' | 'replay', dir }: record every response into a snapshot
+ *              directory, or serve the scrape entirely from one with no network access
+ *   screenshots - set to false to skip the desktop/mobile screenshots of the homepage
+ *   crawler  - a crawler service (scraper/crawl-service.js) shared with other scrapes; without
+ *              one the scrape starts its own and closes it when done
  */
-async function scrapeWebsite(url) {
+async function scrapeWebsite(url, options = {}) {
+    const { maxPages = 5, menuPdf = null, snapshot = null, screenshots = true } = options;
+    const replaying = snapshot?.mode === 'replay';
+    const crawler = options.crawler || createCrawlService();
+    // Replays never touch the network, so robots.txt and rate limits don't apply
+    const polite = replaying ? null : crawler;
+
     console.log(chalk.blue(`\n🔍 Analyzing website: ${url}\n`));
 
-    let browser;
     let page;
+    let recorder = null;
 
     try {
-        // Launch browser
-        browser = await puppeteer.launch({
-            headless: true,
-            args: ['--no-sandbox', '--disable-setuid-sandbox']
-        });
-        
-        page = await browser.newPage();
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
+        page = await crawler.openPage({ blockResources: !replaying && crawler.settings.blockResources });
+
+        if (snapshot?.mode === 'record') {
+            recorder = await recordSnapshot(page, snapshot.dir, url);
+            console.log(chalk.gray(`Recording snapshot to ${snapshot.dir}`));
+        } else if (replaying) {
+            await replaySnapshot(page, snapshot.dir);
+            console.log(chalk.gray(`Replaying snapshot from ${snapshot.dir} (offline)`));
+        }
         
         // Navigate to page
         console.log(chalk.gray('Loading page...'));
-        await page.goto(url, {
-            waitUntil: 'networkidle2',
-            timeout: 30000
-        });
-
-        // Get page content
-        const html = await page.content();
-        const $ = cheerio.default ? cheerio.default.load(html) : cheerio.load(html);
+        // Page weight, timings and broken images for the audit (meaningless in an offline replay)
+        const measurement = replaying ? null : await measurePage(page);
+        const $ = await loadPage(page, url, { crawler: polite });
+        const measured = measurement ? await measurement.stop() : null;
 
         // Extract data
         console.log(chalk.gray('Extracting data...'));
         
-        const businessName = extractBusinessName($);
-        const colors = await extractColors($, page);
-        const contact = extractContactInfo($);
-        const socialLinks = extractSocialLinks($);
-        const logoUrl = extractLogo($, url);
-        const services = extractServices($);
-        const images = extractImages($, url);
-        const hours = extractHours($);
-
-        // Download logo if found
+        // Sample colors while the homepage is still open; the palette is built once the logo is sampled too
+        const colorSamples = [...collectInlineColors($), ...await collectComputedColors(page)];
+
+        // Screenshot the site as it looks today while the homepage is open; saved once the business's slug is known
+        let shots = {};
+        if (screenshots) {
+            console.log(chalk.gray('Taking screenshots...'));
+            shots = await captureScreenshots(page);
+        }
+
+        // Squarespace, Wix, WordPress, Shopify and Toast sites get their platform's selectors first
+        const platform = detectPlatform($, url);
+        const adapter = platform?.adapter || null;
+        if (platform) {
+            console.log(chalk.gray(`Detected platform: ${adapter.label} (${platform.signals.join(', ')})`));
+        }
+
+        // Audit the current site (HTTPS is judged by where any redirects ended up)
+        const audit = auditPage($, replaying ? url : page.url() || url, { platform });
+        audit.images.broken = measured?.brokenImages || [];
+        audit.performance = measured?.performance || null;
+        Object.assign(audit, scoreAudit(audit), { auditedAt: new Date().toISOString() });
+
+        // Crawl linked pages (about, menu, contact, hours) and run the per-page extractors on each
+        const pageResults = [{ url, role: 'home', data: extractPageData($, url, adapter) }];
+        const crawlTargets = [];
+        for (const target of maxPages > 0 ? findCrawlTargets($, url, { maxPages, navSelector: adapter?.selectors.nav }) : []) {
+            if (polite && !await polite.allowed(target.url)) {
+                console.log(chalk.gray(`Skipping ${target.role} page (disallowed by robots.txt): ${target.url}`));
+                continue;
+            }
+            crawlTargets.push(target);
+        }
+        const menuPdfLinks = findMenuPdfLinks($, url);
+
+        for (const target of crawlTargets) {
+            console.log(chalk.gray(`Crawling ${target.role} page: ${target.url}`));
+            try {
+                const $page = await loadPage(page, target.url, { crawler: polite });
+                pageResults.push({ url: target.url, role: target.role, data: extractPageData($page, target.url, adapter) });
+                menuPdfLinks.push(...findMenuPdfLinks($page, target.url, { anyPdf: target.role === 'menu' })
+                    .filter(link => !menuPdfLinks.some(existing => existing.url === link.url)));
+            } catch (e) {
+                console.log(chalk.yellow(`⚠ Could not load ${target.url}:`, e.message));
+            }
+        }
+
+        const merged = mergePageResults(pageResults);
+
+        // Menus published as PDFs: a supplied file wins, otherwise read linked PDFs when the pages
+        // themselves had little or no menu. Runs before the logo download navigates away from the site.
+        let menu = merged.menu;
+        if (menuPdf) {
+            console.log(chalk.gray(`Reading menu PDF: ${menuPdf}`));
+            const pdfMenu = await loadMenuPdf(menuPdf);
+            if (pdfMenu) {
+                menu = pdfMenu;
+                merged.sources.menu = pdfMenu.sourceUrl;
+                recordProvenance(merged.provenance, 'menu', { confidence: 0.9, strategy: 'supplied-pdf', pageUrl: pdfMenu.sourceUrl });
+            }
+        } else if (menuPdfLinks.length > 0 && (menu?.itemCount || 0) < 5) {
+            for (const link of menuPdfLinks.slice(0, 3)) {
+                console.log(chalk.gray(`Reading menu PDF: ${link.url}`));
+                try {
+                    const buffer = await downloadPdf(page, link.url, { network: !replaying, onResponse: recorder?.add, crawler: polite });
+                    const pdfMenu = await menuFromPdf(buffer, link.url);
+                    if (pdfMenu && pdfMenu.itemCount > (menu?.itemCount || 0)) {
+                        menu = pdfMenu;
+                        merged.sources.menu = link.url;
+                        recordProvenance(merged.provenance, 'menu', { confidence: MENU_CONFIDENCE.pdf, strategy: 'pdf', pageUrl: link.url, snippet: link.label });
+                    }
+                } catch (e) {
+                    console.log(chalk.yellow(`⚠ Could not read menu PDF ${link.url}:`, e.message));
+                }
+            }
+        }
+
+        // schema.org data (JSON-LD, microdata, RDFa) takes precedence over the heuristics
+        const structuredPage = pageResults.find(result => result.data.structured);
+        const homeProvenance = {};
+        const metaDescription = $('meta[name="description"]').attr('content');
+        const ogDescription = $('meta[property="og:description"]').attr('content');
+        if (metaDescription || ogDescription) {
+            recordProvenance(homeProvenance, 'businessDescription', {
+                confidence: metaDescription ? 0.8 : 0.7,
+                strategy: 'meta',
+                selector: metaDescription ? 'meta[name="description"]' : 'meta[property="og:description"]',
+                snippet: metaDescription || ogDescription
+            });
+        }
+        const fields = applyStructuredData({
+            businessName: extractBusinessName($, homeProvenance),
+            businessDescription: metaDescription || ogDescription || null,
+            contact: merged.contact,
+            socialLinks: extractSocialLinks($, homeProvenance),
+            logoUrl: extractField(adapter, 'logo', $, url, homeProvenance, () => extractLogo($, url, homeProvenance), 'logoUrl'),
+            images: extractField(adapter, 'images', $, url, homeProvenance, () => extractImages($, url, homeProvenance)),
+            hours: merged.hours,
+            testimonials: merged.testimonials,
+            actions: merged.actions,
+            sources: merged.sources,
+            provenance: { ...merged.provenance, ...withPageUrl(homeProvenance, url) }
+        }, structuredPage?.data.structured, structuredPage?.url);
+
+        const { businessName } = fields;
+        const businessSlug = generateSlug(businessName);
+        const assetsDir = assetDir(path.join(__dirname, '..'), businessSlug);
+        if (structuredPage) {
+            console.log(chalk.gray(`Found ${fields.structuredData.format} ${fields.structuredData.type} data on ${structuredPage.url}`));
+        }
+
+        const screenshotFiles = await saveScreenshots(shots, path.join(assetsDir, 'screenshots'), 'original');
+        const auditFile = path.join(assetsDir, 'audit.json');
+        await fs.outputJson(auditFile, audit, { spaces: 2 });
+
+        // Download logo and images into the business's own asset directory
+        // The chosen logo first, then the rest of the fallback chain (inline SVG, CSS background,
+        // touch icon, favicon, og:image) until one downloads and passes the size check
         let logoPath = null;
-        if (logoUrl) {
-            console.log(chalk.gray(`Downloading logo from ${logoUrl}...`));
+        let logoHash = null;
+        let logoUrl = fields.logoUrl;
+        const logoCandidates = [
+            ...(fields.logoUrl ? [{ url: fields.logoUrl }] : []),
+            ...findLogoCandidates($, url).filter(candidate => candidate.url !== fields.logoUrl)
+        ];
+        for (const candidate of logoCandidates) {
+            const label = candidate.url.startsWith('data:') ? 'inline SVG' : candidate.url;
+            console.log(chalk.gray(`Downloading logo from ${label}...`));
             try {
-                const response = await page.goto(logoUrl, { waitUntil: 'networkidle0' });
-                const buffer = await response.buffer();
-                
-                const logoDir = path.join(__dirname, '..', '.scraped-data', 'logos');
-                await fs.ensureDir(logoDir);
-                
-                const logoExt = path.extname(new URL(logoUrl).pathname) || '.png';
-                logoPath = path.join(logoDir, `logo${logoExt}`);
-                await fs.writeFile(logoPath, buffer);
-                console.log(chalk.green('✓ Logo downloaded'));
+                const buffer = await fetchAsset(page, candidate.url, { crawler: polite });
+                const logo = await saveLogo(buffer, assetsDir, candidate.url);
+                logoPath = logo.file;
+                logoHash = logo.hash;
+                logoUrl = candidate.url;
+                if (candidate.strategy) {
+                    const { url: candidateUrl, ...evidence } = candidate;
+                    recordProvenance(fields.provenance, 'logoUrl', { ...evidence, pageUrl: url });
+                }
+                console.log(chalk.green(`✓ Logo downloaded${candidate.strategy ? ` (${candidate.strategy})` : ''}`));
+
+                colorSamples.push(...await sampleLogoColors(page));
+                break;
             } catch (e) {
                 console.log(chalk.yellow('⚠ Could not download logo:', e.message));
             }
         }
 
+        console.log(chalk.gray(`Downloading ${fields.images.length} images...`));
+        const images = await downloadImages(page, fields.images, assetsDir, { skipHashes: logoHash ? [logoHash] : [], crawler: polite });
+
+        const colors = buildPalette(colorSamples);
+        recordProvenance(fields.provenance, 'colors', {
+            confidence: logoPath ? 0.7 : 0.6,
+            strategy: logoPath ? 'computed-styles+logo' : 'computed-styles',
+            pageUrl: url,
+            snippet: (colors.palette || []).slice(0, 5).map(entry => entry.color).join(' ')
+        });
+
+        // The weekly schedule is only as good as the hours text or structured data it came from
+        const structuredSchedule = scheduleFromStructuredData(fields.structuredData);
+        const hoursSchedule = structuredSchedule || parseHoursText(fields.hours);
+        if (hoursSchedule && fields.provenance.hours) {
+            fields.provenance.hoursSchedule = {
+                ...fields.provenance.hours,
+                strategy: structuredSchedule ? fields.provenance.hours.strategy : `parsed ${fields.provenance.hours.strategy}`
+            };
+        }
+
         // Compile extracted data
         const extractedData = {
             sourceUrl: url,
             businessName: businessName,
-            businessSlug: generateSlug(businessName),
+            businessSlug: businessSlug,
             businessTagline: $('meta[property="og:description"]').attr('content') || 
                             $('meta[name="description"]').attr('content') || 
                             'Welcome to ' + businessName,
-            businessDescription: $('meta[name="description"]').attr('content') || 
-                                $('meta[property="og:description"]').attr('content') || 
-                                `${businessName} - Your trusted local business`,
+            businessDescription: fields.businessDescription || `${businessName} - Your trusted local business`,
             colors: colors,
-            contact: contact,
-            socialLinks: socialLinks,
+            contact: fields.contact,
+            socialLinks: fields.socialLinks,
             logoUrl: logoUrl,
             logoPath: logoPath,
-            services: services,
-            hours: extractHours($),
+            services: merged.services,
+            menu: menu,
+            hours: fields.hours,
+            hoursSchedule: hoursSchedule,
             images: images,
-            aboutText: extractAboutText($) || `${businessName} - Your trusted local business`
+            assetsDir: assetsDir,
+            screenshots: Object.keys(screenshotFiles).length > 0 ? screenshotFiles : null,
+            audit: { score: audit.score, issues: audit.issues.map(issue => issue.message), file: auditFile },
+            aboutText: merged.aboutText || `${businessName} - Your trusted local business`,
+            testimonials: fields.testimonials,
+            actions: fields.actions,
+            geo: fields.geo || null,
+            menuUrl: fields.menuUrl || menuPdfLinks[0]?.url || null,
+            structuredData: fields.structuredData || null,
+            platform: platform ? { name: adapter.name, label: adapter.label, score: platform.score, signals: platform.signals } : null,
+            crawledPages: pageResults.map(result => ({ url: result.url, role: result.role })),
+            sources: fields.sources,
+            provenance: fields.provenance
         };
 
         // Save extracted data
@@ -119,42 +362,97 @@ async function scrapeWebsite(url) {
         console.log(chalk.cyan('Extracted Information:'));
         console.log(`  Business Name: ${extractedData.businessName}`);
         console.log(`  Primary Color: ${extractedData.colors.primaryColor}`);
-        console.log(`  Phone: ${extractedData.contact.phone || 'Not found'}`);
+        console.log(`  Phone: ${extractedData.contact.phone || 'Not found'}${extractedData.contact.phones?.length > 1 ? ` (+${extractedData.contact.phones.length - 1} more)` : ''}`);
         console.log(`  Email: ${extractedData.contact.email || 'Not found'}`);
+        console.log(`  Address: ${extractedData.contact.address || 'Not found'}${extractedData.contact.address && !extractedData.contact.addressParts ? ' (unparsed)' : ''}`);
         console.log(`  Services: ${extractedData.services.length}`);
-        console.log(`  Social Links: ${extractedData.socialLinks.length}\n`);
+        console.log(`  Menu Items: ${extractedData.menu ? extractedData.menu.itemCount : 0}`);
+        console.log(`  Social Links: ${extractedData.socialLinks.length}`);
+        console.log(`  Testimonials: ${extractedData.testimonials.length}`);
+        if (extractedData.actions.length > 0) {
+            console.log(`  Actions: ${extractedData.actions.map(action => `${action.type} (${action.label || action.url})`).join(', ')}`);
+        }
+        console.log(`  Needs New Website: ${audit.score}/100${audit.issues.length > 0 ? ` (${audit.issues.slice(0, 3).map(issue => issue.id).join(', ')})` : ''}`);
+        console.log(`  Screenshots: ${extractedData.screenshots ? Object.keys(extractedData.screenshots).join(', ') : 'None'}`);
+        console.log(`  Pages Crawled: ${extractedData.crawledPages.length}\n`);
+
+        if (recorder) {
+            const count = await recorder.save();
+            console.log(chalk.green(`✓ Snapshot saved: ${count} responses in ${snapshot.dir}\n`));
+        }
 
-        await browser.close();
         return extractedData;
 
     } catch (error) {
         console.error(chalk.red('\n❌ Error scraping website:'), error.message);
-        if (browser) {
-            await browser.close();
+        // A snapshot of a failed scrape is still useful for reproducing the failure
+        if (recorder) {
+            await recorder.save().catch(() => {});
         }
         throw error;
+    } finally {
+        await crawler.releasePage(page);
+        if (!options.crawler) {
+            await crawler.close();
+        }
     }
 }
 
 // CLI Interface
 if (import.meta.url === `file://${process.argv[1]}` || process.argv[1].includes('analyzer.js')) {
-    const url = process.argv[2];
-    
-    if (!url) {
-        console.log(chalk.red('❌ Please provide a URL to scrape'));
-        console.log(chalk.yellow('\nUsage: node scraper/analyzer.js <url>\n'));
-        process.exit(1);
-    }
+    const args = process.argv.slice(2);
+    let url = args.find(arg => !arg.startsWith('--'));
+    const maxPagesArg = args.find(arg => arg.startsWith('--max-pages='));
+    const menuPdfArg = args.find(arg => arg.startsWith('--menu-pdf='));
+    const recordArg = args.find(arg => arg === '--record' || arg.startsWith('--record='));
+    const replayArg = args.find(arg => arg.startsWith('--replay='));
 
-    // Validate URL
-    try {
-        new URL(url);
-    } catch (e) {
-        console.log(chalk.red('❌ Invalid URL provided'));
-        process.exit(1);
+    async function main() {
+        const options = {};
+
+        if (replayArg) {
+            // Replays default to the URL the snapshot was recorded from
+            const dir = path.resolve(replayArg.substring('--replay='.length));
+            url = url || (await readSnapshot(dir)).url;
+            options.snapshot = { mode: 'replay', dir };
+        }
+
+        if (!url) {
+            console.log(chalk.red('❌ Please provide a URL to scrape'));
+            console.log(chalk.yellow('\nUsage: node scraper/analyzer.js <url> [--max-pages=5] [--menu-pdf=path/to/menu.pdf] [--record[=dir]] [--no-screenshots]'));
+            console.log(chalk.yellow('       node scraper/analyzer.js --replay=<snapshot-dir>\n'));
+            process.exit(1);
+        }
+
+        // Validate URL
+        try {
+            new URL(url);
+        } catch (e) {
+            console.log(chalk.red('❌ Invalid URL provided'));
+            process.exit(1);
+        }
+
+        if (recordArg) {
+            const dir = recordArg.includes('=')
+                ? recordArg.substring('--record='.length)
+                : path.join(__dirname, '..', '.scraped-data', 'snapshots', new URL(url).hostname);
+            options.snapshot = { mode: 'record', dir: path.resolve(dir) };
+        }
+
+        if (maxPagesArg) {
+            options.maxPages = parseInt(maxPagesArg.split('=')[1], 10) || 0;
+        }
+        if (menuPdfArg) {
+            options.menuPdf = menuPdfArg.substring('--menu-pdf='.length);
+        }
+        if (args.includes('--no-screenshots')) {
+            options.screenshots = false;
+        }
+
+        await scrapeWebsite(url, options);
     }
 
-    scrapeWebsite(url).catch(err => {
+    main().catch(err => {
         console.error(chalk.red('\n❌ Fatal error:'), err);
         process.exit(1);
     });
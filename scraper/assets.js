@@ -0,0 +1,206 @@
+/**
+ * Per-business asset pipeline: downloads the logo and gallery images into
+ * `.scraped-data/assets/<slug>/`, dedupes them by content hash, drops tiny and tracking images
+ * by their real dimensions and writes resized WebP/AVIF variants for responsive markup.
+ *
+ * A processed image looks like:
+ * {
+ *     hash: '3f2a9c0d1e4b5a67',
+ *     file: '3f2a9c0d1e4b5a67.jpg',      // optimized fallback, at most MAX_WIDTH wide
+ *     width: 1600,
+ *     height: 1067,
+ *     variants: [{ format: 'avif', width: 480, file: '3f2a9c0d1e4b5a67-480.avif' }, ...]
+ * }
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import sharp from 'sharp';
+import chalk from 'chalk';
+
+const VARIANT_WIDTHS = [480, 960, 1600];
+const VARIANT_FORMATS = ['avif', 'webp'];
+const MAX_WIDTH = 1600;
+
+// Gallery images smaller than this are icons, badges or tracking pixels
+const MIN_IMAGE_WIDTH = 200;
+const MIN_IMAGE_HEIGHT = 150;
+const MIN_LOGO_SIZE = 16;
+const MAX_ASPECT_RATIO = 4;
+
+/**
+ * Per-slug asset directory
+ */
+export function assetDir(rootDir, slug) {
+    return path.join(rootDir, '.scraped-data', 'assets', slug);
+}
+
+/**
+ * Fetch an image through the scraping browser session. The page is left showing the image,
+ * which the logo color sampler relies on. With a crawler service the request waits for the
+ * host's rate limit and is refused if robots.txt disallows it.
+ */
+export async function fetchAsset(page, url, { crawler = null } = {}) {
+    // Inline artwork (an SVG logo captured from the page) is already here; show it for the sampler
+    if (url.startsWith('data:')) {
+        const buffer = decodeDataUrl(url);
+        await page.goto(url, { waitUntil: 'load', timeout: 20000 }).catch(() => {});
+        return buffer;
+    }
+
+    const navigate = () => page.goto(url, { waitUntil: 'load', timeout: 20000 });
+    const response = await (crawler ? crawler.throttle(url, navigate) : navigate());
+    if (!response || !response.ok()) {
+        throw new Error(`HTTP ${response ? response.status() : 'error'} fetching ${url}`);
+    }
+    return response.buffer();
+}
+
+/**
+ * Contents of a data: URL
+ */
+export function decodeDataUrl(url) {
+    const match = url.match(/^data:([^,]*?)(;base64)?,(.*)$/s);
+    if (!match) throw new Error('Malformed data URL');
+    return match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]));
+}
+
+function contentHash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex').substring(0, 16);
+}
+
+/**
+ * Real dimensions of an image, accounting for EXIF rotation
+ */
+async function readDimensions(buffer) {
+    const metadata = await sharp(buffer, { failOn: 'none' }).metadata();
+    const rotated = (metadata.orientation || 1) >= 5;
+    return {
+        format: metadata.format,
+        width: rotated ? metadata.height : metadata.width,
+        height: rotated ? metadata.width : metadata.height,
+        hasAlpha: !!metadata.hasAlpha
+    };
+}
+
+/**
+ * Why an image shouldn't be used, or null when it's fine
+ */
+function rejectReason({ width, height }, kind) {
+    if (!width || !height) return 'unknown dimensions';
+    if (kind === 'logo') {
+        return width < MIN_LOGO_SIZE || height < MIN_LOGO_SIZE ? `too small (${width}x${height})` : null;
+    }
+    if (width < MIN_IMAGE_WIDTH || height < MIN_IMAGE_HEIGHT) return `too small (${width}x${height})`;
+    if (width / height > MAX_ASPECT_RATIO || height / width > MAX_ASPECT_RATIO) return `odd aspect ratio (${width}x${height})`;
+    return null;
+}
+
+/**
+ * Save the logo as-is (SVGs and small PNGs don't benefit from variants) under its content hash
+ */
+export async function saveLogo(buffer, dir, sourceUrl) {
+    const hash = contentHash(buffer);
+    const svg = /<svg[\s>]/i.test(buffer.subarray(0, 512).toString('utf-8'));
+    let format = null;
+    if (!svg) {
+        const dimensions = await readDimensions(buffer);
+        const reason = rejectReason(dimensions, 'logo');
+        if (reason) throw new Error(`Logo rejected: ${reason}`);
+        format = dimensions.format === 'jpeg' ? 'jpg' : dimensions.format;
+    }
+
+    const ext = svg ? '.svg' : (format ? `.${format}` : path.extname(new URL(sourceUrl).pathname).toLowerCase() || '.png');
+    const file = path.join(dir, `logo-${hash}${ext}`);
+    await fs.ensureDir(dir);
+    if (!await fs.pathExists(file)) {
+        await fs.writeFile(file, buffer);
+    }
+    return { hash, file };
+}
+
+/**
+ * Optimize one image and write its responsive variants. Files are named by content hash, so
+ * re-scraping the same site reuses them.
+ */
+export async function processImage(buffer, dir) {
+    const dimensions = await readDimensions(buffer);
+    const reason = rejectReason(dimensions, 'image');
+    if (reason) {
+        return { rejected: reason };
+    }
+
+    const hash = contentHash(buffer);
+    const width = Math.min(dimensions.width, MAX_WIDTH);
+    const height = Math.round(dimensions.height * (width / dimensions.width));
+    const fallbackExt = dimensions.hasAlpha ? 'png' : 'jpg';
+    const file = `${hash}.${fallbackExt}`;
+
+    await fs.ensureDir(dir);
+    const write = async (name, targetWidth, format) => {
+        const target = path.join(dir, name);
+        if (await fs.pathExists(target)) return;
+        const pipeline = sharp(buffer, { failOn: 'none' }).rotate().resize({ width: targetWidth, withoutEnlargement: true });
+        const encoded = format === 'jpg' ? pipeline.jpeg({ quality: 80, mozjpeg: true })
+            : format === 'png' ? pipeline.png({ compressionLevel: 9 })
+            : format === 'avif' ? pipeline.avif({ quality: 50 })
+            : pipeline.webp({ quality: 75 });
+        await encoded.toFile(target);
+    };
+
+    await write(file, width, fallbackExt);
+
+    const widths = [...new Set([...VARIANT_WIDTHS.filter(w => w < width), width])];
+    const variants = [];
+    for (const format of VARIANT_FORMATS) {
+        for (const variantWidth of widths) {
+            const name = `${hash}-${variantWidth}.${format}`;
+            await write(name, variantWidth, format);
+            variants.push({ format, width: variantWidth, file: name });
+        }
+    }
+
+    return { hash, file, width, height, variants };
+}
+
+/**
+ * Download and process gallery images. Rejected and duplicate images are dropped; images that
+ * fail to download keep their original URL without an `asset`.
+ *
+ * Options:
+ *   skipHashes - content hashes already used (e.g. the logo's)
+ *   crawler    - crawl service to throttle the downloads with (see fetchAsset)
+ */
+export async function downloadImages(page, images, dir, { skipHashes = [], crawler = null } = {}) {
+    const seen = new Set(skipHashes);
+    const results = [];
+
+    for (const image of images) {
+        let buffer;
+        try {
+            buffer = await fetchAsset(page, image.url, { crawler });
+        } catch (e) {
+            console.log(chalk.yellow(`⚠ Could not download ${image.url}:`, e.message));
+            results.push(image);
+            continue;
+        }
+
+        const hash = contentHash(buffer);
+        if (seen.has(hash)) continue;
+        seen.add(hash);
+
+        try {
+            const asset = await processImage(buffer, dir);
+            if (asset.rejected) {
+                console.log(chalk.gray(`Skipping image ${image.url}: ${asset.rejected}`));
+                continue;
+            }
+            results.push({ ...image, asset });
+        } catch (e) {
+            console.log(chalk.gray(`Skipping image ${image.url}: not a readable image (${e.message})`));
+        }
+    }
+
+    return results;
+}
@@ -0,0 +1,247 @@
+/**
+ * Audit of a business's current site, to qualify leads and give outreach concrete problems to cite
+ *
+ * An audit looks like:
+ * {
+ *     url: 'http://joespizza.com/',
+ *     https: false,
+ *     mobileViewport: false,
+ *     meta: { title: "Joe's Pizza", description: null, ogTitle: null, ogDescription: null, ogImage: null,
+ *             missing: ['description', 'og:title', 'og:description', 'og:image'] },
+ *     copyrightYear: 2016,
+ *     cms: { name: 'wordpress', label: 'WordPress', source: 'platform' },
+ *     images: { total: 14, broken: ['http://joespizza.com/img/special.jpg'] },
+ *     performance: { pageWeightBytes: 6291456, requests: 87, ttfbMs: 820, domContentLoadedMs: 2900, loadMs: 6100 },
+ *     score: 72,                                       // 0-100: how much the business needs a new website
+ *     issues: [{ id: 'no-mobile-viewport', points: 25, message: "The site isn't set up for phones" }, ...]
+ * }
+ * auditPage() collects what the HTML shows, measurePage() what only the browser knows
+ * (performance, broken images) and scoreAudit() adds the score and issues.
+ */
+
+// Platforms the adapters in platforms/ don't cover, by their <meta name="generator"> tag
+const GENERATOR_CMS = [
+    [/joomla/i, 'joomla', 'Joomla'],
+    [/drupal/i, 'drupal', 'Drupal'],
+    [/weebly/i, 'weebly', 'Weebly'],
+    [/godaddy|website builder/i, 'godaddy', 'GoDaddy Website Builder'],
+    [/webflow/i, 'webflow', 'Webflow'],
+    [/duda/i, 'duda', 'Duda'],
+    [/jimdo/i, 'jimdo', 'Jimdo'],
+    [/frontpage/i, 'frontpage', 'Microsoft FrontPage'],
+    [/dreamweaver/i, 'dreamweaver', 'Dreamweaver'],
+    [/wix/i, 'wix', 'Wix'],
+    [/wordpress/i, 'wordpress', 'WordPress'],
+    [/squarespace/i, 'squarespace', 'Squarespace'],
+    [/shopify/i, 'shopify', 'Shopify']
+];
+
+// "© 2019", "Copyright 2014-2019", "(c) 2019"; a range counts as its last year
+const COPYRIGHT_PATTERN = /(?:©|\(c\)|copyright)\s*(?:(?:19|20)\d{2}\s*[-–—]\s*)?((?:19|20)\d{2})/gi;
+
+// Thresholds where the audit starts counting against the site
+const SLOW_LOAD_MS = 4000;
+const VERY_SLOW_LOAD_MS = 8000;
+const HEAVY_PAGE_BYTES = 3 * 1024 * 1024;
+const VERY_HEAVY_PAGE_BYTES = 6 * 1024 * 1024;
+const STALE_COPYRIGHT_YEARS = 2;
+
+function metaContent($, selector) {
+    const content = ($(selector).first().attr('content') || '').trim();
+    return content || null;
+}
+
+/**
+ * The latest year in a copyright notice, preferring the footer ("© 2014-2019" → 2019)
+ */
+export function findCopyrightYear($) {
+    const scopes = [$('footer'), $('[class*="footer" i], [id*="footer" i]'), $('body')];
+    for (const scope of scopes) {
+        const text = scope.map((i, elem) => $(elem).text()).get().join(' ');
+        const years = [...text.matchAll(COPYRIGHT_PATTERN)].map(match => parseInt(match[1], 10));
+        if (years.length > 0) return Math.max(...years);
+    }
+    return null;
+}
+
+/**
+ * The site's CMS: the detected platform adapter, or the generator tag for platforms without one
+ */
+export function detectCms($, platform = null) {
+    if (platform) {
+        return { name: platform.adapter.name, label: platform.adapter.label, source: 'platform' };
+    }
+    const generator = $('meta[name="generator" i]').map((i, elem) => $(elem).attr('content')).get().join(' ');
+    const match = GENERATOR_CMS.find(([pattern]) => pattern.test(generator));
+    return match ? { name: match[1], label: match[2], source: 'generator' } : null;
+}
+
+/**
+ * Audit what the HTML shows: HTTPS, mobile viewport, title/description/Open Graph tags, the
+ * copyright year and the CMS
+ */
+export function auditPage($, url, { platform = null } = {}) {
+    let https = false;
+    try {
+        https = new URL(url).protocol === 'https:';
+    } catch (e) {
+        // An unparseable URL isn't served over HTTPS either
+    }
+
+    const viewport = metaContent($, 'meta[name="viewport" i]');
+    const meta = {
+        title: $('head title').first().text().trim() || $('title').first().text().trim() || null,
+        description: metaContent($, 'meta[name="description" i]'),
+        ogTitle: metaContent($, 'meta[property="og:title"]'),
+        ogDescription: metaContent($, 'meta[property="og:description"]'),
+        ogImage: metaContent($, 'meta[property="og:image"]')
+    };
+    const labels = { title: 'title', description: 'description', ogTitle: 'og:title', ogDescription: 'og:description', ogImage: 'og:image' };
+    meta.missing = Object.keys(labels).filter(key => !meta[key]).map(key => labels[key]);
+
+    return {
+        url,
+        https,
+        mobileViewport: !!viewport && /width\s*=\s*device-width/i.test(viewport),
+        viewport,
+        meta,
+        copyrightYear: findCopyrightYear($),
+        cms: detectCms($, platform),
+        images: { total: $('img').length, broken: [] },
+        performance: null
+    };
+}
+
+/**
+ * Start measuring a page load: call before navigating, then `await stop()` once the page has
+ * loaded for { performance, brokenImages }. Page weight counts bytes over the wire, so resources
+ * the crawler blocks (video, trackers) aren't in it.
+ */
+export async function measurePage(page) {
+    let session = null;
+    let bytes = 0;
+    let requests = 0;
+    const failedImages = new Set();
+    const blocked = new Set();
+    const imageRequests = new Map();
+
+    try {
+        session = await page.target().createCDPSession();
+        await session.send('Network.enable');
+        session.on('Network.requestWillBeSent', event => {
+            requests++;
+            if (event.type === 'Image') imageRequests.set(event.requestId, event.request.url);
+        });
+        session.on('Network.responseReceived', event => {
+            if (event.type === 'Image' && event.response.status >= 400) failedImages.add(event.response.url);
+        });
+        session.on('Network.loadingFinished', event => {
+            bytes += event.encodedDataLength || 0;
+        });
+        session.on('Network.loadingFailed', event => {
+            const url = imageRequests.get(event.requestId);
+            if (event.type !== 'Image' || !url || event.canceled) return;
+            // Tracking pixels the crawler blocked aren't the site's fault
+            if (/BLOCKED/i.test(event.errorText || '')) blocked.add(url);
+            else failedImages.add(url);
+        });
+    } catch (e) {
+        session = null;
+    }
+
+    return {
+        async stop() {
+            let timings = null;
+            let domBroken = [];
+            try {
+                ({ timings, domBroken } = await page.evaluate(() => {
+                    const [navigation] = performance.getEntriesByType('navigation');
+                    const broken = Array.from(document.images)
+                        .filter(img => img.complete && img.naturalWidth === 0 && (img.currentSrc || img.src))
+                        .map(img => img.currentSrc || img.src);
+                    return {
+                        timings: navigation ? {
+                            ttfbMs: Math.round(navigation.responseStart - navigation.startTime),
+                            domContentLoadedMs: Math.round(navigation.domContentLoadedEventEnd - navigation.startTime),
+                            loadMs: Math.round(navigation.loadEventEnd - navigation.startTime)
+                        } : null,
+                        domBroken: broken
+                    };
+                }));
+            } catch (e) {
+                // A page that navigated away or crashed has no timings to give
+            }
+            if (session) {
+                await session.detach().catch(() => {});
+            }
+
+            const brokenImages = [...new Set([...failedImages, ...domBroken])].filter(url => /^https?:/.test(url) && !blocked.has(url));
+            return {
+                performance: session || timings ? { pageWeightBytes: session ? bytes : null, requests: session ? requests : null, ...(timings || {}) } : null,
+                brokenImages
+            };
+        }
+    };
+}
+
+function megabytes(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Score how much a business needs a new website (0-100) from an audit, with the problems behind
+ * the score worded for a pitch, biggest first
+ */
+export function scoreAudit(audit, { now = new Date() } = {}) {
+    const issues = [];
+    const add = (id, points, message) => issues.push({ id, points, message });
+
+    if (!audit.mobileViewport) {
+        add('no-mobile-viewport', 25, "The site isn't set up for phones, so mobile visitors get a shrunken desktop page");
+    }
+    if (!audit.https) {
+        add('no-https', 20, "The site isn't served over HTTPS, so browsers label it \"Not secure\"");
+    }
+
+    const broken = audit.images?.broken?.length || 0;
+    if (broken > 0) {
+        add('broken-images', Math.min(15, broken * 5), `${broken} image${broken === 1 ? ' is' : 's are'} broken on the homepage`);
+    }
+
+    const loadMs = audit.performance?.loadMs;
+    if (loadMs >= VERY_SLOW_LOAD_MS) {
+        add('slow-load', 15, `The homepage takes ${(loadMs / 1000).toFixed(1)} seconds to load`);
+    } else if (loadMs >= SLOW_LOAD_MS) {
+        add('slow-load', 8, `The homepage takes ${(loadMs / 1000).toFixed(1)} seconds to load`);
+    }
+
+    const weight = audit.performance?.pageWeightBytes;
+    if (weight >= VERY_HEAVY_PAGE_BYTES) {
+        add('heavy-page', 10, `The homepage downloads ${megabytes(weight)}, slow on a phone connection`);
+    } else if (weight >= HEAVY_PAGE_BYTES) {
+        add('heavy-page', 5, `The homepage downloads ${megabytes(weight)}`);
+    }
+
+    if (audit.copyrightYear && now.getFullYear() - audit.copyrightYear >= STALE_COPYRIGHT_YEARS) {
+        const age = now.getFullYear() - audit.copyrightYear;
+        add('stale-copyright', age >= 4 ? 10 : 5, `The footer still says © ${audit.copyrightYear}, so the site looks unmaintained`);
+    }
+
+    const missing = audit.meta?.missing || [];
+    if (missing.includes('title')) {
+        add('no-title', 8, 'The homepage has no title, so search results and browser tabs show the bare address');
+    }
+    if (missing.includes('description')) {
+        add('no-description', 6, 'There is no meta description, so search engines make up the snippet under the link');
+    }
+    const missingOg = missing.filter(tag => tag.startsWith('og:'));
+    if (missingOg.length > 0) {
+        add('no-open-graph', missingOg.includes('og:image') ? 4 : 2, `Links shared on social media have no ${missingOg.includes('og:image') ? 'preview image' : 'proper preview'} (missing ${missingOg.join(', ')})`);
+    }
+
+    issues.sort((a, b) => b.points - a.points);
+    return {
+        score: Math.min(100, issues.reduce((total, issue) => total + issue.points, 0)),
+        issues
+    };
+}
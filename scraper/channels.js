@@ -0,0 +1,212 @@
+/**
+ * Contact channels: email addresses (including Cloudflare-protected and "name [at] domain"
+ * spellings), sms: links and contact-form endpoints
+ *
+ * An email found here looks like:
+ * { role: 'main', address: 'info@example.com', source: 'mailto', confidence: 0.9, selector, snippet }
+ * and a contact form like:
+ * {
+ *     action: 'https://formspree.io/f/abc',
+ *     method: 'post',                       // or 'embed' for an iframed form service
+ *     provider: 'formspree',                // null for a site's own form handler
+ *     fields: ['name', 'email', 'message'],
+ *     pageUrl: 'https://example.com/contact'
+ * }
+ */
+
+import { emailRole, parsePhone } from './contact.js';
+import { snippetOf } from './provenance.js';
+
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+const VALID_EMAIL = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/;
+
+// Asset filenames, error trackers and builder placeholders that look like addresses
+const JUNK_EMAIL = /\.(png|jpe?g|gif|webp|svg)$|@(sentry|[\w-]*\.?wixpress|example)\.|^(email|your\.?name|name|user)@(domain|email|yourdomain)\./i;
+
+// "info [at] example [dot] com", "info(at)example.com", "info at example dot com". A bare "at" only
+// counts when the domain spells out "dot" too, so "find us at example.com" isn't read as an address.
+const DOT = String.raw`(?:\s*[\[({]\s*dot\s*[\])}]\s*|\s+dot\s+)`;
+const OBFUSCATED_EMAILS = [
+    new RegExp(String.raw`\b([A-Za-z0-9._%+-]+)\s*[\[({]\s*at\s*[\])}]\s*([A-Za-z0-9-]+(?:(?:${DOT}|\.)[A-Za-z0-9-]+)*(?:${DOT}|\.)[A-Za-z]{2,})\b`, 'gi'),
+    new RegExp(String.raw`\b([A-Za-z0-9._%+-]+)\s+at\s+([A-Za-z0-9-]+(?:(?:${DOT}|\.)[A-Za-z0-9-]+)*${DOT}[A-Za-z]{2,})\b`, 'gi')
+];
+
+// Hosted form services, by the host their forms post to
+const FORM_PROVIDERS = [
+    ['formspree', /formspree\.io/i],
+    ['netlify', /netlify/i],
+    ['google-forms', /docs\.google\.com\/forms|forms\.gle/i],
+    ['jotform', /jotform/i],
+    ['typeform', /typeform\.com/i],
+    ['wufoo', /wufoo\.com/i],
+    ['hubspot', /hsforms|hubspot/i],
+    ['getform', /getform\.io/i],
+    ['basin', /usebasin\.com/i]
+];
+
+// Page builders' own form markup, for forms that post back to the site
+const FORM_MARKUP = [
+    ['contact-form-7', '.wpcf7, .wpcf7-form'],
+    ['gravity-forms', '.gform_wrapper, [id^="gform_"]'],
+    ['wpforms', '.wpforms-form'],
+    ['elementor', '.elementor-form'],
+    ['squarespace', '.form-block, .sqs-block-form'],
+    ['wix', '[data-hook="form"], form[class*="wixui"]'],
+    ['netlify', 'form[data-netlify], form[netlify]']
+];
+
+/**
+ * Decode a Cloudflare email-protection string: the first byte is an XOR key for the rest
+ */
+export function decodeCfEmail(encoded) {
+    if (!encoded || !/^[0-9a-f]+$/i.test(encoded) || encoded.length < 4 || encoded.length % 2 !== 0) return null;
+    const key = parseInt(encoded.substring(0, 2), 16);
+    let decoded = '';
+    for (let i = 2; i < encoded.length; i += 2) {
+        decoded += String.fromCharCode(parseInt(encoded.substring(i, i + 2), 16) ^ key);
+    }
+    return VALID_EMAIL.test(decoded) ? decoded : null;
+}
+
+/**
+ * Rewrite "info [at] example [dot] com" style spellings as plain addresses
+ */
+export function deobfuscateEmails(text) {
+    return OBFUSCATED_EMAILS.reduce((result, pattern) => result.replace(pattern, (match, local, domain) => {
+        const address = `${local}@${domain.replace(new RegExp(DOT, 'gi'), '.')}`;
+        return VALID_EMAIL.test(address) ? address : match;
+    }), text || '');
+}
+
+function isUsableEmail(address) {
+    return VALID_EMAIL.test(address) && !JUNK_EMAIL.test(address);
+}
+
+// Label text just before a link or match, for roles
+function labelBefore(text, index) {
+    return index < 0 ? '' : text.substring(Math.max(0, index - 40), index).replace(/^[\s\S]*@\S+/, '');
+}
+
+/**
+ * Every email address on a page: mailto: links, Cloudflare-protected addresses, plain text and
+ * obfuscated spellings, in that order of trust. `text` is the page's visible text.
+ */
+export function findEmails($, text = $('body').text()) {
+    const emails = [];
+    const seen = new Set();
+    const add = (address, label, evidence) => {
+        address = address.trim();
+        if (!isUsableEmail(address) || seen.has(address.toLowerCase())) return;
+        seen.add(address.toLowerCase());
+        emails.push({ role: emailRole(address, label), address, ...evidence });
+    };
+    const linkLabel = elem => {
+        const parentText = $(elem).parent().text();
+        return labelBefore(parentText, parentText.indexOf($(elem).text()));
+    };
+
+    $('a[href^="mailto:" i]').each((i, elem) => {
+        const href = $(elem).attr('href') || '';
+        let address;
+        try {
+            address = decodeURIComponent(href.substring(7).split('?')[0]);
+        } catch (e) {
+            return;
+        }
+        // mailto:a@x.com,b@x.com
+        for (const part of address.split(',')) {
+            add(part, linkLabel(elem), { source: 'mailto', confidence: 0.9, selector: 'a[href^="mailto:"]', snippet: snippetOf($, elem) });
+        }
+    });
+
+    $('[data-cfemail], a[href*="/cdn-cgi/l/email-protection#"]').each((i, elem) => {
+        const encoded = $(elem).attr('data-cfemail') || ($(elem).attr('href') || '').split('#')[1];
+        const address = decodeCfEmail(encoded);
+        if (address) {
+            add(address, linkLabel(elem), { source: 'cloudflare', confidence: 0.85, selector: '[data-cfemail]', snippet: snippetOf($, elem) });
+        }
+    });
+
+    for (const match of text.matchAll(EMAIL_PATTERN)) {
+        add(match[0], labelBefore(text, match.index), { source: 'text', confidence: 0.6, snippet: text.substring(Math.max(0, match.index - 40), match.index + match[0].length + 40) });
+    }
+
+    const deobfuscated = deobfuscateEmails(text);
+    if (deobfuscated !== text) {
+        for (const match of deobfuscated.matchAll(EMAIL_PATTERN)) {
+            add(match[0], labelBefore(deobfuscated, match.index), { source: 'obfuscated', confidence: 0.6, snippet: deobfuscated.substring(Math.max(0, match.index - 40), match.index + match[0].length + 40) });
+        }
+    }
+
+    return emails;
+}
+
+/**
+ * Numbers from sms: links (text-to-order, text-to-book), normalized like phones
+ */
+export function findSmsNumbers($) {
+    const numbers = [];
+    $('a[href^="sms:" i]').each((i, elem) => {
+        const parsed = parsePhone(($(elem).attr('href') || '').substring(4).split(/[?&;]/)[0]);
+        if (parsed && !numbers.some(number => number.e164 === parsed.e164)) {
+            numbers.push(parsed);
+        }
+    });
+    return numbers;
+}
+
+function formProvider($, form, action) {
+    const byHost = FORM_PROVIDERS.find(([, pattern]) => pattern.test(action || ''));
+    if (byHost) return byHost[0];
+    const byMarkup = FORM_MARKUP.find(([, selector]) => $(form).is(selector) || $(form).closest(selector).length > 0);
+    return byMarkup ? byMarkup[0] : null;
+}
+
+function resolveAction(action, baseUrl) {
+    if (!baseUrl) return action || null;
+    try {
+        return new URL(action || '', baseUrl).href;
+    } catch (e) {
+        return action || null;
+    }
+}
+
+/**
+ * Contact forms on a page: forms with a message box or name/email fields (search and
+ * newsletter sign-up forms are skipped), plus embedded form services (Google Forms, JotForm,
+ * Typeform) in iframes
+ */
+export function findContactForms($, baseUrl = null) {
+    const forms = [];
+
+    $('form').each((i, form) => {
+        const fields = $(form).find('input, textarea, select')
+            .filter((j, field) => !/^(hidden|submit|button|image|reset)$/i.test($(field).attr('type') || ''))
+            .map((j, field) => $(field).attr('name') || $(field).attr('id') || $(field).attr('type') || field.tagName)
+            .get();
+        const hasMessage = $(form).find('textarea').length > 0;
+        const hasEmail = $(form).find('input[type="email"], input[name*="email" i]').length > 0;
+        const isSearch = $(form).attr('role') === 'search' || $(form).find('input[type="search"], input[name="q"], input[name="s"]').length > 0;
+        // A lone email box is a newsletter sign-up, not a way to reach the business
+        if (isSearch || !(hasMessage || (hasEmail && fields.length >= 3))) return;
+
+        const action = resolveAction($(form).attr('action'), baseUrl);
+        forms.push({
+            action,
+            method: ($(form).attr('method') || 'get').toLowerCase(),
+            provider: formProvider($, form, action),
+            fields: fields.slice(0, 12),
+            pageUrl: baseUrl
+        });
+    });
+
+    $('iframe[src]').each((i, frame) => {
+        const src = resolveAction($(frame).attr('src'), baseUrl);
+        const provider = FORM_PROVIDERS.find(([name, pattern]) => ['google-forms', 'jotform', 'typeform', 'wufoo', 'hubspot'].includes(name) && pattern.test(src || ''));
+        if (provider) {
+            forms.push({ action: src, method: 'embed', provider: provider[0], fields: [], pageUrl: baseUrl });
+        }
+    });
+
+    return forms;
+}
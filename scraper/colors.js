@@ -0,0 +1,338 @@
+/**
+ * Brand color palette extraction
+ *
+ * Colors are sampled from the rendered page (computed styles of headers, buttons, links and hero
+ * sections), from inline styles, and from the logo image. Samples are clustered in CIELAB space so
+ * near-identical shades merge, then roles are assigned by how heavily each cluster is used.
+ */
+
+const DEFAULT_COLORS = {
+    primaryColor: '#333333',
+    secondaryColor: '#666666',
+    accentColor: '#ff6b6b',
+    textColor: '#333333',
+    bgColor: '#ffffff'
+};
+
+// Colors closer than this (CIE76 delta E) are treated as the same color
+const CLUSTER_DISTANCE = 12;
+// Roles must be at least this far apart to be worth using as separate colors
+const DISTINCT_DISTANCE = 20;
+// Below this chroma a color reads as gray
+const MIN_BRAND_CHROMA = 15;
+// Browser default link colors say nothing about the brand
+const USER_AGENT_COLORS = ['#0000ee', '#551a8b', '#0000ff'];
+
+/**
+ * Parse a CSS color string (hex, rgb(), rgba()) into [r, g, b, a]. Returns null if unsupported.
+ */
+export function parseColor(value) {
+    if (!value || typeof value !== 'string') return null;
+    const color = value.trim().toLowerCase();
+
+    const hex = color.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length === 3 || digits.length === 4) {
+            digits = digits.split('').map(c => c + c).join('');
+        }
+        if (digits.length !== 6 && digits.length !== 8) return null;
+        const alpha = digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1;
+        return [
+            parseInt(digits.slice(0, 2), 16),
+            parseInt(digits.slice(2, 4), 16),
+            parseInt(digits.slice(4, 6), 16),
+            alpha
+        ];
+    }
+
+    const rgb = color.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/);
+    if (rgb) {
+        let alpha = 1;
+        if (rgb[4] !== undefined) {
+            alpha = rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+        }
+        return [Math.round(+rgb[1]), Math.round(+rgb[2]), Math.round(+rgb[3]), alpha];
+    }
+
+    return null;
+}
+
+export function toHex([r, g, b]) {
+    return '#' + [r, g, b].map(c => Math.max(0, Math.min(255, Math.round(c))).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * sRGB to CIELAB (D65)
+ */
+export function rgbToLab([r, g, b]) {
+    const linear = c => {
+        c /= 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+
+    const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+    const y = (lr * 0.2126 + lg * 0.7152 + lb * 0.0722) / 1.0;
+    const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+
+    const f = t => (t > 0.008856 ? Math.cbrt(t) : (7.787 * t) + 16 / 116);
+    const [fx, fy, fz] = [f(x), f(y), f(z)];
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+export function deltaE(labA, labB) {
+    return Math.sqrt(
+        Math.pow(labA[0] - labB[0], 2) +
+        Math.pow(labA[1] - labB[1], 2) +
+        Math.pow(labA[2] - labB[2], 2)
+    );
+}
+
+function chroma(lab) {
+    return Math.sqrt(lab[1] * lab[1] + lab[2] * lab[2]);
+}
+
+/**
+ * Sample colors from the rendered page with getComputedStyle.
+ * Returns [{ color, usage, weight }] where usage is brand, accent, background or text.
+ */
+export async function collectComputedColors(page) {
+    if (!page || typeof page.evaluate !== 'function') return [];
+
+    try {
+        return await page.evaluate(() => {
+            const groups = [
+                { selector: 'header, nav, [class*="header"], [class*="navbar"], [class*="topbar"]', props: ['backgroundColor', 'backgroundImage'], usage: 'brand', weight: 3 },
+                { selector: '[class*="hero"], [class*="banner"], [class*="jumbotron"], main > section:first-of-type', props: ['backgroundColor', 'backgroundImage'], usage: 'brand', weight: 3 },
+                { selector: 'h1, h2, h3, [class*="title"]', props: ['color'], usage: 'brand', weight: 1.5 },
+                { selector: 'footer', props: ['backgroundColor'], usage: 'brand', weight: 1 },
+                { selector: 'button, .btn, [class*="button"], [class*="btn-"], input[type="submit"], [class*="cta"]', props: ['backgroundColor', 'borderColor', 'backgroundImage'], usage: 'accent', weight: 4 },
+                { selector: 'a', props: ['color'], usage: 'accent', weight: 0.5 },
+                { selector: 'body, main, [class*="content"]', props: ['backgroundColor'], usage: 'background', weight: 5 },
+                { selector: 'body, p, li', props: ['color'], usage: 'text', weight: 1 }
+            ];
+
+            const samples = [];
+            for (const group of groups) {
+                const elements = Array.from(document.querySelectorAll(group.selector)).slice(0, 40);
+                for (const element of elements) {
+                    const rect = element.getBoundingClientRect();
+                    const style = window.getComputedStyle(element);
+                    if (rect.width === 0 || rect.height === 0 || style.visibility === 'hidden' || style.display === 'none') {
+                        continue;
+                    }
+
+                    // Larger elements say more about the brand than tiny ones
+                    const area = rect.width * rect.height;
+                    const sizeFactor = group.usage === 'text' ? 1 : Math.min(1 + area / 100000, 4);
+
+                    for (const prop of group.props) {
+                        const value = style[prop];
+                        if (!value || value === 'none') continue;
+                        const colors = prop === 'backgroundImage'
+                            ? value.match(/rgba?\([^)]+\)/g) || []
+                            : [value];
+                        for (const color of colors) {
+                            samples.push({ color, usage: group.usage, weight: group.weight * sizeFactor });
+                        }
+                    }
+                }
+            }
+            return samples;
+        });
+    } catch (e) {
+        console.warn('Could not read computed colors:', e.message);
+        return [];
+    }
+}
+
+/**
+ * Sample colors from inline styles and <style> blocks (works without a browser)
+ */
+export function collectInlineColors($) {
+    const samples = [];
+    const colorPattern = /#[0-9A-Fa-f]{3,8}\b|rgba?\([^)]+\)/g;
+
+    $('[style*="color"], [style*="background"]').each((i, elem) => {
+        const style = $(elem).attr('style') || '';
+        (style.match(colorPattern) || []).forEach(color => {
+            samples.push({ color, usage: /background/.test(style) ? 'brand' : 'accent', weight: 0.5 });
+        });
+    });
+
+    $('style').each((i, elem) => {
+        const css = $(elem).contents().text();
+        (css.match(colorPattern) || []).forEach(color => {
+            samples.push({ color, usage: 'brand', weight: 0.2 });
+        });
+    });
+
+    return samples;
+}
+
+/**
+ * Sample the dominant colors of an image that is open in the page (navigate to the logo URL first).
+ * Loading the image as the top-level document keeps the canvas same-origin, so pixels can be read.
+ */
+export async function sampleLogoColors(page) {
+    if (!page || typeof page.evaluate !== 'function') return [];
+
+    try {
+        return await page.evaluate(async () => {
+            const samples = [];
+
+            // SVG logos: read fills and strokes
+            const svg = document.documentElement.tagName.toLowerCase() === 'svg' ? document.documentElement : null;
+            if (svg) {
+                svg.querySelectorAll('path, rect, circle, ellipse, polygon, text, g').forEach(shape => {
+                    const style = window.getComputedStyle(shape);
+                    [style.fill, style.stroke].forEach(color => {
+                        if (color && color !== 'none' && color.startsWith('rgb')) {
+                            samples.push({ color, usage: 'logo', weight: 1 });
+                        }
+                    });
+                });
+                return samples;
+            }
+
+            const img = document.querySelector('img');
+            if (!img) return samples;
+            if (!img.complete) {
+                await new Promise(resolve => {
+                    img.onload = resolve;
+                    img.onerror = resolve;
+                });
+            }
+
+            const size = 48;
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+            const context = canvas.getContext('2d');
+            context.drawImage(img, 0, 0, size, size);
+            const pixels = context.getImageData(0, 0, size, size).data;
+
+            // Quantize to 4 bits per channel and count
+            const buckets = new Map();
+            let counted = 0;
+            for (let i = 0; i < pixels.length; i += 4) {
+                if (pixels[i + 3] < 200) continue;
+                const key = `${pixels[i] >> 4},${pixels[i + 1] >> 4},${pixels[i + 2] >> 4}`;
+                const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+                bucket.r += pixels[i];
+                bucket.g += pixels[i + 1];
+                bucket.b += pixels[i + 2];
+                bucket.count++;
+                buckets.set(key, bucket);
+                counted++;
+            }
+
+            Array.from(buckets.values())
+                .sort((a, b) => b.count - a.count)
+                .slice(0, 8)
+                .forEach(bucket => {
+                    const r = Math.round(bucket.r / bucket.count);
+                    const g = Math.round(bucket.g / bucket.count);
+                    const b = Math.round(bucket.b / bucket.count);
+                    samples.push({ color: `rgb(${r}, ${g}, ${b})`, usage: 'logo', weight: 10 * bucket.count / counted });
+                });
+
+            return samples;
+        });
+    } catch (e) {
+        console.warn('Could not sample logo colors:', e.message);
+        return [];
+    }
+}
+
+/**
+ * Group perceptually similar samples. Each cluster keeps the exact color of its heaviest sample
+ * (so brand colors come out as the site's real hex values, not averages) plus per-usage weights.
+ */
+export function clusterColors(samples) {
+    const parsed = samples
+        .map(sample => ({ ...sample, rgba: parseColor(sample.color) }))
+        .filter(sample => sample.rgba && sample.rgba[3] >= 0.5 && sample.weight > 0)
+        .filter(sample => !USER_AGENT_COLORS.includes(toHex(sample.rgba)))
+        .map(sample => ({ ...sample, lab: rgbToLab(sample.rgba) }))
+        .sort((a, b) => b.weight - a.weight);
+
+    const clusters = [];
+    for (const sample of parsed) {
+        let cluster = clusters.find(candidate => deltaE(candidate.lab, sample.lab) < CLUSTER_DISTANCE);
+        if (!cluster) {
+            cluster = { rgb: sample.rgba.slice(0, 3), lab: sample.lab, weight: 0, usage: {} };
+            clusters.push(cluster);
+        }
+        cluster.weight += sample.weight;
+        cluster.usage[sample.usage] = (cluster.usage[sample.usage] || 0) + sample.weight;
+    }
+
+    return clusters.sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Shift a color's lightness to derive a companion shade
+ */
+function shade(rgb, amount) {
+    return rgb.map(c => (amount > 0 ? c + (255 - c) * amount : c * (1 + amount)));
+}
+
+/**
+ * Assign palette roles from color samples
+ */
+export function buildPalette(samples) {
+    const clusters = clusterColors(samples);
+    const usage = (cluster, key) => cluster.usage[key] || 0;
+    const heaviest = (list, score) => list.reduce((best, cluster) => (!best || score(cluster) > score(best) ? cluster : best), null);
+
+    // Background: most-used page background, if it's light enough for the templates
+    const background = heaviest(clusters.filter(cluster => usage(cluster, 'background') > 0), cluster => usage(cluster, 'background'));
+    const bgCluster = background && background.lab[0] > 85 ? background : null;
+    const bgLab = bgCluster ? bgCluster.lab : rgbToLab([255, 255, 255]);
+
+    // Text: most-used body text color that stays readable on the background
+    const text = heaviest(clusters.filter(cluster => usage(cluster, 'text') > 0 && cluster.lab[0] < 45), cluster => usage(cluster, 'text'));
+
+    // Brand candidates: chromatic colors that aren't just the background
+    const brandScore = cluster => usage(cluster, 'brand') + usage(cluster, 'logo') * 1.5 + usage(cluster, 'accent') * 0.5;
+    const chromatic = clusters.filter(cluster => chroma(cluster.lab) >= MIN_BRAND_CHROMA && deltaE(cluster.lab, bgLab) > DISTINCT_DISTANCE);
+    const distinctFrom = (cluster, others) => others.every(other => !other || deltaE(cluster.lab, other.lab) > DISTINCT_DISTANCE);
+
+    let primary = heaviest(chromatic, brandScore);
+    if (!primary) {
+        // A black-and-white brand: use a dark header/logo color rather than generic gray
+        primary = heaviest(clusters.filter(cluster => cluster.lab[0] < 35 && brandScore(cluster) > 0), brandScore);
+    }
+
+    const accentCandidates = chromatic.filter(cluster => distinctFrom(cluster, [primary]));
+    const accent = heaviest(accentCandidates.filter(cluster => usage(cluster, 'accent') > 0), cluster => usage(cluster, 'accent'))
+        || heaviest(accentCandidates, cluster => chroma(cluster.lab));
+
+    const secondary = primary
+        ? heaviest(chromatic.filter(cluster => distinctFrom(cluster, [primary, accent]) && brandScore(cluster) > 0), brandScore)
+        : null;
+
+    const palette = {
+        primaryColor: primary ? toHex(primary.rgb) : DEFAULT_COLORS.primaryColor,
+        secondaryColor: DEFAULT_COLORS.secondaryColor,
+        accentColor: accent ? toHex(accent.rgb) : DEFAULT_COLORS.accentColor,
+        textColor: text ? toHex(text.rgb) : DEFAULT_COLORS.textColor,
+        bgColor: bgCluster ? toHex(bgCluster.rgb) : DEFAULT_COLORS.bgColor,
+        palette: clusters.slice(0, 8).map(cluster => ({
+            color: toHex(cluster.rgb),
+            weight: Math.round(cluster.weight * 100) / 100,
+            usage: Object.keys(cluster.usage).sort((a, b) => cluster.usage[b] - cluster.usage[a])
+        }))
+    };
+
+    if (secondary) {
+        palette.secondaryColor = toHex(secondary.rgb);
+    } else if (primary) {
+        // No second brand color on the site: use a lighter or darker shade of the primary
+        palette.secondaryColor = toHex(shade(primary.rgb, primary.lab[0] < 50 ? 0.35 : -0.3));
+    }
+
+    return palette;
+}
@@ -0,0 +1,316 @@
+/**
+ * Phone number and postal address normalization
+ *
+ * Phones are normalized to E.164 with a display format and a role:
+ * { role: 'main', e164: '+15035550142', display: '(503) 555-0142', extension: null, tel: '+15035550142' }
+ *
+ * Addresses are parsed into parts:
+ * {
+ *     street: '5420 Ballard Ave NW, Suite 200',
+ *     city: 'Seattle',
+ *     state: 'WA',
+ *     postalCode: '98107',
+ *     country: 'US',
+ *     formatted: '5420 Ballard Ave NW, Suite 200, Seattle, WA 98107'
+ * }
+ *
+ * Only North American numbers and US/Canadian addresses are parsed; anything else keeps its raw text.
+ */
+
+export const PHONE_ROLES = ['main', 'reservations', 'orders', 'fax'];
+export const EMAIL_ROLES = ['main', 'reservations', 'orders', 'events', 'careers'];
+
+// Words just before a number that say what it's for
+const PHONE_ROLE_LABELS = [
+    ['fax', /\bfax\b|facsimile/i],
+    ['reservations', /reserv|\bbook(ing)?s?\b|\btables?\b/i],
+    ['orders', /\border|take\s?-?out|pick\s?-?up|delivery|catering/i]
+];
+
+// Numbers next to these belong to whoever built the site, not the business
+const CREDIT_LABELS = /(designed|developed|website|site|built|powered|hosted|marketing)\s+(by|with)\b|web\s*design/i;
+
+const EMAIL_ROLE_LABELS = [
+    ['reservations', /reserv|booking/i],
+    ['orders', /\border|catering/i],
+    ['events', /event|party|parties|private\s+dining|wedding/i],
+    ['careers', /career|\bjobs?\b|hiring|employment|\bhr\b/i]
+];
+
+const US_STATES = {
+    alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+    connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC', florida: 'FL', georgia: 'GA',
+    hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY',
+    louisiana: 'LA', maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+    mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH',
+    'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+    ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI',
+    'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT',
+    virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY',
+    'puerto rico': 'PR'
+};
+
+const CA_PROVINCES = {
+    alberta: 'AB', 'british columbia': 'BC', manitoba: 'MB', 'new brunswick': 'NB',
+    'newfoundland and labrador': 'NL', 'nova scotia': 'NS', ontario: 'ON', 'prince edward island': 'PE',
+    quebec: 'QC', 'québec': 'QC', saskatchewan: 'SK', 'northwest territories': 'NT', nunavut: 'NU', yukon: 'YT'
+};
+
+const REGION_CODES = new Set([...Object.values(US_STATES), ...Object.values(CA_PROVINCES)]);
+const REGION_NAMES = { ...US_STATES, ...CA_PROVINCES };
+
+const STREET_SUFFIX = /\b(st|street|ave|avenue|rd|road|blvd|boulevard|dr|drive|ln|lane|way|ct|court|pl|place|pkwy|parkway|hwy|highway|ter|terrace|cir|circle|sq|square|trl|trail|loop|row|plaza|broadway)\b\.?(\s+(n|s|e|w|ne|nw|se|sw|north|south|east|west)\b\.?)?(\s*,?\s*(suite|ste|unit|apt|#|bldg|floor|fl)\.?\s*[\w-]+)?/gi;
+
+/**
+ * Phone numbers in free text (North American, with or without +1, and +-prefixed international)
+ */
+export const PHONE_PATTERN = /(?<![\w+])(?:(?:\+?1[-.\s]?)?\(?[2-9]\d{2}\)?[-.\s]?[2-9]\d{2}[-.\s]?\d{4}|\+(?!1)\d{1,3}(?:[-.\s]?\(?\d{1,4}\)?){2,5})(?:\s*(?:x|ext\.?|extension)\s*\d{1,5})?(?![\w])/gi;
+
+/**
+ * Normalize a phone number to E.164. Returns { e164, display, extension, tel } or null when the
+ * text isn't a plausible number.
+ */
+export function parsePhone(text) {
+    if (!text) return null;
+    const raw = String(text).trim().replace(/^tel:/i, '');
+    const extMatch = raw.match(/(?:x|ext\.?|extension|;ext=|,)\s*(\d{1,5})\s*$/i);
+    const extension = extMatch ? extMatch[1] : null;
+    const number = extMatch ? raw.substring(0, extMatch.index) : raw;
+    const international = number.trim().startsWith('+');
+    let digits = number.replace(/\D/g, '');
+
+    if (!international || digits.startsWith('1')) {
+        if (digits.length === 11 && digits.startsWith('1')) digits = digits.substring(1);
+        // North American numbers: area code and exchange can't start with 0 or 1
+        if (digits.length !== 10 || !/^[2-9]\d{2}[2-9]/.test(digits)) return null;
+        const e164 = `+1${digits}`;
+        const display = `(${digits.substring(0, 3)}) ${digits.substring(3, 6)}-${digits.substring(6)}`;
+        return {
+            e164,
+            display: extension ? `${display} ext. ${extension}` : display,
+            extension,
+            tel: extension ? `${e164};ext=${extension}` : e164
+        };
+    }
+
+    if (digits.length < 8 || digits.length > 15) return null;
+    const e164 = `+${digits}`;
+    const display = number.replace(/[^\d+()\s-]/g, ' ').replace(/\s+/g, ' ').trim();
+    return {
+        e164,
+        display: extension ? `${display} ext. ${extension}` : display,
+        extension,
+        tel: extension ? `${e164};ext=${extension}` : e164
+    };
+}
+
+/**
+ * What a phone number is for, from the text just before it
+ */
+export function phoneRole(label) {
+    const match = PHONE_ROLE_LABELS.find(([, pattern]) => pattern.test(label || ''));
+    return match ? match[0] : 'main';
+}
+
+/**
+ * Whether the text around a number credits a web designer or host
+ */
+export function isCreditText(label) {
+    return CREDIT_LABELS.test(label || '');
+}
+
+/**
+ * What an email address is for, from its local part or a nearby label
+ */
+export function emailRole(address, label = '') {
+    const localPart = (address || '').split('@')[0];
+    const match = EMAIL_ROLE_LABELS.find(([, pattern]) => pattern.test(localPart) || pattern.test(label));
+    return match ? match[0] : 'main';
+}
+
+/**
+ * The number to show and dial: the first main number, else the first that isn't a fax
+ */
+export function primaryPhone(phones) {
+    return (phones || []).find(phone => phone.role === 'main')
+        || (phones || []).find(phone => phone.role !== 'fax')
+        || null;
+}
+
+/**
+ * The address to show: the first main address, else the first that isn't for job applications
+ */
+export function primaryEmail(emails) {
+    return (emails || []).find(email => email.role === 'main')
+        || (emails || []).find(email => email.role !== 'careers')
+        || null;
+}
+
+function normalizeRegion(region) {
+    const cleaned = region.replace(/\./g, '').trim();
+    if (REGION_CODES.has(cleaned.toUpperCase()) && cleaned.length === 2) return cleaned.toUpperCase();
+    return REGION_NAMES[cleaned.toLowerCase()] || null;
+}
+
+function titleCase(text) {
+    return text === text.toUpperCase() ? text.toLowerCase().replace(/\b\w/g, letter => letter.toUpperCase()) : text;
+}
+
+// "Suite 200, " / "Ste. 4B " / "Unit 7 - " / "#12, " at the start of a street line
+const LEADING_UNIT = /^((?:suite|ste\.?|unit|apt\.?|#)\s*#?\s*[\w-]*\d[\w-]*)\s*[,-]?\s+(?=\d)/i;
+
+/**
+ * Split "5420 Ballard Ave NW Seattle" into street and city at the last street suffix
+ */
+function splitStreetAndCity(text) {
+    let lastEnd = -1;
+    for (const match of text.matchAll(STREET_SUFFIX)) {
+        lastEnd = match.index + match[0].length;
+    }
+    if (lastEnd <= 0 || lastEnd >= text.length) return null;
+    const street = text.substring(0, lastEnd).trim();
+    const city = text.substring(lastEnd).replace(/^[\s,]+/, '').trim();
+    return street && city ? { street, city } : null;
+}
+
+/**
+ * Format address parts as one line
+ */
+export function formatAddress(parts) {
+    if (!parts) return null;
+    const region = [parts.state, parts.postalCode].filter(Boolean).join(' ');
+    return [parts.street, parts.city, region].filter(Boolean).join(', ') || null;
+}
+
+/**
+ * Parse a US or Canadian street address. Returns the parts or null when the text doesn't end in
+ * "city, state postal-code".
+ */
+export function parseAddress(text) {
+    if (!text) return null;
+    let cleaned = String(text)
+        .replace(/^\s*(address|location|find us|visit us)\s*:?\s*/i, '')
+        .replace(/[📍•|·]/gu, ',')
+        .replace(/\s*\n\s*/g, ', ')
+        .replace(/\s+/g, ' ')
+        .replace(/,\s*(USA|U\.S\.A\.|United States( of America)?|US|Canada)\s*\.?$/i, '')
+        .replace(/(,\s*)+/g, ', ')
+        .replace(/^[\s,]+|[\s,]+$/g, '');
+
+    const tail = cleaned.match(/^(.*?),?\s+([A-Za-z][A-Za-z .'-]*?)\s*,?\s+([A-Za-z][A-Za-z .]+?)\.?,?\s+(\d{5}(?:-\d{4})?|[A-Z]\d[A-Z]\s?\d[A-Z]\d)$/i);
+    if (!tail) return null;
+
+    let [, before, city, region, postalCode] = tail;
+    let state = normalizeRegion(region);
+
+    // "Seattle WA" without a comma puts the city's last word in the region group
+    if (!state) {
+        const words = `${city} ${region}`.split(' ');
+        for (let i = 1; i < words.length && !state; i++) {
+            const candidate = normalizeRegion(words.slice(i).join(' '));
+            if (candidate) {
+                state = candidate;
+                city = words.slice(0, i).join(' ');
+            }
+        }
+    }
+    if (!state) return null;
+
+    const canadian = /[A-Z]\d[A-Z]/i.test(postalCode);
+    if (canadian !== Object.values(CA_PROVINCES).includes(state)) return null;
+
+    // The city group is lazy, so "Ballard Ave NW, Seattle" can land in it when there's no comma before the city
+    let street = before.replace(/,\s*$/, '').trim();
+    if (!street) {
+        const split = splitStreetAndCity(city);
+        if (!split) return null;
+        ({ street, city } = split);
+    } else if (!before.includes(',') && !/,\s*$/.test(before) && !/\d/.test(city)) {
+        const split = splitStreetAndCity(`${street} ${city}`);
+        if (split) ({ street, city } = split);
+    }
+
+    // A street address starts with a house number or a PO box. A unit written first ("Suite 200,
+    // 123 Main St") moves after the street, where it's usually written
+    const unit = street.match(LEADING_UNIT);
+    if (unit) {
+        street = `${street.substring(unit[0].length)}, ${unit[1]}`;
+    }
+    if (!/^(\d+[\w-]*\s|p\.?\s?o\.?\s+box|one\s|rr\s)/i.test(street)) {
+        const numbered = street.match(/\b\d+[\w-]*\s+\S.*$/);
+        if (!numbered) return null;
+        street = numbered[0];
+    }
+
+    const parts = {
+        street: street.replace(/\s*,\s*/g, ', '),
+        city: titleCase(city.replace(/,$/, '').trim()),
+        state,
+        postalCode: canadian ? postalCode.toUpperCase().replace(/^(\w{3})\s?(\w{3})$/, '$1 $2') : postalCode,
+        country: canadian ? 'CA' : 'US'
+    };
+    return { ...parts, formatted: formatAddress(parts) };
+}
+
+/**
+ * Address parts from a schema.org PostalAddress
+ */
+export function addressFromPostal(postal) {
+    if (!postal || typeof postal !== 'object') return null;
+    const value = field => {
+        const item = Array.isArray(postal[field]) ? postal[field][0] : postal[field];
+        return typeof item === 'string' ? item.trim() : null;
+    };
+    // addressCountry is either a code/name or a Country entity
+    const countryField = Array.isArray(postal.addressCountry) ? postal.addressCountry[0] : postal.addressCountry;
+    const country = (typeof countryField === 'string' ? countryField : countryField?.name || '').trim() || null;
+    const parts = {
+        street: value('streetAddress'),
+        city: value('addressLocality'),
+        state: normalizeRegion(value('addressRegion') || '') || value('addressRegion'),
+        postalCode: value('postalCode'),
+        country: country ? (/^(us|usa|united states)/i.test(country) ? 'US' : /^(ca|canada)$/i.test(country) ? 'CA' : country) : null
+    };
+    // No country given: a US ZIP or Canadian postal code with a matching state/province says which
+    if (!parts.country && parts.state && REGION_CODES.has(parts.state)) {
+        if (/^\d{5}(-\d{4})?$/.test(parts.postalCode || '')) parts.country = 'US';
+        else if (/^[A-Z]\d[A-Z]\s?\d[A-Z]\d$/i.test(parts.postalCode || '')) parts.country = 'CA';
+    }
+    if (!parts.street && !parts.city) return null;
+    return { ...parts, formatted: formatAddress(parts) };
+}
+
+/**
+ * Fill in `phones`, `emails` and `addressParts` on a contact that only has the plain `phone`,
+ * `email` and `address` strings (Google Places data, older scrapes), and make the plain strings
+ * the display forms of the primary entries
+ */
+export function normalizeContact(contact = {}) {
+    const normalized = { phone: null, email: null, address: null, ...contact };
+
+    if (!Array.isArray(normalized.phones)) {
+        const parsed = parsePhone(normalized.phone);
+        normalized.phones = parsed ? [{ role: 'main', ...parsed }] : [];
+    }
+    const phone = primaryPhone(normalized.phones);
+    if (phone) normalized.phone = phone.display;
+
+    if (!Array.isArray(normalized.emails)) {
+        normalized.emails = normalized.email ? [{ role: emailRole(normalized.email), address: normalized.email }] : [];
+    }
+
+    if (normalized.addressParts === undefined) {
+        normalized.addressParts = parseAddress(normalized.address);
+    }
+    if (normalized.addressParts?.formatted) normalized.address = normalized.addressParts.formatted;
+
+    return normalized;
+}
+
+/**
+ * Google Maps link for an address
+ */
+export function mapsUrl(address) {
+    const query = typeof address === 'string' ? address : address?.formatted;
+    return query ? `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(query)}` : null;
+}
@@ -0,0 +1,273 @@
+/**
+ * Crawler service: one Puppeteer browser pool shared by every scrape in a run, with robots.txt,
+ * per-domain concurrency, crawl delays and timeouts, and blocking of heavy third-party resources
+ *
+ *   const crawler = createCrawlService({ browsers: 1, pagesPerBrowser: 4 });
+ *   const page = await crawler.openPage();
+ *   if (await crawler.allowed(url)) {
+ *       await crawler.throttle(url, () => page.goto(url));
+ *   }
+ *   await crawler.releasePage(page);
+ *   await crawler.close();
+ */
+
+import puppeteer from 'puppeteer';
+import chalk from 'chalk';
+import { ROBOTS_AGENT, fetchRobots, isAllowed } from './robots.js';
+
+export const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+const DEFAULTS = {
+    browsers: 1,              // browsers in the pool
+    pagesPerBrowser: 4,       // open pages (scrapes in progress) per browser
+    perDomain: 1,             // concurrent navigations per host
+    minDelay: 1000,           // ms between navigations to the same host, raised by robots.txt Crawl-delay
+    maxCrawlDelay: 30,        // seconds; longer Crawl-delays are capped so one site can't stall a run
+    timeout: 30000,           // ms per navigation
+    maxTimeouts: 2,           // navigation timeouts before a host is given up on for the run
+    respectRobots: true,
+    blockResources: true
+};
+
+// Resource types nothing downstream reads: video/audio streams, live connections
+const BLOCKED_RESOURCE_TYPES = new Set(['media', 'websocket', 'eventsource', 'texttrack']);
+
+// Ads, analytics, tag managers, chat widgets and video players (third-party requests only)
+const BLOCKED_HOSTS = /(^|\.)(doubleclick\.net|googlesyndication\.com|googleadservices\.com|adservice\.google\.com|google-analytics\.com|googletagmanager\.com|googletagservices\.com|analytics\.google\.com|connect\.facebook\.net|facebook\.com\/tr|hotjar\.com|clarity\.ms|segment\.(io|com)|mixpanel\.com|amplitude\.com|fullstory\.com|newrelic\.com|nr-data\.net|quantserve\.com|scorecardresearch\.com|criteo\.(com|net)|taboola\.com|outbrain\.com|adnxs\.com|amazon-adsystem\.com|intercom\.io|intercomcdn\.com|tawk\.to|zopim\.com|zdassets\.com|livechatinc\.com|drift\.com|tiktok\.com|snap\.licdn\.com|ads\.linkedin\.com|bat\.bing\.com|youtube\.com|youtube-nocookie\.com|ytimg\.com|player\.vimeo\.com|vimeocdn\.com|wistia\.(com|net))$/i;
+
+/**
+ * Counting semaphore: acquire() resolves once one of `limit` slots is free
+ */
+function createLimiter(limit) {
+    let active = 0;
+    const queue = [];
+    return {
+        acquire: () => {
+            if (active < limit) {
+                active++;
+                return Promise.resolve();
+            }
+            return new Promise(resolve => queue.push(resolve));
+        },
+        // Hand the slot straight to the next waiter, if any
+        release: () => {
+            const next = queue.shift();
+            if (next) next();
+            else active--;
+        }
+    };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * The host a URL's rate limit and robots.txt belong to (www. and the bare domain share one)
+ */
+export function hostKey(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+function isBlockedRequest(request, page) {
+    if (BLOCKED_RESOURCE_TYPES.has(request.resourceType())) return true;
+    // The page itself (and anything it navigates to, like a logo URL) is never blocked
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) return false;
+
+    let parsed;
+    try {
+        parsed = new URL(request.url());
+    } catch (e) {
+        return false;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return false;
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const siteHost = hostKey(page.mainFrame().url());
+    if (siteHost && (host === siteHost || host.endsWith(`.${siteHost}`))) return false;
+    return BLOCKED_HOSTS.test(host) || BLOCKED_HOSTS.test(`${host}${parsed.pathname.replace(/\/$/, '')}`);
+}
+
+/**
+ * Create a crawler service. Options are those in DEFAULTS; `log` is false to keep it quiet.
+ */
+export function createCrawlService(options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const log = options.log === false ? () => {} : message => console.log(chalk.gray(message));
+
+    const pool = [];                      // { browser, pages: Map of page → release() }
+    const pageSlots = createLimiter(settings.browsers * settings.pagesPerBrowser);
+    const hosts = new Map();              // host → { limiter, lastAt, timeouts }
+    const robots = new Map();             // origin → Promise of parsed robots
+    let launching = null;
+    let closed = false;
+
+    async function launchBrowser() {
+        const browser = await puppeteer.launch({
+            headless: true,
+            args: ['--no-sandbox', '--disable-setuid-sandbox']
+        });
+        const entry = { browser, pages: new Map() };
+        // A crashed browser leaves the pool and frees its pages' slots; the next page launches a replacement
+        browser.on('disconnected', () => {
+            const index = pool.indexOf(entry);
+            if (index !== -1) pool.splice(index, 1);
+            [...entry.pages.values()].forEach(release => release());
+        });
+        pool.push(entry);
+        return entry;
+    }
+
+    /**
+     * The least busy browser, launching one while the pool is below its size. The page slots
+     * guarantee it has room.
+     */
+    async function pickBrowser() {
+        // One launch at a time, so simultaneous openPage() calls don't start a browser each
+        if (launching) await launching.catch(() => {});
+        const live = pool.filter(entry => entry.browser.isConnected());
+        if (live.length < settings.browsers) {
+            launching = launchBrowser().finally(() => {
+                launching = null;
+            });
+            return launching;
+        }
+        return live.reduce((best, entry) => (entry.pages.size < best.pages.size ? entry : best));
+    }
+
+    function hostState(host) {
+        if (!hosts.has(host)) {
+            hosts.set(host, { limiter: createLimiter(settings.perDomain), lastAt: 0, timeouts: 0 });
+        }
+        return hosts.get(host);
+    }
+
+    function robotsFor(url) {
+        const origin = new URL(url).origin;
+        if (!robots.has(origin)) {
+            robots.set(origin, fetchRobots(origin, { agent: ROBOTS_AGENT, userAgent: `${USER_AGENT} (compatible; ${ROBOTS_AGENT})` }).then(result => {
+                if (result.error) {
+                    log(`Could not fetch ${origin}/robots.txt (${result.error}); crawling without it`);
+                } else if (result.crawlDelay) {
+                    log(`${origin} asks for a ${result.crawlDelay}s crawl delay`);
+                }
+                return result;
+            }));
+        }
+        return robots.get(origin);
+    }
+
+    return {
+        settings,
+
+        /**
+         * Open a page in a pooled browser: user agent, navigation timeout and resource blocking
+         * set up. Waits while every page slot is taken. Pass { blockResources: false } for a page
+         * that serves a snapshot replay (which intercepts requests itself).
+         */
+        async openPage({ blockResources = settings.blockResources } = {}) {
+            if (closed) throw new Error('Crawler service is closed');
+            await pageSlots.acquire();
+            // Until the page is registered its slot is ours to free; after that, its release
+            // function's (which frees it once, whether the page closes or its browser goes)
+            let release = () => pageSlots.release();
+            let page = null;
+            try {
+                const entry = await pickBrowser();
+                page = await entry.browser.newPage();
+                release = () => {
+                    if (entry.pages.delete(page)) pageSlots.release();
+                };
+                entry.pages.set(page, release);
+                page.once('close', () => entry.pages.get(page)?.());
+
+                await page.setUserAgent(USER_AGENT);
+                page.setDefaultNavigationTimeout(settings.timeout);
+                if (blockResources) {
+                    await page.setRequestInterception(true);
+                    page.on('request', request => {
+                        if (request.isInterceptResolutionHandled()) return;
+                        if (isBlockedRequest(request, page)) {
+                            request.abort('blockedbyclient');
+                        } else {
+                            request.continue();
+                        }
+                    });
+                }
+                return page;
+            } catch (e) {
+                if (page && !page.isClosed()) {
+                    await page.close().catch(() => {});
+                }
+                release();
+                throw e;
+            }
+        },
+
+        /**
+         * Close a page from openPage(), freeing its slot
+         */
+        async releasePage(page) {
+            if (page && !page.isClosed()) {
+                await page.close().catch(() => {});
+            }
+        },
+
+        /**
+         * Whether robots.txt lets us fetch `url` (always true with respectRobots off)
+         */
+        async allowed(url) {
+            if (!settings.respectRobots) return true;
+            return isAllowed(await robotsFor(url), url);
+        },
+
+        /**
+         * Run `task` (a navigation to `url`) once its host has a free slot and its crawl delay has
+         * passed. Throws without running it when robots.txt disallows the URL or the host has
+         * already timed out `maxTimeouts` times this run.
+         */
+        async throttle(url, task) {
+            const host = hostKey(url);
+            if (!host) return task();
+            const state = hostState(host);
+
+            await state.limiter.acquire();
+            try {
+                if (state.timeouts >= settings.maxTimeouts) {
+                    throw new Error(`Skipping ${url}: ${host} timed out ${state.timeouts} times`);
+                }
+                let crawlDelay = 0;
+                if (settings.respectRobots) {
+                    const rules = await robotsFor(url);
+                    if (!isAllowed(rules, url)) {
+                        throw new Error(`robots.txt disallows ${url}`);
+                    }
+                    crawlDelay = Math.min(rules.crawlDelay || 0, settings.maxCrawlDelay) * 1000;
+                }
+
+                const wait = state.lastAt + Math.max(settings.minDelay, crawlDelay) - Date.now();
+                if (wait > 0) await sleep(wait);
+
+                try {
+                    return await task();
+                } catch (e) {
+                    if (e.name === 'TimeoutError') state.timeouts++;
+                    throw e;
+                }
+            } finally {
+                state.lastAt = Date.now();
+                state.limiter.release();
+            }
+        },
+
+        /**
+         * Close every browser in the pool
+         */
+        async close() {
+            closed = true;
+            if (launching) await launching.catch(() => {});
+            await Promise.all(pool.splice(0).map(entry => entry.browser.close().catch(() => {})));
+        }
+    };
+}
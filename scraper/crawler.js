@@ -0,0 +1,263 @@
+/**
+ * Same-origin crawl helpers for following a business site's nav links
+ */
+
+import * as cheerio from 'cheerio';
+import { mergeActions } from './actions.js';
+import { markLogoStyles } from './logo.js';
+
+/**
+ * Keywords that identify the role of a linked page, matched against link text and URL path
+ */
+const PAGE_ROLES = {
+    about: ['about', 'about us', 'about-us', 'our story', 'our-story', 'story', 'who we are', 'who-we-are', 'team', 'history'],
+    menu: ['menu', 'menus', 'food', 'drinks', 'dinner', 'lunch', 'breakfast', 'brunch', 'specials'],
+    services: ['services', 'service', 'products', 'offerings', 'what we do', 'what-we-do', 'pricing', 'treatments'],
+    contact: ['contact', 'contact us', 'contact-us', 'location', 'locations', 'visit', 'find us', 'find-us', 'directions'],
+    hours: ['hours', 'hours & location', 'hours-location', 'opening times'],
+    reviews: ['reviews', 'testimonials', 'what people say', 'kind words'],
+    ordering: ['order', 'order online', 'order-online', 'online ordering', 'reservations', 'reserve', 'book', 'book now', 'booking', 'appointments']
+};
+
+/**
+ * Which page roles to trust first for each merged field
+ */
+const FIELD_ROLE_PRIORITY = {
+    services: ['menu', 'services', 'home'],
+    menu: ['menu', 'home', 'services'],
+    hours: ['hours', 'contact', 'home', 'about'],
+    aboutText: ['about', 'home'],
+    testimonials: ['reviews', 'home', 'about', 'services'],
+    actions: ['ordering', 'home', 'menu', 'contact'],
+    phone: ['contact', 'home', 'hours', 'about'],
+    email: ['contact', 'home', 'about'],
+    address: ['contact', 'hours', 'home', 'about']
+};
+
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|svg|zip|docx?|xlsx?|mp4|mov|mp3)$/i;
+
+/**
+ * Load a URL in an open Puppeteer page and return a cheerio instance for it. With a crawler
+ * service the navigation waits for the host's rate limit and is refused if robots.txt disallows it.
+ */
+export async function loadPage(page, url, { crawler = null, timeout = crawler?.settings.timeout ?? 30000 } = {}) {
+    const navigate = () => page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout
+    });
+    await (crawler ? crawler.throttle(url, navigate) : navigate());
+    await markLogoStyles(page);
+
+    const html = await page.content();
+    return cheerio.default ? cheerio.default.load(html) : cheerio.load(html);
+}
+
+/**
+ * Score a link for each known page role. Returns { role, score } for the best role, or null.
+ */
+export function scoreLink(text, pathname, inNav) {
+    const haystackText = (text || '').toLowerCase().trim();
+    const haystackPath = (pathname || '').toLowerCase();
+    let best = null;
+
+    for (const [role, keywords] of Object.entries(PAGE_ROLES)) {
+        let textScore = 0;
+        let pathScore = 0;
+        for (const keyword of keywords) {
+            if (haystackText === keyword) {
+                textScore = Math.max(textScore, 10);
+            } else if (haystackText.includes(keyword)) {
+                textScore = Math.max(textScore, 6);
+            }
+            if (haystackPath.split('/').includes(keyword)) {
+                pathScore = Math.max(pathScore, 4);
+            } else if (haystackPath.includes(keyword)) {
+                pathScore = Math.max(pathScore, 2);
+            }
+        }
+
+        let score = textScore + pathScore;
+
+        if (score > 0 && inNav) {
+            score += 3;
+        }
+
+        if (score > 0 && (!best || score > best.score)) {
+            best = { role, score };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Find same-origin pages worth crawling (about, menu, services, contact, hours, reviews, ordering)
+ *
+ * Options:
+ *   navSelector - extra selector for the site's navigation (from a platform adapter)
+ */
+export function findCrawlTargets($, baseUrl, { maxPages = 5, navSelector = null } = {}) {
+    const navSelectors = ['nav, header, [class*="nav"], [class*="menu-main"], footer', navSelector].filter(Boolean).join(', ');
+    const base = new URL(baseUrl);
+    const candidates = new Map();
+
+    $('a[href]').each((i, elem) => {
+        const href = $(elem).attr('href');
+        if (!href || href.startsWith('#') || /^(mailto|tel|sms|javascript):/i.test(href)) return;
+
+        let target;
+        try {
+            target = new URL(href, base);
+        } catch (e) {
+            return;
+        }
+
+        if (target.origin !== base.origin) return;
+        if (SKIPPED_EXTENSIONS.test(target.pathname)) return;
+
+        target.hash = '';
+        const key = target.href.replace(/\/$/, '');
+        if (key === base.href.replace(/#.*$/, '').replace(/\/$/, '')) return;
+
+        const inNav = $(elem).closest(navSelectors).length > 0;
+        const text = $(elem).text() || $(elem).attr('title') || $(elem).attr('aria-label');
+        const scored = scoreLink(text, target.pathname, inNav);
+        if (!scored) return;
+
+        const existing = candidates.get(key);
+        if (!existing || scored.score > existing.score) {
+            candidates.set(key, { url: target.href, role: scored.role, score: scored.score });
+        }
+    });
+
+    // Keep the best page per role first, then fill remaining slots by score
+    const sorted = Array.from(candidates.values()).sort((a, b) => b.score - a.score);
+    const targets = [];
+    const seenRoles = new Set();
+
+    for (const candidate of sorted) {
+        if (!seenRoles.has(candidate.role)) {
+            seenRoles.add(candidate.role);
+            targets.push(candidate);
+        }
+    }
+    for (const candidate of sorted) {
+        if (!targets.includes(candidate)) {
+            targets.push(candidate);
+        }
+    }
+
+    return targets.slice(0, maxPages);
+}
+
+/**
+ * Merge per-page extraction results into one set of fields, recording the source page of each
+ * and carrying over the chosen page's provenance for the field
+ *
+ * Each result is { url, role, data: { services, hours, aboutText, testimonials, actions, contact, menu, provenance } }.
+ */
+export function mergePageResults(results) {
+    const merged = {
+        services: [],
+        menu: null,
+        hours: null,
+        aboutText: null,
+        testimonials: [],
+        actions: [],
+        contact: { phone: null, email: null, address: null, phones: [], emails: [], sms: [], forms: [], addressParts: null }
+    };
+    const sources = {};
+    const provenance = {};
+
+    function choose(field, result) {
+        sources[field] = result.url;
+        if (result.data.provenance?.[field]) {
+            provenance[field] = result.data.provenance[field];
+        }
+    }
+
+    function ordered(field) {
+        const priority = FIELD_ROLE_PRIORITY[field] || [];
+        const rank = role => {
+            const index = priority.indexOf(role);
+            return index === -1 ? priority.length : index;
+        };
+        return [...results].sort((a, b) => rank(a.role) - rank(b.role));
+    }
+
+    for (const result of ordered('services')) {
+        if (result.data.services && result.data.services.length > 0) {
+            merged.services = result.data.services;
+            choose('services', result);
+            break;
+        }
+    }
+
+    // The fullest menu wins; page role breaks ties
+    for (const result of ordered('menu')) {
+        const menu = result.data.menu;
+        if (menu && (!merged.menu || menu.itemCount > merged.menu.itemCount)) {
+            merged.menu = menu;
+            choose('menu', result);
+        }
+    }
+
+    for (const field of ['hours', 'aboutText']) {
+        for (const result of ordered(field)) {
+            if (result.data[field]) {
+                merged[field] = result.data[field];
+                choose(field, result);
+                break;
+            }
+        }
+    }
+
+    // Testimonials from every page, the reviews page's first; provenance follows the first page that had any
+    const seenQuotes = new Set();
+    for (const result of ordered('testimonials')) {
+        const fresh = (result.data.testimonials || []).filter(item => !seenQuotes.has(item.text));
+        if (fresh.length === 0) continue;
+        if (merged.testimonials.length === 0) choose('testimonials', result);
+        fresh.forEach(item => seenQuotes.add(item.text));
+        merged.testimonials.push(...fresh);
+    }
+    merged.testimonials = merged.testimonials.slice(0, 6);
+
+    // Ordering/booking links from every page; one that's only on the order page still counts
+    const actionPages = ordered('actions').filter(result => (result.data.actions || []).length > 0);
+    if (actionPages.length > 0) {
+        merged.actions = mergeActions(...actionPages.map(result => result.data.actions));
+        choose('actions', actionPages[0]);
+    }
+
+    for (const field of ['phone', 'email', 'address']) {
+        for (const result of ordered(field)) {
+            const value = result.data.contact && result.data.contact[field];
+            if (value) {
+                merged.contact[field] = value;
+                if (field === 'address') {
+                    merged.contact.addressParts = result.data.contact.addressParts || null;
+                }
+                choose(`contact.${field}`, result);
+                break;
+            }
+        }
+    }
+
+    // Every phone, email, sms number and contact form from every page, the chosen page's first;
+    // e.g. a fax number or a form that's only on the contact page
+    for (const [field, list, key] of [['phone', 'phones', 'e164'], ['email', 'emails', 'address'], ['phone', 'sms', 'e164'], ['email', 'forms', 'action']]) {
+        const seen = new Set();
+        for (const result of ordered(field)) {
+            for (const entry of result.data.contact?.[list] || []) {
+                const id = String(entry[key]).toLowerCase();
+                if (!seen.has(id)) {
+                    seen.add(id);
+                    merged.contact[list].push(entry);
+                }
+            }
+        }
+    }
+
+    return { ...merged, sources, provenance };
+}
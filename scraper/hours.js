@@ -0,0 +1,555 @@
+/**
+ * Weekly opening hours model
+ *
+ * A schedule looks like:
+ * {
+ *     days: { monday: [{ open: '11:00', close: '21:00' }], ..., sunday: [] },
+ *     exceptions: [{ label: 'Christmas Day', date: '12-25', closed: true, intervals: [] }],
+ *     (an exception for one particular year has its `year` too)
+ *     raw: 'Mon-Fri 11am-9pm, closed Sun',
+ *     source: 'text' | 'places' | 'schema.org'
+ * }
+ *
+ * Times are 24-hour "HH:MM". A day set to [] is closed; a day set to null was not mentioned.
+ * An interval whose close is not after its open runs past midnight and is flagged overnight.
+ */
+
+export const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const DAY_ALIASES = {
+    mon: 'monday', monday: 'monday', mondays: 'monday',
+    tue: 'tuesday', tues: 'tuesday', tuesday: 'tuesday', tuesdays: 'tuesday',
+    wed: 'wednesday', weds: 'wednesday', wednesday: 'wednesday', wednesdays: 'wednesday',
+    thu: 'thursday', thur: 'thursday', thurs: 'thursday', thursday: 'thursday', thursdays: 'thursday',
+    fri: 'friday', friday: 'friday', fridays: 'friday',
+    sat: 'saturday', saturday: 'saturday', saturdays: 'saturday',
+    sun: 'sunday', sunday: 'sunday', sundays: 'sunday'
+};
+
+// schema.org openingHours uses two-letter codes ("Mo-Fr 09:00-17:00")
+const SCHEMA_DAY_CODES = {
+    mo: 'monday', tu: 'tuesday', we: 'wednesday', th: 'thursday', fr: 'friday', sa: 'saturday', su: 'sunday'
+};
+
+const DAY_GROUPS = {
+    daily: WEEKDAYS,
+    everyday: WEEKDAYS,
+    'every day': WEEKDAYS,
+    'seven days': WEEKDAYS,
+    '7 days': WEEKDAYS,
+    weekdays: WEEKDAYS.slice(0, 5),
+    weekends: WEEKDAYS.slice(5),
+    weekend: WEEKDAYS.slice(5)
+};
+
+const HOLIDAYS = {
+    "new year's eve": '12-31',
+    "new years eve": '12-31',
+    "new year's day": '01-01',
+    "new years day": '01-01',
+    "new year's": '01-01',
+    'christmas eve': '12-24',
+    'christmas day': '12-25',
+    christmas: '12-25',
+    'independence day': '07-04',
+    'july 4th': '07-04',
+    '4th of july': '07-04',
+    'fourth of july': '07-04',
+    thanksgiving: null,
+    easter: null,
+    'memorial day': null,
+    'labor day': null,
+    holidays: null
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DAY_PATTERN = '(?:' + [...Object.keys(DAY_GROUPS), ...Object.keys(DAY_ALIASES)]
+    .sort((a, b) => b.length - a.length)
+    .join('|') + ')\\.?';
+const TIME_PATTERN = '(?:\\d{1,2}(?::\\d{2}|\\.\\d{2})?\\s*(?:a\\.?m\\.?|p\\.?m\\.?|a|p)?)';
+const TIME_RANGE_REGEX = new RegExp(`(${TIME_PATTERN})\\s*-\\s*(${TIME_PATTERN})(?![\\d:])`, 'gi');
+const DAY_TOKEN_REGEX = new RegExp(`\\b(${DAY_PATTERN})(?:\\s*-\\s*(${DAY_PATTERN}))?(?![a-z])`, 'gi');
+// A meal or service a rule is for ("Lunch Mon-Fri 11-2", "Dinner: Tue-Sat 5-10"); its hours add to
+// the day's other services instead of replacing them
+const MEAL_PATTERN = '(?:breakfast|brunch|lunch|dinner|supper|happy\\s+hour)';
+const MEAL_LABEL_REGEX = new RegExp(`^${MEAL_PATTERN}\\s*:?\\s`, 'i');
+
+/**
+ * Create an empty schedule with every day unknown
+ */
+export function createSchedule(source, raw = null) {
+    const days = {};
+    WEEKDAYS.forEach(day => {
+        days[day] = null;
+    });
+    return { days, exceptions: [], raw, source };
+}
+
+/**
+ * True when a schedule has at least one day with known hours (or known closed)
+ */
+export function hasKnownDays(schedule) {
+    return !!schedule && WEEKDAYS.some(day => Array.isArray(schedule.days[day]));
+}
+
+/**
+ * Quick check used by extractors to tell an hours block from any other text
+ */
+export function looksLikeHours(text) {
+    if (!text) return false;
+    const lower = text.toLowerCase();
+    DAY_TOKEN_REGEX.lastIndex = 0;
+    TIME_RANGE_REGEX.lastIndex = 0;
+    return DAY_TOKEN_REGEX.test(lower) && (TIME_RANGE_REGEX.test(lower) || /closed|24 hours|open 24/.test(lower));
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+/**
+ * Parse one side of a time range into { hour, minute, meridiem }
+ */
+function parseTimeToken(token) {
+    const match = token.trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*([ap])?/);
+    if (!match) return null;
+    return {
+        hour: parseInt(match[1], 10),
+        minute: match[2] ? parseInt(match[2], 10) : 0,
+        meridiem: match[3] || null
+    };
+}
+
+function toMinutes(time, meridiem) {
+    let hour = time.hour;
+    if (meridiem === 'a' && hour === 12) hour = 0;
+    if (meridiem === 'p' && hour < 12) hour += 12;
+    return hour * 60 + time.minute;
+}
+
+function formatMinutes(minutes) {
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Resolve a time range, guessing am/pm when one or both sides leave it out
+ * ("11-9pm" -> 11:00-21:00, "Sat 10-10" -> 10:00-22:00, "8pm-2am" -> overnight)
+ */
+export function resolveTimeRange(openToken, closeToken) {
+    const open = parseTimeToken(openToken);
+    const close = parseTimeToken(closeToken);
+    if (!open || !close || open.hour > 24 || close.hour > 24 || open.minute > 59 || close.minute > 59) return null;
+
+    let openMinutes;
+    let closeMinutes;
+
+    if (open.hour > 12 || close.hour > 12) {
+        // 24-hour clock
+        openMinutes = toMinutes(open, open.meridiem);
+        closeMinutes = toMinutes(close, close.meridiem);
+    } else if (open.meridiem && close.meridiem) {
+        openMinutes = toMinutes(open, open.meridiem);
+        closeMinutes = toMinutes(close, close.meridiem);
+    } else if (close.meridiem) {
+        closeMinutes = toMinutes(close, close.meridiem);
+        openMinutes = toMinutes(open, close.meridiem);
+        if (openMinutes >= closeMinutes) {
+            openMinutes = toMinutes(open, close.meridiem === 'a' ? 'p' : 'a');
+        }
+    } else if (open.meridiem) {
+        openMinutes = toMinutes(open, open.meridiem);
+        closeMinutes = toMinutes(close, open.meridiem);
+        if (closeMinutes <= openMinutes) {
+            closeMinutes = toMinutes(close, open.meridiem === 'a' ? 'p' : 'a');
+        }
+    } else {
+        // No am/pm at all: businesses open in the morning unless the hour is 1-5
+        openMinutes = toMinutes(open, open.hour >= 1 && open.hour <= 5 ? 'p' : 'a');
+        closeMinutes = toMinutes(close, 'a');
+        if (closeMinutes <= openMinutes) {
+            closeMinutes = toMinutes(close, 'p');
+        }
+    }
+
+    const interval = {
+        open: formatMinutes(openMinutes % (24 * 60)),
+        close: closeMinutes === 24 * 60 ? '24:00' : formatMinutes(closeMinutes % (24 * 60))
+    };
+    if (closeMinutes % (24 * 60) <= openMinutes && interval.close !== '24:00') {
+        interval.overnight = true;
+    }
+    return interval;
+}
+
+/**
+ * Expand a day token ("mon", "weekdays") or range ("mon-fri", "fri-mon") to day names
+ */
+function expandDays(startToken, endToken, aliases = DAY_ALIASES) {
+    const normalize = token => token.toLowerCase().replace(/\.$/, '').trim();
+    const start = normalize(startToken);
+
+    if (DAY_GROUPS[start]) return DAY_GROUPS[start];
+    const startDay = aliases[start];
+    if (!startDay) return [];
+    if (!endToken) return [startDay];
+
+    const endDay = aliases[normalize(endToken)];
+    if (!endDay) return [startDay];
+
+    const days = [];
+    let index = WEEKDAYS.indexOf(startDay);
+    for (let i = 0; i < 7; i++) {
+        days.push(WEEKDAYS[index]);
+        if (WEEKDAYS[index] === endDay) break;
+        index = (index + 1) % 7;
+    }
+    return days;
+}
+
+function extractDays(segment) {
+    const days = [];
+    DAY_TOKEN_REGEX.lastIndex = 0;
+    let match;
+    while ((match = DAY_TOKEN_REGEX.exec(segment)) !== null) {
+        expandDays(match[1], match[2]).forEach(day => {
+            if (!days.includes(day)) days.push(day);
+        });
+    }
+    return days;
+}
+
+function extractIntervals(segment) {
+    if (/24\s*hours|24\/7|open 24/i.test(segment)) {
+        return [{ open: '00:00', close: '24:00' }];
+    }
+
+    const intervals = [];
+    TIME_RANGE_REGEX.lastIndex = 0;
+    let match;
+    while ((match = TIME_RANGE_REGEX.exec(segment)) !== null) {
+        const interval = resolveTimeRange(match[1], match[2]);
+        if (interval) intervals.push(interval);
+    }
+    return intervals;
+}
+
+/**
+ * Detect holiday or calendar-date exceptions in a segment ("Closed Thanksgiving", "Dec 24: 10am-2pm")
+ */
+function extractExceptions(segment) {
+    let remaining = segment.toLowerCase();
+    const found = [];
+
+    for (const name of Object.keys(HOLIDAYS).sort((a, b) => b.length - a.length)) {
+        if (remaining.includes(name)) {
+            found.push({ label: name.replace(/(^|\s)\w/g, l => l.toUpperCase()), date: HOLIDAYS[name] });
+            remaining = remaining.replace(name, ' ');
+        }
+    }
+
+    const dateMatch = remaining.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?\b/)
+        || remaining.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/);
+    if (dateMatch) {
+        const month = isNaN(dateMatch[1]) ? MONTHS.indexOf(dateMatch[1]) + 1 : parseInt(dateMatch[1], 10);
+        const day = parseInt(dateMatch[2], 10);
+        if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
+            const exception = { label: segment.substr(dateMatch.index, dateMatch[0].length).trim(), date: `${pad(month)}-${pad(day)}` };
+            if (dateMatch[3]) exception.year = parseInt(dateMatch[3].padStart(4, '20'), 10);
+            found.push(exception);
+            // Strip the date so "Dec 24" isn't read as a time range
+            remaining = remaining.replace(dateMatch[0], ' ');
+        }
+    }
+
+    if (found.length === 0) return [];
+
+    const intervals = extractIntervals(remaining);
+    const closed = /closed/i.test(segment) || intervals.length === 0;
+    return found.map(exception => ({
+        ...exception,
+        closed,
+        intervals: closed ? [] : intervals.map(interval => ({ ...interval }))
+    }));
+}
+
+/**
+ * Split a segment where a day follows another rule's hours with only whitespace between them
+ * ("Mon-Thu 11-9 Fri 11-10" -> "Mon-Thu 11-9", "Fri 11-10")
+ */
+function splitDayRules(segment) {
+    const parts = [];
+    const dayTokens = new RegExp(DAY_TOKEN_REGEX.source, 'gi');
+    let start = 0;
+    let match;
+    while ((match = dayTokens.exec(segment)) !== null) {
+        const before = segment.substring(start, match.index);
+        const hasRule = extractDays(before).length > 0 && (extractIntervals(before).length > 0 || /closed/i.test(before));
+        if (hasRule && /(?:\d|[ap]\.?m\.?|closed)\s+$/i.test(before)) {
+            parts.push(before);
+            start = match.index;
+        }
+    }
+    parts.push(segment.substring(start));
+    return parts;
+}
+
+/**
+ * Split free text into segments: lines, semicolons, pipes, commas that start a new day rule (with
+ * or without a meal label), and days that follow a rule's hours
+ */
+function splitSegments(text) {
+    const dayStart = new RegExp(`,\\s*(?=(?:${MEAL_PATTERN}\\s*:?\\s*)?(?:closed\\s+)?(?:on\\s+)?${DAY_PATTERN}(?![a-z])|closed)`, 'gi');
+    return text
+        .replace(/[–—‒]/g, '-')
+        .replace(/\b(?:to|through|thru|until|till|til)\b/gi, '-')
+        .replace(/\bnoon\b/gi, '12pm')
+        .replace(/\bmidnight\b/gi, '12am')
+        .split(/\n|;|\||•|·|\.\s+(?=[A-Z])/)
+        .flatMap(line => line.replace(dayStart, '\n').split('\n'))
+        .flatMap(splitDayRules)
+        .map(segment => segment.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Parse free-text hours ("Mon-Fri 11am–9pm, Sat 10-10, closed Sun") into a schedule.
+ * Returns null when nothing in the text could be understood.
+ */
+export function parseHoursText(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    const schedule = createSchedule('text', text.trim());
+    let pendingDays = [];
+    let lastDays = [];
+
+    for (const segment of splitSegments(text)) {
+        const exceptions = extractExceptions(segment);
+        if (exceptions.length > 0) {
+            schedule.exceptions.push(...exceptions);
+            continue;
+        }
+
+        const days = extractDays(segment);
+        const intervals = extractIntervals(segment);
+        const closed = /closed/i.test(segment);
+
+        if (days.length === 0) {
+            if (/24\s*hours|24\/7/i.test(segment) && lastDays.length === 0 && pendingDays.length === 0) {
+                WEEKDAYS.forEach(day => {
+                    schedule.days[day] = intervals;
+                });
+                lastDays = WEEKDAYS;
+                continue;
+            }
+
+            // "11am-2pm" on its own line continues the previous day rule (split shifts)
+            if (intervals.length > 0) {
+                const targets = pendingDays.length > 0 ? pendingDays : lastDays;
+                targets.forEach(day => {
+                    schedule.days[day] = [...(schedule.days[day] || []), ...intervals];
+                });
+                if (pendingDays.length > 0) {
+                    lastDays = pendingDays;
+                    pendingDays = [];
+                }
+            }
+            continue;
+        }
+
+        const targetDays = [...pendingDays, ...days.filter(day => !pendingDays.includes(day))];
+
+        if (intervals.length > 0) {
+            const meal = MEAL_LABEL_REGEX.test(segment);
+            targetDays.forEach(day => {
+                const own = intervals.map(interval => ({ ...interval }));
+                schedule.days[day] = meal
+                    ? [...(schedule.days[day] || []), ...own].sort((a, b) => a.open.localeCompare(b.open))
+                    : own;
+            });
+            pendingDays = [];
+            lastDays = targetDays;
+        } else if (closed) {
+            targetDays.forEach(day => {
+                schedule.days[day] = [];
+            });
+            pendingDays = [];
+            lastDays = targetDays;
+        } else {
+            // "Mon, Wed, Fri 9-5" splits into day-only segments; carry them forward
+            pendingDays = targetDays;
+        }
+    }
+
+    return hasKnownDays(schedule) || schedule.exceptions.length > 0 ? schedule : null;
+}
+
+/**
+ * Build a schedule from Places API `regularOpeningHours` (or the pipeline's `opening_hours`)
+ */
+export function scheduleFromPlaces(openingHours) {
+    if (!openingHours) return null;
+
+    const periods = openingHours.periods || [];
+    const weekdayText = openingHours.weekdayDescriptions || openingHours.weekday_text || [];
+    const raw = weekdayText.length > 0 ? weekdayText.join('\n') : null;
+
+    if (periods.length === 0) {
+        const parsed = parseHoursText(raw);
+        if (parsed) parsed.source = 'places';
+        return parsed;
+    }
+
+    const schedule = createSchedule('places', raw);
+    // Places numbers days from Sunday = 0
+    const dayName = day => WEEKDAYS[(day + 6) % 7];
+
+    // A single open period with no close means open 24/7
+    if (periods.length === 1 && periods[0].open && !periods[0].close) {
+        WEEKDAYS.forEach(day => {
+            schedule.days[day] = [{ open: '00:00', close: '24:00' }];
+        });
+        return schedule;
+    }
+
+    // Every day Places knows about but lists no period for is closed
+    WEEKDAYS.forEach(day => {
+        schedule.days[day] = [];
+    });
+
+    for (const period of periods) {
+        if (!period.open) continue;
+        const open = `${pad(period.open.hour || 0)}:${pad(period.open.minute || 0)}`;
+        let close = period.close ? `${pad(period.close.hour || 0)}:${pad(period.close.minute || 0)}` : '24:00';
+        const interval = { open, close };
+
+        if (period.close && period.close.day !== period.open.day) {
+            if (close === '00:00') {
+                interval.close = '24:00';
+            } else {
+                interval.overnight = true;
+            }
+        }
+        schedule.days[dayName(period.open.day)].push(interval);
+    }
+
+    // Places' specialDays only say that a date's hours differ, not what they are, so they're left
+    // out rather than shown as an exception with no hours
+
+    return schedule;
+}
+
+/**
+ * Build a schedule from the structured data extractor's output (schema.org)
+ */
+export function scheduleFromStructuredData(structured) {
+    if (!structured) return null;
+
+    const schedule = createSchedule('schema.org');
+
+    for (const entry of structured.openingHoursSpecification || []) {
+        const interval = entry.opens && entry.closes
+            ? resolveTimeRange(entry.opens.slice(0, 5), entry.closes.slice(0, 5))
+            : null;
+        const isClosed = !interval || (entry.opens === entry.closes && entry.opens?.startsWith('00:00'));
+        const days = entry.days.map(day => DAY_ALIASES[day.toLowerCase()]).filter(Boolean);
+
+        // Specs limited to one date are holiday hours
+        if (entry.validFrom && entry.validThrough && entry.validFrom === entry.validThrough) {
+            schedule.exceptions.push({
+                label: entry.validFrom,
+                date: entry.validFrom.slice(5, 10),
+                ...(/^\d{4}-/.test(entry.validFrom) ? { year: parseInt(entry.validFrom.slice(0, 4), 10) } : {}),
+                closed: isClosed,
+                intervals: isClosed ? [] : [interval]
+            });
+            continue;
+        }
+
+        days.forEach(day => {
+            if (isClosed) {
+                schedule.days[day] = schedule.days[day] || [];
+            } else {
+                schedule.days[day] = [...(schedule.days[day] || []), interval];
+            }
+        });
+    }
+
+    // openingHours strings: "Mo-Fr 09:00-17:00", "Sa 10:00-14:00"
+    for (const rule of structured.openingHours || []) {
+        const match = rule.trim().match(/^([A-Za-z,\-\s]+?)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+        if (!match) continue;
+        const interval = resolveTimeRange(match[2], match[3]);
+        if (!interval) continue;
+
+        match[1].split(',').forEach(part => {
+            const [start, end] = part.trim().toLowerCase().split('-');
+            expandDays(start, end, SCHEMA_DAY_CODES).forEach(day => {
+                schedule.days[day] = [...(schedule.days[day] || []), interval];
+            });
+        });
+    }
+
+    if (!hasKnownDays(schedule) && schedule.exceptions.length === 0) return null;
+    schedule.raw = structured.openingHours?.join('\n') || null;
+    return schedule;
+}
+
+/**
+ * Format "HH:MM" as "11 AM" / "9:30 PM"
+ */
+export function formatTime(time) {
+    if (time === '24:00') return '12 AM';
+    const [hour, minute] = time.split(':').map(Number);
+    const meridiem = hour >= 12 ? 'PM' : 'AM';
+    const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+    return minute ? `${displayHour}:${pad(minute)} ${meridiem}` : `${displayHour} ${meridiem}`;
+}
+
+function formatIntervals(intervals) {
+    if (intervals.length === 0) return 'Closed';
+    if (intervals.length === 1 && intervals[0].open === '00:00' && intervals[0].close === '24:00') {
+        return 'Open 24 hours';
+    }
+    return intervals.map(interval => `${formatTime(interval.open)} – ${formatTime(interval.close)}`).join(', ');
+}
+
+/**
+ * Turn a schedule into display rows: [{ day: 'Monday', hours: '11 AM – 9 PM', closed: false }]
+ * Days the schedule doesn't mention are left out.
+ */
+export function formatScheduleRows(schedule) {
+    if (!hasKnownDays(schedule)) return [];
+
+    return WEEKDAYS
+        .filter(day => Array.isArray(schedule.days[day]))
+        .map(day => ({
+            day: day.charAt(0).toUpperCase() + day.slice(1),
+            hours: formatIntervals(schedule.days[day]),
+            closed: schedule.days[day].length === 0
+        }));
+}
+
+/**
+ * Display rows for holiday/date exceptions. Exceptions with unknown hours (`closed: null`) and
+ * ones for a date before `today` are left out.
+ */
+export function formatExceptionRows(schedule, today = new Date()) {
+    if (!schedule) return [];
+    const todayKey = `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+    return schedule.exceptions
+        .filter(exception => exception.closed !== null && exception.closed !== undefined)
+        .filter(exception => !exception.year || !exception.date || `${exception.year}-${exception.date}` >= todayKey)
+        .map(exception => ({
+            label: exception.label,
+            hours: formatIntervals(exception.closed ? [] : exception.intervals)
+        }));
+}
+
+/**
+ * Render a schedule as plain text, one line per day
+ */
+export function formatScheduleText(schedule) {
+    const rows = formatScheduleRows(schedule);
+    return rows.length > 0 ? rows.map(row => `${row.day}: ${row.hours}`).join('\n') : null;
+}
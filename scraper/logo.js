@@ -0,0 +1,268 @@
+/**
+ * Logo discovery: a fallback chain of candidates, best first
+ *
+ *   1. <img> logos in the header and logo/brand containers
+ *   2. inline <svg> logos (captured as a data: URL)
+ *   3. CSS background-image logos in the header
+ *   4. apple-touch-icon
+ *   5. high-resolution favicons (96px and up, or SVG)
+ *   6. og:image
+ *
+ * A candidate looks like:
+ * { url: 'https://example.com/logo.png', strategy: 'selector', selector: '.logo img', confidence: 0.8, snippet }
+ * The analyzer downloads candidates in order until one is usable, so a tiny or broken <img>
+ * falls through to the next kind of artwork.
+ */
+
+import { recordProvenance, snippetOf } from './provenance.js';
+
+// Blacklist of hosting platform domains/logos to exclude from <img> logos
+const PLATFORM_BLACKLIST = [
+    'toast', 'squarespace', 'wix', 'shopify', 'wordpress.com',
+    'cloudfront', 'cdn', 'logo-filled', 'icon-filled'
+];
+
+const LOGO_SELECTORS = [
+    'img[class*="logo"]:not([src*="toast"]):not([src*="squarespace"]):not([src*="wix"])',
+    '.logo img',
+    '[class*="brand"] img',
+    'header img',
+    '.header img',
+    'img[alt*="logo"]:not([alt*="Toast"]):not([alt*="Squarespace"])',
+    'img[alt*="Logo"]:not([alt*="Toast"])',
+    '[data-logo] img',
+    '[data-brand] img'
+];
+
+// How much each logo selector is trusted, in the order they're tried
+const LOGO_CONFIDENCE = [0.8, 0.8, 0.7, 0.5, 0.5, 0.7, 0.7, 0.7, 0.7];
+
+// Trust in each fallback, in chain order
+const FALLBACK_CONFIDENCE = {
+    'header-img': 0.4,
+    'inline-svg': 0.7,
+    'css-background': 0.6,
+    'apple-touch-icon': 0.5,
+    favicon: 0.4,
+    'og:image': 0.3
+};
+
+// Where a logo lives: logo/brand containers and the link back to the homepage
+const LOGO_CONTAINERS = '[class*="logo" i], [id*="logo" i], [class*="brand" i], [id*="brand" i], a[href="/"], a[href="./"], a[rel="home"]';
+
+// Icons that sit next to the logo in a header (menu toggles, search, cart, social)
+const ICON_PATTERN = /icon|hamburger|burger|toggle|menu|search|cart|bag|close|arrow|chevron|caret|social|facebook|instagram|twitter|phone|mail/i;
+
+// Platforms' default favicons and touch icons, used when the business hasn't uploaded one
+const PLATFORM_DEFAULT_ICONS = /squarespace\.com\/universal\/default-favicon|wix\.com\/favicon|wixstatic\.com\/.*wix-favicon|cdn\.shopify\.com\/.*default|s\.w\.org\/|wordpress\.com\/i\/(webclip|favicon)|toasttab\.com\/.*favicon/i;
+
+// Smallest favicon worth using as a logo
+const MIN_FAVICON_SIZE = 96;
+
+/**
+ * Resolve an <img>/<link> URL the way the logo extractor always has: protocol-relative and
+ * root-relative paths against the site's origin
+ */
+function resolveSrc(src, baseUrl) {
+    if (src.startsWith('//')) return 'https:' + src;
+    if (/^(https?|data):/i.test(src)) return src;
+    const origin = new URL(baseUrl).origin;
+    return src.startsWith('/') ? origin + src : origin + '/' + src;
+}
+
+function isPlatformAsset(src) {
+    const lower = src.toLowerCase();
+    return PLATFORM_BLACKLIST.some(platform => lower.includes(platform));
+}
+
+/**
+ * <img> logos by selector, then any header/nav image that isn't a platform logo
+ */
+function imgCandidates($, baseUrl) {
+    const candidates = [];
+
+    for (const [index, selector] of LOGO_SELECTORS.entries()) {
+        const img = $(selector).first();
+        const src = img.attr('src') || img.attr('data-src');
+        if (!src || isPlatformAsset(src)) continue;
+        const url = resolveSrc(src, baseUrl);
+        if (isPlatformAsset(url)) continue;
+        candidates.push({ url, strategy: 'selector', selector, confidence: LOGO_CONFIDENCE[index], snippet: snippetOf($, img[0]) });
+    }
+
+    $('header img, nav img, .navbar img').each((i, elem) => {
+        const src = $(elem).attr('src') || $(elem).attr('data-src');
+        if (src && !isPlatformAsset(src)) {
+            candidates.push({ url: resolveSrc(src, baseUrl), strategy: 'header-img', selector: 'header img', confidence: FALLBACK_CONFIDENCE['header-img'], snippet: snippetOf($, elem) });
+        }
+    });
+
+    return candidates;
+}
+
+function viewBoxSize(svg) {
+    const box = (svg.attr('viewBox') || svg.attr('viewbox') || '').trim().split(/[\s,]+/).map(Number);
+    if (box.length === 4 && box.every(Number.isFinite)) return { width: box[2], height: box[3] };
+    const width = parseFloat(svg.attr('width'));
+    const height = parseFloat(svg.attr('height'));
+    return Number.isFinite(width) && Number.isFinite(height) ? { width, height } : null;
+}
+
+/**
+ * Standalone SVG markup for an inline logo: namespaced, with the color it inherited on the
+ * page (recorded by markLogoStyles) so currentColor fills keep their color
+ */
+function standaloneSvg($, elem) {
+    const svg = $(elem).clone();
+    svg.removeAttr('class').removeAttr('data-computed-color');
+    if (!svg.attr('xmlns')) svg.attr('xmlns', 'http://www.w3.org/2000/svg');
+    const color = $(elem).attr('data-computed-color');
+    if (color) svg.attr('style', `color: ${color};${svg.attr('style') || ''}`);
+    return $.html(svg);
+}
+
+/**
+ * Inline <svg> logos inside a logo/brand container or the home link. Icons (menu toggles,
+ * social links, small square viewBoxes) and sprite references are skipped.
+ */
+function inlineSvgCandidates($) {
+    const candidates = [];
+
+    $('svg').each((i, elem) => {
+        const svg = $(elem);
+        const own = `${svg.attr('class') || ''} ${svg.attr('id') || ''}`;
+        const inLogo = /logo|brand/i.test(own) || svg.closest(LOGO_CONTAINERS).length > 0;
+        if (!inLogo) return;
+        if (svg.closest('button, [class*="social"], [class*="icon"]').length > 0 || ICON_PATTERN.test(own)) return;
+        if (svg.find('path, rect, circle, ellipse, polygon, polyline, text, image, g').length === 0) return;
+
+        const size = viewBoxSize(svg);
+        if (size && size.width <= 32 && size.height <= 32) return;
+
+        const markup = standaloneSvg($, elem);
+        candidates.push({
+            url: `data:image/svg+xml;base64,${Buffer.from(markup).toString('base64')}`,
+            strategy: 'inline-svg',
+            selector: 'svg',
+            confidence: FALLBACK_CONFIDENCE['inline-svg'],
+            snippet: markup.substring(0, 160)
+        });
+    });
+
+    return candidates;
+}
+
+function backgroundUrl(style) {
+    const match = (style || '').match(/background(?:-image)?\s*:[^;]*url\(\s*["']?([^"')]+)["']?\s*\)/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * CSS background-image logos: elements in a logo/brand container or the home link, with the
+ * background read from the computed style (recorded by markLogoStyles) or an inline style
+ */
+function backgroundCandidates($, baseUrl) {
+    const candidates = [];
+
+    $('[data-computed-background], [style*="background"]').each((i, elem) => {
+        const $elem = $(elem);
+        if ($elem.closest(LOGO_CONTAINERS).length === 0) return;
+        if (ICON_PATTERN.test(`${$elem.attr('class') || ''} ${$elem.attr('id') || ''}`)) return;
+        const src = $elem.attr('data-computed-background') || backgroundUrl($elem.attr('style'));
+        if (!src || PLATFORM_DEFAULT_ICONS.test(src)) return;
+        candidates.push({
+            url: resolveSrc(src, baseUrl),
+            strategy: 'css-background',
+            selector: $elem.attr('data-computed-background') ? 'computed background-image' : '[style*="background"]',
+            confidence: FALLBACK_CONFIDENCE['css-background'],
+            snippet: snippetOf($, elem)
+        });
+    });
+
+    return candidates;
+}
+
+function iconSize(link) {
+    const sizes = (link.attr('sizes') || '').match(/(\d+)x(\d+)/i);
+    if (sizes) return parseInt(sizes[1], 10);
+    if (/svg/i.test(link.attr('type') || '') || /\.svg(\?|$)/i.test(link.attr('href') || '')) return Infinity;
+    return null;
+}
+
+/**
+ * Icons declared in <link> tags matching `selector`, largest first
+ */
+function iconCandidates($, baseUrl, selector, strategy, { minSize = 0 } = {}) {
+    return $(selector).toArray()
+        .map(elem => ({ elem, href: $(elem).attr('href'), size: iconSize($(elem)) }))
+        .filter(icon => icon.href && !PLATFORM_DEFAULT_ICONS.test(icon.href) && !/\.ico(\?|$)/i.test(icon.href))
+        .filter(icon => minSize === 0 || (icon.size !== null && icon.size >= minSize))
+        .sort((a, b) => (b.size ?? 0) - (a.size ?? 0))
+        .map(icon => ({
+            url: resolveSrc(icon.href, baseUrl),
+            strategy,
+            selector,
+            confidence: FALLBACK_CONFIDENCE[strategy],
+            snippet: snippetOf($, icon.elem)
+        }));
+}
+
+/**
+ * Every logo candidate on a page, best first, one per URL
+ */
+export function findLogoCandidates($, baseUrl) {
+    const candidates = [
+        ...imgCandidates($, baseUrl),
+        ...inlineSvgCandidates($),
+        ...backgroundCandidates($, baseUrl),
+        ...iconCandidates($, baseUrl, 'link[rel~="apple-touch-icon" i], link[rel="apple-touch-icon-precomposed" i]', 'apple-touch-icon'),
+        ...iconCandidates($, baseUrl, 'link[rel~="icon" i]', 'favicon', { minSize: MIN_FAVICON_SIZE }),
+        ...$('meta[property="og:image"], meta[name="og:image"]').toArray()
+            .filter(elem => $(elem).attr('content'))
+            .map(elem => ({ url: resolveSrc($(elem).attr('content').trim(), baseUrl), strategy: 'og:image', selector: 'meta[property="og:image"]', confidence: FALLBACK_CONFIDENCE['og:image'], snippet: snippetOf($, elem) }))
+    ];
+
+    const seen = new Set();
+    return candidates.filter(candidate => {
+        if (seen.has(candidate.url)) return false;
+        seen.add(candidate.url);
+        return true;
+    });
+}
+
+/**
+ * Extract logo image URL (excludes hosting platform logos): the first candidate of the chain
+ */
+export function extractLogo($, baseUrl, provenance = null) {
+    const [best] = findLogoCandidates($, baseUrl);
+    if (!best) return null;
+    const { url, ...evidence } = best;
+    recordProvenance(provenance, 'logoUrl', evidence);
+    return url;
+}
+
+/**
+ * Record styles only the browser knows onto the DOM before it's serialized for cheerio:
+ * computed background images of logo/brand elements and the text color inline SVG logos inherit
+ */
+export async function markLogoStyles(page) {
+    if (!page || typeof page.evaluate !== 'function') return;
+
+    try {
+        await page.evaluate(containers => {
+            const elements = Array.from(document.querySelectorAll(`header *, nav *, ${containers}`)).slice(0, 800);
+            for (const elem of elements) {
+                const style = window.getComputedStyle(elem);
+                const match = (style.backgroundImage || '').match(/url\(\s*["']?([^"')]+)["']?\s*\)/);
+                if (match && !/^data:/.test(match[1])) {
+                    elem.setAttribute('data-computed-background', match[1]);
+                }
+                if (elem.tagName.toLowerCase() === 'svg') {
+                    elem.setAttribute('data-computed-color', style.color);
+                }
+            }
+        }, LOGO_CONTAINERS);
+    } catch (e) {
+        // Styles are a bonus; the static candidates still work
+    }
+}
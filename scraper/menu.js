@@ -0,0 +1,356 @@
+/**
+ * Restaurant menu extraction into a structured menu model
+ *
+ * A menu looks like:
+ * {
+ *     sections: [{
+ *         name: 'Pizza',
+ *         description: null,
+ *         items: [{ name: 'Margherita', description: 'Tomato, basil', price: '$12.95', amount: 12.95, prices: [...], dietary: ['vegetarian'] }]
+ *     }],
+ *     itemCount: 1,
+ *     source: 'schema.org' | 'html' | 'text' | 'pdf'
+ * }
+ */
+
+import { parseJsonLd } from './structured-data.js';
+
+const DIETARY_MARKERS = [
+    { tag: 'vegan', pattern: /\(vg\)|\bvg\b|\bvegan\b|🌱/i },
+    { tag: 'vegetarian', pattern: /\(v\)|(?<![\w-])v(?![\w-])|\bvegetarian\b|\bveggie\b/i },
+    { tag: 'gluten-free', pattern: /\(gf\)|\bgf\b|gluten[\s-]?free/i },
+    { tag: 'dairy-free', pattern: /\(df\)|\bdf\b|dairy[\s-]?free/i },
+    { tag: 'spicy', pattern: /\bspicy\b|\bhot\b(?!\s+(dog|sauce|wings?|chocolate|tea|coffee))|🌶/i },
+    { tag: 'contains-nuts', pattern: /\bcontains nuts\b|\(n\)/i }
+];
+
+const MARKER_TOKENS = /\s*(\((?:v|vg|gf|df|n)\)|(?<![\w-])(?:v|vg|gf|df)(?![\w-])|🌶️?|🌱)\s*/gi;
+
+// "$12", "$12.95", "12.95", "12.95/16.95"; bare integers only count when a $ is present
+const PRICE_PATTERN = /\$\s?\d{1,3}(?:[.,]\d{2})?(?!\d)|(?<![\d.,$])\d{1,3}[.,]\d{2}(?!\d)/g;
+
+// In a text menu a bare integer ending a line is a price too ("Margherita 14")
+const TRAILING_PRICE = /(^|\s)(\d{1,3})$/;
+
+const ITEM_SELECTORS = [
+    '[itemtype*="MenuItem"]',
+    '[class*="menu-item"]',
+    '[class*="menuItem"]',
+    '[class*="menu_item"]',
+    '[class*="menu__item"]',
+    '[class*="dish"]',
+    '[class*="food-item"]',
+    '[class*="menu"] li'
+];
+
+const NAME_SELECTORS = '[itemprop="name"], [class*="name"], [class*="title"], h3, h4, h5, h6, dt, strong, b';
+const DESCRIPTION_SELECTORS = '[itemprop="description"], [class*="desc"], [class*="ingredients"], p, dd, small';
+
+function clean(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse every price in a string into { price, amount }
+ */
+export function parsePrices(text) {
+    return (clean(text).match(PRICE_PATTERN) || []).map(match => {
+        const amount = parseFloat(match.replace(/[$\s]/g, '').replace(',', '.'));
+        return { price: `$${amount % 1 === 0 ? amount : amount.toFixed(2)}`, amount };
+    });
+}
+
+/**
+ * Find dietary markers (V, VG, GF, DF, spicy) in an item's text or icon attributes
+ */
+export function detectDietary(text) {
+    return DIETARY_MARKERS
+        .filter(marker => marker.pattern.test(text || ''))
+        .map(marker => marker.tag);
+}
+
+function stripMarkers(name) {
+    return clean(name.replace(MARKER_TOKENS, ' ').replace(PRICE_PATTERN, '').replace(/[.\s·…-]{3,}$/, ''));
+}
+
+/**
+ * Build a menu item from its parts, or null when there's no usable name
+ */
+export function buildMenuItem(name, description, priceText, markerText = '') {
+    const prices = parsePrices(priceText);
+    const cleanName = stripMarkers(name || '');
+    if (!cleanName || cleanName.length < 2 || cleanName.length > 80) return null;
+
+    const cleanDescription = clean((description || '').replace(PRICE_PATTERN, ''));
+    return {
+        name: cleanName,
+        description: cleanDescription && cleanDescription !== cleanName ? cleanDescription.substring(0, 240) : null,
+        price: prices[0]?.price || null,
+        amount: prices[0]?.amount ?? null,
+        prices: prices,
+        dietary: detectDietary(`${name} ${description || ''} ${markerText}`)
+    };
+}
+
+function finalizeMenu(sections, source) {
+    const nonEmpty = sections.filter(section => section.items.length > 0);
+    const itemCount = nonEmpty.reduce((sum, section) => sum + section.items.length, 0);
+    return itemCount > 0 ? { sections: nonEmpty, itemCount, source } : null;
+}
+
+/**
+ * Menu from schema.org Menu / MenuSection / MenuItem data
+ */
+export function menuFromStructuredData(entities) {
+    const asArray = value => (Array.isArray(value) ? value : value ? [value] : []);
+    const typeOf = entity => asArray(entity['@type']).map(String);
+    const priceOf = item => {
+        const offer = asArray(item.offers)[0];
+        const price = offer?.price ?? item.price;
+        return price !== undefined && price !== null ? `$${price}` : '';
+    };
+    const dietOf = item => asArray(item.suitableForDiet).map(diet => String(diet).split('/').pop()).join(' ');
+
+    const toItem = item => buildMenuItem(item.name, item.description, priceOf(item), dietOf(item)
+        .replace('VeganDiet', 'vegan')
+        .replace('VegetarianDiet', 'vegetarian')
+        .replace('GlutenFreeDiet', 'gluten-free'));
+
+    const menus = [];
+    const visit = node => {
+        if (!node || typeof node !== 'object') return;
+        if (typeOf(node).includes('Menu')) menus.push(node);
+        Object.values(node).forEach(value => asArray(value).forEach(visit));
+    };
+    entities.forEach(visit);
+
+    const sections = [];
+    for (const menu of menus) {
+        for (const section of asArray(menu.hasMenuSection)) {
+            sections.push({
+                name: clean(section.name) || 'Menu',
+                description: clean(section.description) || null,
+                items: asArray(section.hasMenuItem).map(toItem).filter(Boolean)
+            });
+        }
+        const looseItems = asArray(menu.hasMenuItem).map(toItem).filter(Boolean);
+        if (looseItems.length > 0) {
+            sections.push({ name: clean(menu.name) || 'Menu', description: null, items: looseItems });
+        }
+    }
+
+    return finalizeMenu(sections, 'schema.org');
+}
+
+/**
+ * A short unpriced line that reads like a section heading ("STARTERS", "Wood-Fired Pizza")
+ */
+function isHeadingLine(line) {
+    if (line.length > 40 || /[.,;]$/.test(line)) return false;
+    const letters = line.replace(/[^A-Za-z]/g, '');
+    if (letters.length < 3) return false;
+    if (letters === letters.toUpperCase()) return true;
+    const words = line.split(' ');
+    return words.length <= 4 && words.every(word => !/^[a-z]/.test(word) || /^(and|of|the|&|with|to)$/.test(word));
+}
+
+/**
+ * Menu from plain text, one item per line (PDF menus, pasted menus). Prices sit on the item's
+ * line, either after the name or alone on the following line, with or without a $ or cents;
+ * unpriced lines are headings or descriptions of the item above them.
+ */
+export function parseMenuText(text) {
+    const lines = (text || '').split(/\r?\n/).map(clean).filter(Boolean);
+    const sections = [];
+    let section = null;
+    let lastItem = null;
+    let pendingName = null;
+
+    const addItem = item => {
+        if (!item) return;
+        if (!section) {
+            section = { name: 'Menu', description: null, items: [] };
+            sections.push(section);
+        }
+        section.items.push(item);
+        lastItem = item;
+    };
+
+    for (const textLine of lines) {
+        // "Margherita 14" reads as "Margherita $14"
+        const line = parsePrices(textLine).length === 0 ? textLine.replace(TRAILING_PRICE, '$1$$$2') : textLine;
+        const prices = parsePrices(line);
+
+        if (prices.length > 0) {
+            const firstPrice = line.search(PRICE_PATTERN);
+            const before = line.substring(0, firstPrice);
+            const after = line.substring(firstPrice).replace(PRICE_PATTERN, ' ');
+
+            if (lastItem && !pendingName && /^(\+|add\b|with\b|extra\b|sub\b)/i.test(before)) {
+                // Add-ons belong to the item above ("add chicken $4")
+                lastItem.description = clean(`${lastItem.description || ''} ${line}`).substring(0, 240);
+            } else if (!clean(before.replace(MARKER_TOKENS, ' ')) && pendingName) {
+                // Price alone on the line below its item
+                addItem(buildMenuItem(pendingName, clean(after), line, pendingName));
+            } else {
+                if (pendingName) {
+                    section = { name: pendingName, description: null, items: [] };
+                    sections.push(section);
+                }
+                // "Name - description 12.95" or "Name 12.95 description"
+                const [name, ...rest] = before.split(/\s[–—-]\s|:\s/);
+                addItem(buildMenuItem(name, clean(`${rest.join(' ')} ${after}`), line, line));
+            }
+            pendingName = null;
+            continue;
+        }
+
+        if (isHeadingLine(line)) {
+            if (pendingName) {
+                // Two unpriced short lines in a row: the first was a heading after all
+                section = { name: pendingName, description: null, items: [] };
+                sections.push(section);
+                lastItem = null;
+            }
+            pendingName = line;
+            continue;
+        }
+
+        if (pendingName) {
+            section = { name: pendingName, description: null, items: [] };
+            sections.push(section);
+            lastItem = null;
+            pendingName = null;
+        }
+
+        // Descriptions wrap onto the lines below the item; text before the first item describes the section
+        if (lastItem) {
+            lastItem.description = clean(`${lastItem.description || ''} ${line}`).substring(0, 240);
+            lastItem.dietary = [...new Set([...lastItem.dietary, ...detectDietary(line)])];
+        } else if (section && !section.description) {
+            section.description = line.substring(0, 240);
+        }
+    }
+
+    // A short line left over at the end describes the last item ("Parmesan")
+    if (pendingName && lastItem && !lastItem.description) {
+        lastItem.description = pendingName;
+    }
+
+    return finalizeMenu(sections, 'text');
+}
+
+/**
+ * Find the section heading for a menu item: the nearest heading before it at any ancestor level
+ */
+function findSectionName($, elem) {
+    let current = $(elem);
+    for (let depth = 0; depth < 6 && current.length; depth++) {
+        const sectionHeading = current.closest('[class*="section"], [class*="category"], [class*="group"]')
+            .find('[class*="section-title"], [class*="category-title"], [class*="section-name"], [class*="category-name"]')
+            .first();
+        if (depth === 0 && sectionHeading.length) {
+            return clean(sectionHeading.text());
+        }
+
+        // A heading (or heading wrapper) before us that isn't itself a priced item
+        const previous = current.prevAll().filter((i, sibling) => {
+            const $sibling = $(sibling);
+            if (parsePrices($sibling.text()).length > 0) return false;
+            return $sibling.is('h1, h2, h3, h4') || $sibling.find('h1, h2, h3, h4').length > 0;
+        }).first();
+        if (previous.length) {
+            const heading = previous.is('h1, h2, h3, h4') ? previous : previous.find('h1, h2, h3, h4').last();
+            return clean(heading.text());
+        }
+        current = current.parent();
+    }
+    return null;
+}
+
+/**
+ * Read one item element into a menu item
+ */
+function readItemElement($, elem) {
+    const $elem = $(elem);
+    const text = clean($elem.text());
+    if (!text || text.length > 400) return null;
+
+    const nameElem = $elem.find(NAME_SELECTORS).first();
+    const priceElem = $elem.find('[class*="price"], [itemprop="price"]').first();
+    const descriptionElem = $elem.find(DESCRIPTION_SELECTORS).not(nameElem).first();
+
+    const priceText = priceElem.length ? clean(priceElem.text()) || priceElem.attr('content') : text;
+    let name = nameElem.length ? clean(nameElem.text()) : text.split(PRICE_PATTERN)[0];
+    let description = descriptionElem.length ? clean(descriptionElem.text()) : null;
+
+    if (!description && nameElem.length) {
+        description = clean(text.replace(clean(nameElem.text()), '').replace(priceText, ''));
+    }
+
+    // Icons often carry the dietary markers
+    const markerText = $elem.find('img[alt], [title], [class*="veg"], [class*="gluten"], [class*="spicy"]')
+        .map((i, marker) => `${$(marker).attr('alt') || ''} ${$(marker).attr('title') || ''} ${$(marker).attr('class') || ''}`)
+        .get()
+        .join(' ');
+
+    if (name && name.length > 80) {
+        name = name.split(/[.:–-]\s/)[0];
+    }
+    return buildMenuItem(name, description, priceText, markerText);
+}
+
+/**
+ * Extract a structured menu from a page (schema.org data first, then HTML heuristics)
+ */
+export function extractMenu($) {
+    const structured = menuFromStructuredData(parseJsonLd($));
+    if (structured) return structured;
+
+    // Item containers: use the first selector that yields a priced list
+    let itemElements = [];
+    for (const selector of ITEM_SELECTORS) {
+        const candidates = $(selector).filter((i, elem) => parsePrices($(elem).text()).length > 0 && $(elem).find(selector).length === 0);
+        if (candidates.length >= 3) {
+            itemElements = candidates.toArray();
+            break;
+        }
+    }
+
+    // Fallback: any small block whose text ends in or contains a price
+    if (itemElements.length === 0) {
+        const seen = new Set();
+        $('body').find('li, tr, dl, p, div, article').each((i, elem) => {
+            const $elem = $(elem);
+            const text = clean($elem.text());
+            if (text.length < 4 || text.length > 300 || parsePrices(text).length === 0) return;
+            // Innermost block only
+            if ($elem.find('li, tr, p, div, article').filter((j, child) => parsePrices($(child).text()).length > 0).length > 0) return;
+            if (!seen.has(elem)) {
+                seen.add(elem);
+                itemElements.push(elem);
+            }
+        });
+        if (itemElements.length < 3) return null;
+    }
+
+    const sections = [];
+    const byName = new Map();
+    for (const elem of itemElements.slice(0, 200)) {
+        const item = readItemElement($, elem);
+        if (!item) continue;
+
+        const sectionName = findSectionName($, elem) || 'Menu';
+        let section = byName.get(sectionName);
+        if (!section) {
+            section = { name: sectionName, description: null, items: [] };
+            byName.set(sectionName, section);
+            sections.push(section);
+        }
+        if (!section.items.some(existing => existing.name === item.name && existing.price === item.price)) {
+            section.items.push(item);
+        }
+    }
+
+    return finalizeMenu(sections, 'html');
+}
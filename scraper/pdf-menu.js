@@ -0,0 +1,242 @@
+/**
+ * PDF menu ingestion: find menu PDFs linked from a site, download them through the scraping
+ * browser session and turn their text into the structured menu model.
+ *
+ * Text is extracted locally with pdf.js; scanned (image-only) PDFs have no text layer and are
+ * reported as such rather than sent to an outside OCR service.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { parseMenuText } from './menu.js';
+
+const MENU_PDF_KEYWORDS = /menu|food|drinks?|wine|cocktail|beer|dinner|lunch|breakfast|brunch|dessert|specials|carte|catering/i;
+const MAX_PDF_BYTES = 15 * 1024 * 1024;
+const TOO_LARGE = 'PDF is too large';
+
+// Horizontal gap (in PDF points) that separates two runs of text on the same line
+const COLUMN_GAP = 24;
+
+/**
+ * Find links to menu PDFs on a page. On a page already identified as the menu page any PDF counts.
+ * Returns [{ url, label }].
+ */
+export function findMenuPdfLinks($, baseUrl, { anyPdf = false } = {}) {
+    const links = [];
+    const seen = new Set();
+
+    $('a[href]').each((i, elem) => {
+        const href = $(elem).attr('href');
+        let resolved;
+        try {
+            resolved = new URL(href, baseUrl);
+        } catch (e) {
+            return;
+        }
+        if (!/^https?:$/.test(resolved.protocol) || !/\.pdf$/i.test(resolved.pathname)) return;
+
+        const label = [$(elem).text(), $(elem).attr('title'), $(elem).attr('aria-label')]
+            .filter(Boolean)
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+        const fileName = decodeURIComponent(resolved.pathname.split('/').pop());
+        if (!anyPdf && !MENU_PDF_KEYWORDS.test(label) && !MENU_PDF_KEYWORDS.test(fileName)) return;
+
+        resolved.hash = '';
+        if (seen.has(resolved.href)) return;
+        seen.add(resolved.href);
+        links.push({ url: resolved.href, label: label || fileName });
+    });
+
+    return links;
+}
+
+/**
+ * Download a PDF with the page's browser session (cookies, user agent, referrer), so PDFs behind
+ * the same protections as the site itself still come through. Cross-origin files that the page
+ * can't fetch fall back to a Node request carrying the session's cookies.
+ *
+ * Options:
+ *   network    - allow the Node fallback (off when replaying a snapshot)
+ *   onResponse - called with { url, status, headers, body } for files fetched by the fallback
+ *   crawler    - crawl service; the download waits for the host's rate limit and is refused if
+ *                robots.txt disallows it
+ */
+export async function downloadPdf(page, url, { network = true, onResponse = null, crawler = null } = {}) {
+    const download = () => fetchPdf(page, url, { network, onResponse });
+    const buffer = await (crawler ? crawler.throttle(url, download) : download());
+
+    if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+        throw new Error(`Not a PDF: ${url}`);
+    }
+    return buffer;
+}
+
+/**
+ * A fetch response's body, refused from its Content-Length or abandoned as soon as it passes
+ * `maxBytes`, so an oversized file is never held in memory whole
+ */
+async function readBody(response, maxBytes) {
+    if (Number(response.headers.get('content-length')) > maxBytes) {
+        await response.body?.cancel().catch(() => {});
+        throw new Error(TOO_LARGE);
+    }
+    const chunks = [];
+    let size = 0;
+    const reader = response.body.getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.length;
+        if (size > maxBytes) {
+            await reader.cancel().catch(() => {});
+            throw new Error(TOO_LARGE);
+        }
+        chunks.push(value);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * The bytes at `url`, fetched in the page or by the Node fallback (see downloadPdf)
+ */
+async function fetchPdf(page, url, { network, onResponse }) {
+    let buffer;
+    try {
+        const base64 = await page.evaluate(async (pdfUrl, maxBytes, tooLarge) => {
+            const response = await fetch(pdfUrl, { credentials: 'include' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            if (Number(response.headers.get('content-length')) > maxBytes) throw new Error(tooLarge);
+            const blob = await response.blob();
+            if (blob.size > maxBytes) throw new Error(tooLarge);
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+        }, url, MAX_PDF_BYTES, TOO_LARGE);
+        buffer = Buffer.from(base64, 'base64');
+    } catch (e) {
+        // A file that's too big in the page is too big for Node too
+        if (!network || e.message.includes(TOO_LARGE)) {
+            throw e;
+        }
+        const cookies = await page.cookies(url);
+        const response = await fetch(url, {
+            headers: {
+                'User-Agent': await page.evaluate(() => navigator.userAgent),
+                'Referer': page.url(),
+                'Cookie': cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ')
+            }
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} downloading ${url}`);
+        }
+        buffer = await readBody(response, MAX_PDF_BYTES);
+        if (onResponse) {
+            await onResponse({ url, status: response.status, headers: Object.fromEntries(response.headers), body: buffer });
+        }
+    }
+    return buffer;
+}
+
+/**
+ * Rebuild one page's text lines from pdf.js text items. Two-column menus (priced text on both
+ * sides of a gap down the middle) are read left column first, then right.
+ */
+function pageLines(items, pageWidth) {
+    const rows = [];
+    for (const item of items) {
+        if (!item.str || !item.str.trim()) continue;
+        const x = item.transform[4];
+        const y = item.transform[5];
+        let row = rows.find(candidate => Math.abs(candidate.y - y) <= 2);
+        if (!row) {
+            row = { y, items: [] };
+            rows.push(row);
+        }
+        row.items.push({ x, end: x + (item.width || 0), str: item.str });
+    }
+    rows.sort((a, b) => b.y - a.y);
+
+    // Split each row into runs separated by wide gaps
+    const middle = pageWidth / 2;
+    for (const row of rows) {
+        row.items.sort((a, b) => a.x - b.x);
+        row.runs = [];
+        let run = null;
+        for (const item of row.items) {
+            if (run && item.x - run.end <= COLUMN_GAP) {
+                run.text += item.x - run.end > 1 && !/\s$/.test(run.text) ? ` ${item.str}` : item.str;
+                run.end = item.end;
+            } else {
+                run = { x: item.x, end: item.end, text: item.str };
+                row.runs.push(run);
+            }
+        }
+    }
+
+    const pricedLeftColumns = rows.filter(row => {
+        const left = row.runs.filter(run => run.end < middle);
+        return left.length > 0 && row.runs.some(run => run.x >= middle) && /\d[.,]\d{2}\b|\$\s?\d/.test(left.map(run => run.text).join(' '));
+    }).length;
+
+    if (pricedLeftColumns >= 3) {
+        const column = right => rows
+            .map(row => row.runs.filter(run => (run.x >= middle) === right).map(run => run.text).join(' '))
+            .filter(line => line.trim());
+        return [...column(false), ...column(true)];
+    }
+    return rows.map(row => row.runs.map(run => run.text).join(' '));
+}
+
+/**
+ * Extract the text of a PDF, one line per visual line of text
+ */
+export async function extractPdfText(buffer) {
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const document = await pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        isEvalSupported: false,
+        disableFontFace: true,
+        verbosity: 0
+    }).promise;
+
+    const lines = [];
+    try {
+        for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+            const pdfPage = await document.getPage(pageNumber);
+            const content = await pdfPage.getTextContent();
+            const [, , width] = pdfPage.view;
+            lines.push(...pageLines(content.items, width), '');
+        }
+    } finally {
+        await document.destroy();
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Parse a PDF into the menu model ({ ..., source: 'pdf', sourceUrl }), or null when it has no
+ * usable menu text
+ */
+export async function menuFromPdf(buffer, sourceUrl = null) {
+    const text = await extractPdfText(buffer);
+    if (text.replace(/\s/g, '').length < 20) {
+        throw new Error('PDF has no text layer (scanned image?)');
+    }
+    const menu = parseMenuText(text);
+    return menu ? { ...menu, source: 'pdf', sourceUrl } : null;
+}
+
+/**
+ * Parse a menu PDF supplied on disk (e.g. one a business emailed us)
+ */
+export async function loadMenuPdf(filePath) {
+    if (!await fs.pathExists(filePath)) {
+        throw new Error(`Menu PDF not found: ${filePath}`);
+    }
+    return menuFromPdf(await fs.readFile(filePath), path.basename(filePath));
+}
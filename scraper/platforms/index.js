@@ -0,0 +1,202 @@
+/**
+ * Hosting platform detection and adapters
+ *
+ * Sites built on Squarespace, Wix, WordPress, Shopify or Toast share markup, so each platform
+ * gets an adapter module in this directory supplying its own selectors. The generic heuristics in
+ * utils.js stay the fallback for anything an adapter doesn't find.
+ *
+ * An adapter looks like:
+ * {
+ *     name: 'squarespace',
+ *     label: 'Squarespace',
+ *     signals: {
+ *         generator: /squarespace/i,                  // <meta name="generator"> content
+ *         hosts: [/\.squarespace\.com$/],             // the site's own hostname
+ *         assetHosts: [/static1\.squarespace\.com/],  // script/stylesheet/image URLs
+ *         markup: ['.sqs-block']                      // selectors only this platform emits
+ *     },
+ *     selectors: {
+ *         logo: ['.header-title-logo img'],
+ *         nav: '.header-nav',
+ *         services: [{ item: '.summary-item', name: '.summary-title', description: '.summary-excerpt' }],
+ *         hours: ['.sqs-block-html'],                 // candidate blocks, checked with looksLikeHours
+ *         images: ['.sqs-gallery img']
+ *     },
+ *     brandingPatterns: [/squarespace-logo/i],        // the platform's own badges, never the business's logo
+ *     normalizeImageUrl: url => url,                  // optional: strip resize parameters etc.
+ *     extract: { logo($, baseUrl) {} }                // optional: custom extraction per field
+ * }
+ *
+ * To add a platform, create its module here and list it in ADAPTERS.
+ */
+
+import { looksLikeHours } from '../hours.js';
+import { blockText } from '../utils.js';
+import { recordProvenance, snippetOf } from '../provenance.js';
+import squarespace from './squarespace.js';
+import wix from './wix.js';
+import wordpress from './wordpress.js';
+import shopify from './shopify.js';
+import toast from './toast.js';
+
+export const ADAPTERS = [squarespace, wix, wordpress, shopify, toast];
+
+// Detection needs at least this score; a generator tag or platform hostname alone is enough
+const MIN_DETECTION_SCORE = 0.5;
+const ADAPTER_CONFIDENCE = 0.8;
+
+function clean(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function resolveUrl(src, baseUrl) {
+    if (!src || src.startsWith('data:')) return null;
+    try {
+        return new URL(src.trim(), baseUrl).href;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Image URL from an <img>, including lazy-loading attributes
+ */
+function imageSource($, elem) {
+    const $elem = $(elem);
+    const srcset = $elem.attr('srcset') || $elem.attr('data-srcset');
+    return $elem.attr('data-src')
+        || $elem.attr('data-image')
+        || $elem.attr('src')
+        || (srcset ? srcset.split(',').pop().trim().split(/\s+/)[0] : null);
+}
+
+/**
+ * Score how strongly a page looks like each platform. Returns
+ * { adapter, score, signals: ['generator', ...] } for the best match, or null.
+ */
+export function detectPlatform($, url) {
+    const generator = $('meta[name="generator"]').map((i, elem) => $(elem).attr('content')).get().join(' ');
+    const hostname = (() => {
+        try {
+            return new URL(url).hostname;
+        } catch (e) {
+            return '';
+        }
+    })();
+    const assetUrls = $('script[src], link[href], img[src]')
+        .map((i, elem) => $(elem).attr('src') || $(elem).attr('href'))
+        .get()
+        .join(' ');
+
+    let best = null;
+    for (const adapter of ADAPTERS) {
+        const { signals = {} } = adapter;
+        const found = [];
+        let score = 0;
+
+        if (signals.generator && signals.generator.test(generator)) {
+            score += 1;
+            found.push('generator');
+        }
+        if ((signals.hosts || []).some(pattern => pattern.test(hostname))) {
+            score += 1;
+            found.push('hostname');
+        }
+        if ((signals.assetHosts || []).some(pattern => pattern.test(assetUrls))) {
+            score += 0.4;
+            found.push('assets');
+        }
+        const markupHits = (signals.markup || []).filter(selector => $(selector).length > 0).length;
+        if (markupHits > 0) {
+            score += Math.min(0.6, markupHits * 0.3);
+            found.push('markup');
+        }
+
+        if (score >= MIN_DETECTION_SCORE && (!best || score > best.score)) {
+            best = { adapter, score: Math.min(1, score), signals: found };
+        }
+    }
+    return best;
+}
+
+const FIELD_EXTRACTORS = {
+    logo(adapter, $, baseUrl) {
+        for (const selector of adapter.selectors.logo || []) {
+            const img = $(selector).first();
+            const src = img.length ? resolveUrl(imageSource($, img), baseUrl) : null;
+            if (src && !(adapter.brandingPatterns || []).some(pattern => pattern.test(src))) {
+                return { value: src, selector, elem: img[0] };
+            }
+        }
+        return null;
+    },
+
+    services(adapter, $) {
+        for (const spec of adapter.selectors.services || []) {
+            const services = $(spec.item).slice(0, 10).map((i, elem) => {
+                const name = clean($(elem).find(spec.name).first().text());
+                const description = clean($(elem).find(spec.description).first().text());
+                return name.length > 2 ? { name, description: description.substring(0, 200) || 'Service description' } : null;
+            }).get().filter(Boolean);
+            if (services.length > 0) {
+                return { value: services.slice(0, 6), selector: spec.item, elem: $(spec.item)[0] };
+            }
+        }
+        return null;
+    },
+
+    hours(adapter, $) {
+        for (const selector of adapter.selectors.hours || []) {
+            let found = null;
+            $(selector).slice(0, 30).each((i, elem) => {
+                const text = blockText($, elem);
+                if (text.length > 5 && text.length < 400 && looksLikeHours(text)) {
+                    found = { value: text, selector, elem };
+                    return false;
+                }
+            });
+            if (found) return found;
+        }
+        return null;
+    },
+
+    images(adapter, $, baseUrl) {
+        const images = [];
+        const seen = new Set();
+        for (const selector of adapter.selectors.images || []) {
+            $(selector).each((i, elem) => {
+                let src = resolveUrl(imageSource($, elem), baseUrl);
+                if (!src) return;
+                if (adapter.normalizeImageUrl) src = adapter.normalizeImageUrl(src);
+                if (seen.has(src) || (adapter.brandingPatterns || []).some(pattern => pattern.test(src))) return;
+                seen.add(src);
+                const alt = $(elem).attr('alt') || '';
+                images.push({ url: src, alt: alt || 'Business image', type: alt.toLowerCase().includes('food') ? 'food' : 'hero' });
+            });
+            if (images.length >= 6) break;
+        }
+        return images.length > 0 ? { value: images.slice(0, 6), selector: adapter.selectors.images.join(', ') } : null;
+    }
+};
+
+/**
+ * Extract one field (logo, services, hours, images) with a platform adapter, falling back to
+ * the generic extractor when there's no adapter or it finds nothing. Provenance is recorded under
+ * `provenanceField` (defaults to the field name).
+ */
+export function extractField(adapter, field, $, baseUrl, provenance, fallback, provenanceField = field) {
+    if (adapter) {
+        const custom = adapter.extract?.[field];
+        const result = custom ? custom($, baseUrl) : FIELD_EXTRACTORS[field]?.(adapter, $, baseUrl);
+        if (result && result.value !== null && result.value !== undefined) {
+            recordProvenance(provenance, provenanceField, {
+                confidence: ADAPTER_CONFIDENCE,
+                strategy: `platform:${adapter.name}`,
+                selector: result.selector || null,
+                snippet: result.elem ? snippetOf($, result.elem) : null
+            });
+            return result.value;
+        }
+    }
+    return fallback();
+}
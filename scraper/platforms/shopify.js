@@ -0,0 +1,38 @@
+/**
+ * Shopify storefronts (Dawn and older Online Store themes)
+ */
+
+export default {
+    name: 'shopify',
+    label: 'Shopify',
+    signals: {
+        generator: /shopify/i,
+        hosts: [/\.myshopify\.com$/],
+        assetHosts: [/cdn\.shopify\.com/, /\/cdn\/shop\//],
+        markup: ['#shopify-section-header', '[id^="shopify-section-"]', 'link[href*="cdn.shopify.com"]']
+    },
+    selectors: {
+        logo: ['.header__heading-logo', '.site-header__logo-image img', '.site-header__logo img', '.header__logo img'],
+        nav: '.header__inline-menu, .site-nav, #AccessibleNav, .header__menu',
+        // Products stand in for services on a storefront
+        services: [
+            { item: '.card-wrapper', name: '.card__heading', description: '.price-item--regular, .price' },
+            { item: '.grid-product', name: '.grid-product__title', description: '.grid-product__price' },
+            { item: '.product-card', name: '.product-card__title', description: '.product-card__price, .price' }
+        ],
+        hours: ['.rich-text__text', '.footer-block__details-content'],
+        images: ['.banner__media img', '.slideshow__media img', '.image-with-text__media img', '.collage__item img', '.hero__image img']
+    },
+    brandingPatterns: [/shopify-logo/i],
+
+    // Theme images request a size with ?width=375 or a _375x suffix; drop either for the original
+    normalizeImageUrl(url) {
+        if (!/cdn\.shopify\.com|\/cdn\/shop\//.test(url)) return url;
+        const parsed = new URL(url);
+        parsed.searchParams.delete('width');
+        parsed.searchParams.delete('height');
+        parsed.searchParams.delete('crop');
+        parsed.pathname = parsed.pathname.replace(/_(\d+x\d*|\d*x\d+)(?=\.\w+$)/, '');
+        return parsed.href;
+    }
+};
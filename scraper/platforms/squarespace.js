@@ -0,0 +1,34 @@
+/**
+ * Squarespace (7.0 templates and 7.1 Fluid Engine)
+ */
+
+export default {
+    name: 'squarespace',
+    label: 'Squarespace',
+    signals: {
+        generator: /squarespace/i,
+        hosts: [/\.squarespace\.com$/],
+        assetHosts: [/static1\.squarespace\.com/, /images\.squarespace-cdn\.com/, /assets\.squarespace\.com/],
+        markup: ['.sqs-block', '[data-block-type]', 'body.sqs-site-header, .sqs-announcement-bar']
+    },
+    selectors: {
+        logo: ['.header-title-logo img', '#logoImage img', '.Header-branding-logo', '.site-title img', '.logo-image img'],
+        nav: '.header-nav, .header-menu-nav, #mainNavigation, .Header-nav, .main-nav',
+        services: [
+            { item: '.user-items-list-item-container .list-item', name: '.list-item-content__title', description: '.list-item-content__description' },
+            { item: '.summary-item', name: '.summary-title', description: '.summary-excerpt' },
+            { item: '.ProductList-item', name: '.ProductList-title', description: '.ProductList-excerpt' }
+        ],
+        hours: ['.sqs-block-html .sqs-block-content', '.sqs-block-markdown .sqs-block-content', '.fe-block .sqs-html-content'],
+        images: ['.gallery-grid-item img', '.gallery-masonry-item img', '.sqs-gallery img', '.sqs-block-image img', '.section-background img', '.banner-thumbnail-wrapper img']
+    },
+    brandingPatterns: [/squarespace-logo/i, /static1\.squarespace\.com\/static\/ta\//],
+
+    // Images carry a ?format=300w style resize parameter; ask for a large rendition instead
+    normalizeImageUrl(url) {
+        if (!/squarespace-cdn\.com|static1\.squarespace\.com/.test(url)) return url;
+        const parsed = new URL(url);
+        parsed.search = '?format=1500w';
+        return parsed.href;
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * Toast restaurant websites (sites built with Toast's website builder, plus
+ * sites that just link out to Toast online ordering)
+ */
+
+export default {
+    name: 'toast',
+    label: 'Toast',
+    signals: {
+        generator: /toast/i,
+        hosts: [/\.toast\.site$/, /\.toasttab\.com$/],
+        assetHosts: [/toasttab\.com\/.*\.(js|css)/, /d2s742iet3d3t1\.cloudfront\.net/],
+        // An order-online link alone is weak evidence (below the detection threshold); plenty of
+        // custom sites use Toast just for ordering
+        markup: ['a[href*="toasttab.com"]']
+    },
+    selectors: {
+        logo: ['.restaurantLogo img', '.header .logo img', 'img.logo', '[data-testid="restaurant-logo"] img'],
+        nav: '.navBar, .nav-links, [data-testid="nav"]',
+        services: [],
+        hours: ['.hours', '.locationHours', '[data-testid="hours"]', '.restaurantHours'],
+        images: ['.heroImage img', '.hero img', '.gallery img', '.photoGallery img']
+    },
+    brandingPatterns: [/toast-logo/i, /powered-by-toast/i]
+};
@@ -0,0 +1,30 @@
+/**
+ * Wix (classic editor and Editor X / Studio)
+ */
+
+export default {
+    name: 'wix',
+    label: 'Wix',
+    signals: {
+        generator: /wix\.com/i,
+        hosts: [/\.wixsite\.com$/, /\.wixstudio\.io$/],
+        assetHosts: [/static\.parastorage\.com/, /static\.wixstatic\.com/],
+        markup: ['#SITE_CONTAINER', '[data-mesh-id]', 'wix-image']
+    },
+    selectors: {
+        logo: ['#SITE_HEADER img[src*="wixstatic"]', 'header img[src*="wixstatic"]', '[data-testid="logo"] img'],
+        nav: '#SITE_HEADER nav, [data-testid="linkBar"], [data-hook="menu"]',
+        services: [
+            { item: '[data-hook="service-card"], [data-hook="SERVICE_CARD"]', name: '[data-hook="service-name"], [data-hook="SERVICE_NAME"]', description: '[data-hook="service-tagline"], [data-hook="SERVICE_TAGLINE"]' },
+            { item: '[data-hook="product-item-root"]', name: '[data-hook="product-item-name"]', description: '[data-hook="product-item-price-to-pay"]' }
+        ],
+        hours: ['[data-testid="richTextElement"]', '.wixui-rich-text'],
+        images: ['[data-hook="gallery-item-image-img"]', 'wow-image img', '[data-testid="image"] img', '#SITE_PAGES img[src*="wixstatic"]']
+    },
+    brandingPatterns: [/wix-logo/i, /wixstatic\.com\/media\/[^/]*wixlogo/i],
+
+    // Media URLs end in a /v1/fill/w_147,h_98,.../name.jpg transform; the part before it is the original
+    normalizeImageUrl(url) {
+        return url.replace(/(static\.wixstatic\.com\/media\/[^/]+)\/v1\/.*$/, '$1');
+    }
+};
@@ -0,0 +1,30 @@
+/**
+ * WordPress (classic themes and block themes)
+ */
+
+export default {
+    name: 'wordpress',
+    label: 'WordPress',
+    signals: {
+        generator: /wordpress/i,
+        hosts: [/\.wordpress\.com$/],
+        assetHosts: [/\/wp-content\//, /\/wp-includes\//],
+        markup: ['link[rel="https://api.w.org/"]', '.wp-site-blocks', '[class*="wp-block-"]']
+    },
+    selectors: {
+        logo: ['.custom-logo', '.wp-block-site-logo img', '.site-logo img', '.site-branding img', '#logo img'],
+        nav: '.main-navigation, #site-navigation, .wp-block-navigation, .menu-main-menu-container, .primary-menu',
+        services: [
+            { item: '.wp-block-columns .wp-block-column', name: 'h2, h3, h4', description: 'p' },
+            { item: '.elementor-widget-icon-box, .elementor-widget-image-box', name: '.elementor-icon-box-title, .elementor-image-box-title', description: '.elementor-icon-box-description, .elementor-image-box-description' }
+        ],
+        hours: ['.opening-hours', '.business-hours', '.widget_text', '.wp-block-group', '.elementor-widget-text-editor'],
+        images: ['.wp-block-gallery img', '.gallery img', '.wp-block-cover__image-background', '.wp-block-image img', '.elementor-widget-image img', '.wp-post-image']
+    },
+    brandingPatterns: [/\/wp-includes\/images\//, /w-logo/i],
+
+    // Uploads are served resized as photo-300x200.jpg; the original is photo.jpg
+    normalizeImageUrl(url) {
+        return url.replace(/(\/wp-content\/uploads\/.+)-\d+x\d+(\.\w+)(\?.*)?$/, '$1$2');
+    }
+};
@@ -0,0 +1,61 @@
+/**
+ * Field provenance and confidence
+ *
+ * Scraped data carries a `provenance` map from field path ('businessName', 'contact.phone',
+ * 'menu', ...) to where the value came from and how much to trust it:
+ * {
+ *     confidence: 0.9,                    // 0..1
+ *     strategy: 'tel-link',               // how it was found
+ *     selector: 'a[href^="tel:"]',        // CSS selector, when there is one
+ *     pageUrl: 'https://example.com/contact',
+ *     snippet: '<a href="tel:5035550142">(503) 555-0142</a>'
+ * }
+ */
+
+// Below this the generator warns before a preview goes out; below HOLD_BACK it leaves the field out
+export const LOW_CONFIDENCE = 0.5;
+export const HOLD_BACK_CONFIDENCE = 0.3;
+
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Trimmed, single-line HTML (or text) of the element a value came from
+ */
+export function snippetOf($, elem) {
+    if (!elem) return null;
+    const html = typeof elem === 'string' ? elem : $.html(elem);
+    const text = (html || '').replace(/\s+/g, ' ').trim();
+    return text.length > SNIPPET_LENGTH ? `${text.substring(0, SNIPPET_LENGTH - 3)}...` : text || null;
+}
+
+/**
+ * Record how a field was extracted. A no-op when the caller didn't ask for provenance.
+ */
+export function recordProvenance(provenance, field, { confidence, strategy, selector = null, snippet = null, pageUrl = null }) {
+    if (!provenance) return;
+    provenance[field] = {
+        confidence: Math.round(confidence * 100) / 100,
+        strategy,
+        selector,
+        pageUrl,
+        snippet: snippet ? snippetOf(null, String(snippet)) : null
+    };
+}
+
+/**
+ * Stamp the page URL onto every entry recorded for one page
+ */
+export function withPageUrl(provenance, pageUrl) {
+    return Object.fromEntries(Object.entries(provenance || {})
+        .map(([field, entry]) => [field, { ...entry, pageUrl: entry.pageUrl || pageUrl }]));
+}
+
+/**
+ * Fields below a confidence threshold, lowest first: [{ field, confidence, strategy, pageUrl }]
+ */
+export function lowConfidenceFields(provenance, threshold = LOW_CONFIDENCE) {
+    return Object.entries(provenance || {})
+        .filter(([, entry]) => typeof entry.confidence === 'number' && entry.confidence < threshold)
+        .map(([field, entry]) => ({ field, ...entry }))
+        .sort((a, b) => a.confidence - b.confidence);
+}
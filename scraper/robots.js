@@ -0,0 +1,133 @@
+/**
+ * robots.txt: parse a site's rules for our user agent and check URLs against them (RFC 9309,
+ * plus the non-standard Crawl-delay)
+ *
+ * Parsed robots look like:
+ * {
+ *     rules: [{ allow: false, pattern: '/admin/' }, { allow: true, pattern: '/admin/menu.pdf' }],
+ *     crawlDelay: 5                                     // seconds, or null
+ * }
+ */
+
+// Product token matched against User-agent lines; groups for "*" apply when none name it
+export const ROBOTS_AGENT = 'small-business-website-generator';
+
+// Larger files are cut off here, as the RFC allows
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+/**
+ * The rules that apply to `agent`: every group naming it, or every "*" group when none does.
+ * A site without rules for us (empty file, only other bots' groups) allows everything.
+ */
+export function parseRobots(text, agent = ROBOTS_AGENT) {
+    const groups = [];
+    let group = null;
+    let inAgents = false;
+
+    for (const rawLine of String(text || '').substring(0, MAX_ROBOTS_BYTES).split(/\r?\n|\r/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+        const key = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (key === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!inAgents) {
+                group = { agents: [], rules: [], crawlDelay: null };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+            inAgents = true;
+            continue;
+        }
+        inAgents = false;
+        if (!group) continue;
+
+        if ((key === 'allow' || key === 'disallow') && value) {
+            group.rules.push({ allow: key === 'allow', pattern: value });
+        } else if (key === 'crawl-delay') {
+            const seconds = parseFloat(value);
+            if (Number.isFinite(seconds) && seconds >= 0) group.crawlDelay = seconds;
+        }
+    }
+
+    const token = agent.toLowerCase();
+    const named = groups.filter(candidate => candidate.agents.includes(token));
+    const applicable = named.length > 0 ? named : groups.filter(candidate => candidate.agents.includes('*'));
+    const delays = applicable.map(candidate => candidate.crawlDelay).filter(delay => delay !== null);
+
+    return {
+        rules: applicable.flatMap(candidate => candidate.rules),
+        crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+    };
+}
+
+function patternRegex(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Whether robots rules let us fetch `url`: the longest matching rule wins, and Allow wins a tie
+ */
+export function isAllowed(robots, url) {
+    if (!robots || robots.rules.length === 0) return true;
+
+    let target;
+    try {
+        const parsed = new URL(url);
+        target = parsed.pathname + parsed.search;
+    } catch (e) {
+        return true;
+    }
+    // Compare percent-encoded paths the same way whichever way round they were written
+    const decode = value => {
+        try {
+            return decodeURI(value);
+        } catch (e) {
+            return value;
+        }
+    };
+    target = decode(target);
+
+    let best = null;
+    for (const rule of robots.rules) {
+        if (!patternRegex(decode(rule.pattern)).test(target)) continue;
+        if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+            best = rule;
+        }
+    }
+    return best ? best.allow : true;
+}
+
+/**
+ * Fetch and parse an origin's robots.txt. A missing file (4xx) allows everything; a server error
+ * disallows everything, as the RFC asks. Network failures also allow everything, since the
+ * browser may reach a site Node's fetch can't (and a site that's really down fails to load anyway).
+ */
+export async function fetchRobots(origin, { agent = ROBOTS_AGENT, userAgent = agent, timeout = 10000 } = {}) {
+    const url = new URL('/robots.txt', origin).href;
+    let response;
+    try {
+        response = await fetch(url, {
+            headers: { 'User-Agent': userAgent },
+            redirect: 'follow',
+            signal: AbortSignal.timeout(timeout)
+        });
+    } catch (e) {
+        return { rules: [], crawlDelay: null, status: null, error: e.message };
+    }
+
+    if (response.status >= 500) {
+        return { rules: [{ allow: false, pattern: '/' }], crawlDelay: null, status: response.status };
+    }
+    if (!response.ok) {
+        return { rules: [], crawlDelay: null, status: response.status };
+    }
+    return { ...parseRobots(await response.text(), agent), status: response.status };
+}
@@ -0,0 +1,79 @@
+/**
+ * Full-page desktop and mobile screenshots of an open page, for showing a prospect their current
+ * site next to our preview
+ *
+ * Saved screenshots look like:
+ * { desktop: '/abs/path/original-desktop.jpg', mobile: '/abs/path/original-mobile.jpg' }
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+// Mobile is emulated by width only: changing isMobile or hasTouch makes Puppeteer reload the page,
+// which would fetch the site again outside the crawl service's rate limit and robots.txt check
+export const SCREENSHOT_VIEWPORTS = {
+    desktop: { width: 1366, height: 900, deviceScaleFactor: 1 },
+    mobile: { width: 390, height: 844, deviceScaleFactor: 2 }
+};
+
+// Endless pages (infinite scroll, huge menus) are cut off here, in CSS pixels
+const MAX_PAGE_HEIGHT = 8000;
+
+const JPEG_QUALITY = 80;
+
+/**
+ * Screenshot the page at each viewport, scrolled through once so lazy images load. Returns
+ * { desktop, mobile } JPEG buffers (a viewport that fails is left out) and puts the original
+ * viewport back.
+ */
+export async function captureScreenshots(page) {
+    const original = page.viewport();
+    const shots = {};
+
+    try {
+        for (const [name, viewport] of Object.entries(SCREENSHOT_VIEWPORTS)) {
+            try {
+                await page.setViewport(viewport);
+                const height = await page.evaluate(async maxHeight => {
+                    const total = () => Math.min(document.documentElement.scrollHeight, maxHeight);
+                    for (let y = 0; y < total(); y += window.innerHeight) {
+                        window.scrollTo(0, y);
+                        await new Promise(resolve => setTimeout(resolve, 100));
+                    }
+                    window.scrollTo(0, 0);
+                    return total();
+                }, MAX_PAGE_HEIGHT);
+
+                shots[name] = await page.screenshot({
+                    type: 'jpeg',
+                    quality: JPEG_QUALITY,
+                    clip: { x: 0, y: 0, width: viewport.width, height: Math.max(height, viewport.height) },
+                    captureBeyondViewport: true
+                });
+            } catch (e) {
+                // One viewport failing (a page that crashes on mobile) shouldn't lose the other
+            }
+        }
+    } finally {
+        if (original) {
+            await page.setViewport(original).catch(() => {});
+        }
+    }
+
+    return shots;
+}
+
+/**
+ * Write screenshot buffers as `<prefix>-desktop.jpg` and `<prefix>-mobile.jpg` in `dir`.
+ * Returns { desktop, mobile } with the paths written.
+ */
+export async function saveScreenshots(shots, dir, prefix) {
+    const saved = {};
+    await fs.ensureDir(dir);
+    for (const [name, buffer] of Object.entries(shots || {})) {
+        const file = path.join(dir, `${prefix}-${name}.jpg`);
+        await fs.writeFile(file, buffer);
+        saved[name] = file;
+    }
+    return saved;
+}
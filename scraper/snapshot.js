@@ -0,0 +1,171 @@
+/**
+ * Offline snapshots of a scrape: record every network response a scrape makes (HTML, CSS, JS,
+ * images, PDFs) into a directory, then replay them later with no network access so the
+ * extractors can be re-run and tuned against the exact same site.
+ *
+ * Layout:
+ *   <dir>/snapshot.json   { version, url, recordedAt, entries: [{ method, url, status, headers, resourceType, body }] }
+ *   <dir>/bodies/<hash>.<ext>
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+const SNAPSHOT_VERSION = 1;
+const MANIFEST = 'snapshot.json';
+
+// Headers that describe the wire encoding rather than the body we saved, plus session cookies
+const DROPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive', 'set-cookie'];
+
+const BODY_EXTENSIONS = {
+    document: '.html',
+    stylesheet: '.css',
+    script: '.js',
+    image: '',
+    font: '',
+    xhr: '',
+    fetch: ''
+};
+
+function entryKey(method, url) {
+    return `${method} ${url.split('#')[0]}`;
+}
+
+function bodyFileName(method, url, resourceType) {
+    const hash = crypto.createHash('sha1').update(entryKey(method, url)).digest('hex').substring(0, 16);
+    let ext = BODY_EXTENSIONS[resourceType] ?? '';
+    if (!ext) {
+        try {
+            ext = path.extname(new URL(url).pathname).substring(0, 6);
+        } catch (e) {
+            ext = '';
+        }
+    }
+    return `bodies/${hash}${ext || '.bin'}`;
+}
+
+function cleanHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers || {})
+        .filter(([name]) => !DROPPED_HEADERS.includes(name.toLowerCase())));
+}
+
+/**
+ * Read a snapshot's manifest (throws when the directory isn't a snapshot)
+ */
+export async function readSnapshot(dir) {
+    const manifestPath = path.join(dir, MANIFEST);
+    if (!await fs.pathExists(manifestPath)) {
+        throw new Error(`No snapshot found in ${dir}`);
+    }
+    return fs.readJson(manifestPath);
+}
+
+/**
+ * Start recording every response the page receives. Returns a recorder with:
+ *   add({ url, method, status, headers, body }) - record a response fetched outside the browser
+ *   save() - wait for pending bodies and write the snapshot; returns the entry count
+ */
+export async function recordSnapshot(page, dir, startUrl) {
+    const entries = new Map();
+    const pending = new Set();
+
+    // Cached responses have no body to read, so every request has to hit the network
+    await page.setCacheEnabled(false);
+
+    const store = async (entry, body) => {
+        const key = entryKey(entry.method, entry.url);
+        // Keep the first real response; later ones are usually the same file fetched again
+        if (entries.has(key) && entries.get(key).body) return;
+
+        let bodyFile = null;
+        if (body && body.length > 0) {
+            bodyFile = bodyFileName(entry.method, entry.url, entry.resourceType);
+            await fs.outputFile(path.join(dir, bodyFile), body);
+        }
+        entries.set(key, { ...entry, headers: cleanHeaders(entry.headers), body: bodyFile });
+    };
+
+    page.on('response', response => {
+        const request = response.request();
+        const url = response.url();
+        if (!/^https?:/.test(url) || request.resourceType() === 'media') return;
+
+        const status = response.status();
+        const task = (async () => {
+            let body = null;
+            // Redirects and empty responses have no body
+            if (status < 300 || status >= 400) {
+                body = await response.buffer().catch(() => null);
+            }
+            await store({
+                method: request.method(),
+                url,
+                status,
+                headers: response.headers(),
+                resourceType: request.resourceType()
+            }, body);
+        })();
+        pending.add(task);
+        task.finally(() => pending.delete(task));
+    });
+
+    return {
+        add: ({ url, method = 'GET', status = 200, headers = {}, body = null, resourceType = 'other' }) => {
+            const task = store({ method, url, status, headers, resourceType }, body);
+            pending.add(task);
+            task.finally(() => pending.delete(task));
+            return task;
+        },
+        save: async () => {
+            while (pending.size > 0) {
+                await Promise.allSettled([...pending]);
+            }
+            await fs.outputJson(path.join(dir, MANIFEST), {
+                version: SNAPSHOT_VERSION,
+                url: startUrl,
+                recordedAt: new Date().toISOString(),
+                entries: [...entries.values()]
+            }, { spaces: 2 });
+            return entries.size;
+        }
+    };
+}
+
+/**
+ * Serve every request the page makes from a recorded snapshot. Requests that weren't recorded
+ * fail as if the network were down. Returns the snapshot manifest.
+ */
+export async function replaySnapshot(page, dir) {
+    const snapshot = await readSnapshot(dir);
+    const entries = new Map(snapshot.entries.map(entry => [entryKey(entry.method, entry.url), entry]));
+
+    await page.setCacheEnabled(false);
+    await page.setRequestInterception(true);
+
+    page.on('request', async request => {
+        const url = request.url();
+        if (!/^https?:/.test(url)) {
+            request.continue();
+            return;
+        }
+
+        const entry = entries.get(entryKey(request.method(), url));
+        if (!entry) {
+            request.abort('internetdisconnected');
+            return;
+        }
+
+        try {
+            await request.respond({
+                status: entry.status,
+                headers: entry.headers,
+                body: entry.body ? await fs.readFile(path.join(dir, entry.body)) : ''
+            });
+        } catch (e) {
+            request.abort('failed');
+        }
+    });
+
+    return snapshot;
+}
@@ -0,0 +1,238 @@
+/**
+ * Social profile links: which platform a URL belongs to, its canonical profile URL and handle
+ *
+ * A social link looks like:
+ * {
+ *     id: 'instagram',                                  // platform key (also picks the icon)
+ *     platform: 'Instagram',                            // display name
+ *     url: 'https://www.instagram.com/joespizza',       // canonical profile URL
+ *     handle: '@joespizza'                              // or null when the URL has no handle (Google Maps)
+ * }
+ * Share buttons, intent links, embeds and links to single posts aren't profiles and are dropped.
+ */
+
+// First path segments that are site features rather than profile names
+const FACEBOOK_RESERVED = /^(sharer(\.php)?|share(\.php)?|dialog|plugins|tr|login(\.php)?|events|hashtag|watch|photo(\.php)?|permalink\.php|story\.php|groups|help|policies|privacy|legal|business|ads|marketplace|gaming|home\.php|l\.php)$/i;
+const INSTAGRAM_RESERVED = /^(p|reel|reels|tv|explore|accounts|stories|direct|about|developer|legal|web)$/i;
+const X_RESERVED = /^(intent|share|home|search|hashtag|i|explore|notifications|messages|settings|login|signup|tos|privacy)$/i;
+const PINTEREST_RESERVED = /^(pin|search|ideas|today|business|_|login|settings|about)$/i;
+const YOUTUBE_RESERVED = /^(watch|embed|shorts|playlist|results|feed|redirect|live|v|t|about|premium|account)$/i;
+
+function segments(parsed) {
+    return parsed.pathname.split('/').filter(Boolean).map(segment => {
+        try {
+            return decodeURIComponent(segment);
+        } catch (e) {
+            return segment;
+        }
+    });
+}
+
+function validHandle(handle) {
+    return /^[\w.\-]{1,80}$/.test(handle || '');
+}
+
+/**
+ * Platforms in match order. `hosts` are matched against the link's hostname (without "www." or
+ * "m."), and `profile(parsed)` returns { url, handle } for a profile link or null for anything else.
+ */
+const PLATFORMS = [
+    {
+        id: 'facebook',
+        name: 'Facebook',
+        hosts: /^(facebook\.com|fb\.com|fb\.me|[a-z]{2}-[a-z]{2}\.facebook\.com|web\.facebook\.com|business\.facebook\.com)$/,
+        profile(parsed) {
+            const parts = segments(parsed);
+            if (parts[0] === 'profile.php') {
+                const id = parsed.searchParams.get('id');
+                return id && /^\d+$/.test(id) ? { url: `https://www.facebook.com/profile.php?id=${id}`, handle: null } : null;
+            }
+            // facebook.com/pages/Joes-Pizza/123456 and facebook.com/pg/JoesPizza/about
+            if (parts[0] === 'pages' && parts.length >= 3) {
+                return { url: `https://www.facebook.com/pages/${parts[1]}/${parts[2]}`, handle: null };
+            }
+            const name = parts[0] === 'pg' ? parts[1] : parts[0];
+            if (!validHandle(name) || FACEBOOK_RESERVED.test(name)) return null;
+            return { url: `https://www.facebook.com/${name}`, handle: name };
+        }
+    },
+    {
+        id: 'instagram',
+        name: 'Instagram',
+        hosts: /^(instagram\.com|instagr\.am)$/,
+        profile(parsed) {
+            const name = segments(parsed)[0];
+            if (!validHandle(name) || INSTAGRAM_RESERVED.test(name)) return null;
+            return { url: `https://www.instagram.com/${name}`, handle: `@${name}` };
+        }
+    },
+    {
+        id: 'x',
+        name: 'X',
+        hosts: /^(twitter\.com|x\.com)$/,
+        profile(parsed) {
+            const name = segments(parsed)[0];
+            if (!validHandle(name) || X_RESERVED.test(name) || name.endsWith('.php')) return null;
+            return { url: `https://x.com/${name}`, handle: `@${name}` };
+        }
+    },
+    {
+        id: 'threads',
+        name: 'Threads',
+        hosts: /^threads\.(net|com)$/,
+        profile(parsed) {
+            const name = (segments(parsed)[0] || '').replace(/^@/, '');
+            if (!segments(parsed)[0]?.startsWith('@') || !validHandle(name)) return null;
+            return { url: `https://www.threads.net/@${name}`, handle: `@${name}` };
+        }
+    },
+    {
+        id: 'linkedin',
+        name: 'LinkedIn',
+        hosts: /^([a-z]{2}\.)?linkedin\.com$/,
+        profile(parsed) {
+            const [kind, name] = segments(parsed);
+            if (!['company', 'in', 'school', 'showcase'].includes(kind) || !validHandle(name)) return null;
+            return { url: `https://www.linkedin.com/${kind}/${name}`, handle: name };
+        }
+    },
+    {
+        id: 'youtube',
+        name: 'YouTube',
+        hosts: /^youtube\.com$/,
+        profile(parsed) {
+            const parts = segments(parsed);
+            if (parts[0]?.startsWith('@') && validHandle(parts[0].substring(1))) {
+                return { url: `https://www.youtube.com/${parts[0]}`, handle: parts[0] };
+            }
+            if (['channel', 'c', 'user'].includes(parts[0]) && validHandle(parts[1])) {
+                return { url: `https://www.youtube.com/${parts[0]}/${parts[1]}`, handle: parts[0] === 'channel' ? null : parts[1] };
+            }
+            if (parts.length === 1 && validHandle(parts[0]) && !YOUTUBE_RESERVED.test(parts[0])) {
+                return { url: `https://www.youtube.com/${parts[0]}`, handle: parts[0] };
+            }
+            return null;
+        }
+    },
+    {
+        id: 'tiktok',
+        name: 'TikTok',
+        hosts: /^tiktok\.com$/,
+        profile(parsed) {
+            // A video link (tiktok.com/@joespizza/video/123) still names the account
+            const first = segments(parsed)[0] || '';
+            const name = first.replace(/^@/, '');
+            if (!first.startsWith('@') || !validHandle(name)) return null;
+            return { url: `https://www.tiktok.com/@${name}`, handle: `@${name}` };
+        }
+    },
+    {
+        id: 'pinterest',
+        name: 'Pinterest',
+        hosts: /^([a-z]{2}\.)?pinterest\.(com|ca|co\.uk|com\.au|de|fr)$/,
+        profile(parsed) {
+            const name = segments(parsed)[0];
+            if (!validHandle(name) || PINTEREST_RESERVED.test(name)) return null;
+            return { url: `https://www.pinterest.com/${name}`, handle: name };
+        }
+    },
+    {
+        id: 'yelp',
+        name: 'Yelp',
+        hosts: /^yelp\.(com|ca|co\.uk|com\.au|ie)$/,
+        profile(parsed) {
+            // yelp.com/biz/joes-pizza-portland, also reached through writeareview/biz/<slug>
+            const parts = segments(parsed);
+            const index = parts.indexOf('biz');
+            const slug = index === -1 ? null : parts[index + 1];
+            if (!validHandle(slug)) return null;
+            return { url: `https://www.yelp.com/biz/${slug}`, handle: slug };
+        }
+    },
+    {
+        id: 'nextdoor',
+        name: 'Nextdoor',
+        hosts: /^nextdoor\.(com|co\.uk|ca)$/,
+        profile(parsed) {
+            const [kind, slug] = segments(parsed);
+            if (!['pages', 'page'].includes(kind) || !validHandle(slug)) return null;
+            return { url: `https://nextdoor.com/pages/${slug}/`, handle: slug };
+        }
+    },
+    {
+        id: 'googlemaps',
+        name: 'Google Maps',
+        hosts: /^(google\.[a-z.]+|maps\.google\.[a-z.]+|maps\.app\.goo\.gl|goo\.gl|g\.page)$/,
+        profile(parsed) {
+            const host = parsed.hostname.replace(/^www\./, '');
+            const parts = segments(parsed);
+            // Share links (maps.app.goo.gl/abc, g.page/joes-pizza) are already canonical
+            if (host === 'maps.app.goo.gl' || host === 'g.page' || (host === 'goo.gl' && parts[0] === 'maps')) {
+                return parts.length > 0 ? { url: `https://${host}${parsed.pathname.replace(/\/$/, '')}`, handle: null } : null;
+            }
+            if (host.startsWith('maps.google.')) {
+                const cid = parsed.searchParams.get('cid');
+                return cid ? { url: `https://maps.google.com/?cid=${cid}`, handle: null } : null;
+            }
+            // google.com/maps/place/Joe's+Pizza/@45.5,-122.6,17z/... (directions and embeds aren't profiles)
+            if (parts[0] === 'maps' && parts[1] === 'place' && parts[2]) {
+                return { url: `https://www.google.com/maps/place/${encodeURIComponent(parts[2].replace(/\+/g, ' ')).replace(/%20/g, '+')}`, handle: null };
+            }
+            const cid = parsed.searchParams.get('cid');
+            if (parts[0] === 'maps' && cid) {
+                return { url: `https://maps.google.com/?cid=${cid}`, handle: null };
+            }
+            return null;
+        }
+    },
+    {
+        id: 'tripadvisor',
+        name: 'Tripadvisor',
+        hosts: /^tripadvisor\.[a-z.]+$/,
+        profile(parsed) {
+            const page = segments(parsed)[0] || '';
+            if (!/^(Restaurant|Attraction|Hotel|AttractionProductReview|VacationRental)_Review-g\d+-d\d+/.test(page)) return null;
+            return { url: `https://www.tripadvisor.com/${page}`, handle: null };
+        }
+    }
+];
+
+/**
+ * Canonical profile for a link, or null when it isn't a profile on a known platform
+ */
+export function normalizeSocialUrl(href) {
+    if (!href || typeof href !== 'string') return null;
+    let parsed;
+    try {
+        parsed = new URL(/^(https?:)?\/\//i.test(href.trim()) ? href.trim().replace(/^\/\//, 'https://') : `https://${href.trim()}`);
+    } catch (e) {
+        return null;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+
+    const host = parsed.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+    const platform = PLATFORMS.find(candidate => candidate.hosts.test(host));
+    if (!platform) return null;
+
+    const profile = platform.profile(parsed);
+    return profile ? { id: platform.id, platform: platform.name, url: profile.url, handle: profile.handle } : null;
+}
+
+/**
+ * Map profile URLs (page links, schema.org sameAs) to social links, one per profile
+ */
+export function socialLinksFromUrls(urls) {
+    const socialLinks = [];
+    const seen = new Set();
+
+    for (const href of urls || []) {
+        const link = normalizeSocialUrl(href);
+        if (!link) continue;
+        const key = link.url.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        socialLinks.push(link);
+    }
+
+    return socialLinks;
+}
@@ -0,0 +1,442 @@
+/**
+ * schema.org structured data extraction (JSON-LD, microdata and RDFa)
+ */
+
+import { socialLinksFromUrls } from './social.js';
+import { recordProvenance } from './provenance.js';
+import { parsePhone, parseAddress, addressFromPostal, emailRole } from './contact.js';
+import { testimonialsFromReviews } from './testimonials.js';
+import { actionFromUrl, mergeActions } from './actions.js';
+
+/**
+ * schema.org types treated as the business itself, most specific first
+ */
+const BUSINESS_TYPES = [
+    'Restaurant', 'FoodEstablishment', 'BarOrPub', 'CafeOrCoffeeShop', 'Bakery', 'Brewery', 'Winery',
+    'FastFoodRestaurant', 'IceCreamShop', 'HairSalon', 'BeautySalon', 'NailSalon', 'DaySpa', 'HealthAndBeautyBusiness',
+    'Plumber', 'Electrician', 'HVACBusiness', 'RoofingContractor', 'GeneralContractor', 'HomeAndConstructionBusiness',
+    'AutoRepair', 'AutomotiveBusiness', 'Dentist', 'MedicalBusiness', 'ProfessionalService', 'Store',
+    'LocalBusiness'
+];
+
+const FALLBACK_TYPES = ['Organization', 'Corporation'];
+
+/**
+ * Parse every JSON-LD block on the page into a flat list of entities
+ */
+export function parseJsonLd($) {
+    const entities = [];
+
+    function collect(node) {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(collect);
+            return;
+        }
+        if (node['@graph']) {
+            collect(node['@graph']);
+        }
+        if (node['@type']) {
+            entities.push(node);
+        }
+    }
+
+    $('script[type="application/ld+json"]').each((i, elem) => {
+        const raw = $(elem).contents().text().trim();
+        if (!raw) return;
+        try {
+            collect(JSON.parse(raw));
+        } catch (e) {
+            // Some sites emit trailing commas or several objects back to back - try a lenient pass
+            try {
+                collect(JSON.parse(`[${raw.replace(/,\s*([}\]])/g, '$1').replace(/}\s*{/g, '},{')}]`));
+            } catch (e2) {
+                // Ignore unparseable blocks
+            }
+        }
+    });
+
+    return entities;
+}
+
+/**
+ * Read the value of an itemprop/property element
+ */
+function readPropertyValue($elem) {
+    const tag = ($elem.prop('tagName') || '').toLowerCase();
+    if ($elem.attr('content') !== undefined) return $elem.attr('content').trim();
+    if (['a', 'link', 'area'].includes(tag)) return $elem.attr('href');
+    if (['img', 'audio', 'video', 'source', 'iframe', 'embed'].includes(tag)) return $elem.attr('src');
+    if (tag === 'time' && $elem.attr('datetime')) return $elem.attr('datetime');
+    if (tag === 'meta') return $elem.attr('content');
+    return $elem.text().replace(/\s+/g, ' ').trim();
+}
+
+function addProperty(target, name, value) {
+    if (value === undefined || value === null || value === '') return;
+    if (target[name] === undefined) {
+        target[name] = value;
+    } else if (Array.isArray(target[name])) {
+        target[name].push(value);
+    } else {
+        target[name] = [target[name], value];
+    }
+}
+
+function typeName(type) {
+    return String(type || '').split(/[/#]/).pop().replace(/^schema:/, '');
+}
+
+/**
+ * Parse microdata (itemscope/itemtype/itemprop) into JSON-LD shaped entities
+ */
+export function parseMicrodata($) {
+    function parseScope(scope) {
+        const $scope = $(scope);
+        const item = { '@type': typeName(($scope.attr('itemtype') || '').split(/\s+/)[0]) };
+
+        $scope.find('[itemprop]').each((i, elem) => {
+            const $elem = $(elem);
+            // Only properties whose nearest scope is this one
+            if ($elem.parent().closest('[itemscope]')[0] !== scope) return;
+
+            const value = $elem.is('[itemscope]') ? parseScope(elem) : readPropertyValue($elem);
+            $elem.attr('itemprop').split(/\s+/).forEach(name => addProperty(item, name, value));
+        });
+
+        return item;
+    }
+
+    const entities = [];
+    $('[itemscope]').each((i, elem) => {
+        if ($(elem).attr('itemtype')) {
+            entities.push(parseScope(elem));
+        }
+    });
+    return entities;
+}
+
+/**
+ * Parse RDFa (vocab/typeof/property) into JSON-LD shaped entities
+ */
+export function parseRdfa($) {
+    function parseScope(scope) {
+        const $scope = $(scope);
+        const item = { '@type': typeName(($scope.attr('typeof') || '').split(/\s+/)[0]) };
+
+        $scope.find('[property]').each((i, elem) => {
+            const $elem = $(elem);
+            if ($elem.parent().closest('[typeof]')[0] !== scope) return;
+
+            const value = $elem.is('[typeof]') ? parseScope(elem) : readPropertyValue($elem);
+            $elem.attr('property').split(/\s+/).forEach(name => addProperty(item, typeName(name), value));
+        });
+
+        return item;
+    }
+
+    const entities = [];
+    $('[typeof]').each((i, elem) => {
+        // Skip Open Graph style meta properties; those are read elsewhere
+        if (!$(elem).is('meta')) {
+            entities.push(parseScope(elem));
+        }
+    });
+    return entities;
+}
+
+function types(entity) {
+    const type = entity['@type'];
+    return (Array.isArray(type) ? type : [type]).map(typeName);
+}
+
+function first(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * JSON-LD is often emitted through an HTML-escaping template, so decode common entities
+ */
+function decodeEntities(str) {
+    return str
+        .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function text(value) {
+    value = first(value);
+    if (value && typeof value === 'object') {
+        value = value.name || value['@value'] || value.url || value['@id'];
+    }
+    return typeof value === 'string' || typeof value === 'number' ? decodeEntities(String(value)).trim() : null;
+}
+
+function url(value) {
+    value = first(value);
+    if (value && typeof value === 'object') {
+        value = value.url || value.contentUrl || value['@id'];
+    }
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Format a PostalAddress (or plain string) as a single line
+ */
+function formatAddress(address) {
+    address = first(address);
+    if (!address) return null;
+    if (typeof address === 'string') return address.trim();
+
+    const parts = [
+        text(address.streetAddress),
+        text(address.addressLocality),
+        [text(address.addressRegion), text(address.postalCode)].filter(Boolean).join(' ')
+    ].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Pick the entity that describes the business itself
+ */
+function pickBusinessEntity(entities) {
+    for (const type of [...BUSINESS_TYPES, ...FALLBACK_TYPES]) {
+        const match = entities.find(entity => types(entity).includes(type));
+        if (match) return match;
+    }
+    // Unknown subtype that still looks like a business
+    return entities.find(entity => entity.address && (entity.telephone || entity.openingHours || entity.openingHoursSpecification)) || null;
+}
+
+/**
+ * Normalize openingHoursSpecification entries to { days: [...], opens, closes }
+ */
+function normalizeOpeningHoursSpecification(spec) {
+    return asArray(spec)
+        .filter(entry => entry && typeof entry === 'object')
+        .map(entry => ({
+            days: asArray(entry.dayOfWeek).map(day => typeName(text(day))),
+            opens: text(entry.opens),
+            closes: text(entry.closes),
+            validFrom: text(entry.validFrom),
+            validThrough: text(entry.validThrough)
+        }));
+}
+
+/**
+ * Extract schema.org LocalBusiness data from JSON-LD, microdata and RDFa
+ * Returns null when the page has no business entity.
+ */
+export function extractStructuredData($) {
+    const sources = [
+        ['json-ld', parseJsonLd($)],
+        ['microdata', parseMicrodata($)],
+        ['rdfa', parseRdfa($)]
+    ];
+
+    for (const [format, entities] of sources) {
+        const business = pickBusinessEntity(entities);
+        if (!business) continue;
+
+        const geo = first(business.geo);
+        const latitude = geo && parseFloat(text(geo.latitude));
+        const longitude = geo && parseFloat(text(geo.longitude));
+
+        return {
+            format: format,
+            type: types(business)[0],
+            name: text(business.name),
+            description: text(business.description),
+            url: url(business.url),
+            telephone: text(business.telephone),
+            email: text(business.email)?.replace(/^mailto:/i, '') || null,
+            address: formatAddress(business.address),
+            addressParts: typeof first(business.address) === 'string' ? parseAddress(first(business.address)) : addressFromPostal(first(business.address)),
+            geo: Number.isFinite(latitude) && Number.isFinite(longitude) ? { lat: latitude, lng: longitude } : null,
+            openingHours: asArray(business.openingHours).flatMap(value => String(value).split(/\s*,\s*(?=[A-Z][a-z])/)).filter(Boolean),
+            openingHoursSpecification: normalizeOpeningHoursSpecification(business.openingHoursSpecification),
+            sameAs: asArray(business.sameAs).map(url).filter(Boolean),
+            hasMenu: url(business.hasMenu || business.menu),
+            // OrderAction/ReserveAction targets, plus acceptsReservations when it's a booking URL
+            actions: [
+                ...asArray(business.potentialAction).filter(action => action && typeof action === 'object').map(action => {
+                    const target = first(action.target);
+                    return { type: types(action)[0], url: url(target && typeof target === 'object' ? target.urlTemplate || target.url : target) };
+                }),
+                { type: 'ReserveAction', url: /^https?:/i.test(text(business.acceptsReservations) || '') ? text(business.acceptsReservations) : null }
+            ].filter(action => action.url),
+            logo: url(business.logo),
+            images: asArray(business.image).map(url).filter(Boolean),
+            reviews: asArray(business.review).filter(review => review && typeof review === 'object').map(review => {
+                const reviewRating = first(review.reviewRating);
+                return {
+                    text: text(review.reviewBody) || text(review.description),
+                    author: text(review.author),
+                    rating: reviewRating ? parseFloat(text(reviewRating.ratingValue)) || null : null,
+                    bestRating: reviewRating ? parseFloat(text(reviewRating.bestRating)) || null : null
+                };
+            }).filter(review => review.text),
+            aggregateRating: (() => {
+                const aggregate = first(business.aggregateRating);
+                const value = aggregate ? parseFloat(text(aggregate.ratingValue)) : NaN;
+                return Number.isFinite(value)
+                    ? { value, count: parseInt(text(aggregate.reviewCount) || text(aggregate.ratingCount), 10) || null }
+                    : null;
+            })(),
+            priceRange: text(business.priceRange),
+            servesCuisine: asArray(business.servesCuisine).map(text).filter(Boolean)
+        };
+    }
+
+    return null;
+}
+
+// schema.org potentialAction types and the action each becomes
+const STRUCTURED_ACTION_TYPES = {
+    OrderAction: 'order',
+    ReserveAction: 'reserve',
+    ScheduleAction: 'book'
+};
+
+/**
+ * Render structured opening hours as display text (one line per rule)
+ */
+export function formatStructuredHours(structured) {
+    if (!structured) return null;
+
+    if (structured.openingHoursSpecification.length > 0) {
+        return structured.openingHoursSpecification
+            .filter(entry => entry.days.length > 0)
+            .map(entry => {
+                const times = entry.opens && entry.closes ? `${entry.opens} - ${entry.closes}` : 'Closed';
+                return `${entry.days.join(', ')}: ${times}`;
+            })
+            .join('\n') || null;
+    }
+
+    return structured.openingHours.length > 0 ? structured.openingHours.join('\n') : null;
+}
+
+function resolveUrl(value, pageUrl) {
+    if (!value) return null;
+    try {
+        return new URL(value, pageUrl).href;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Overlay structured data onto heuristically extracted fields.
+ * Structured values win wherever they are present; heuristic values remain as the fallback.
+ */
+export function applyStructuredData(data, structured, pageUrl) {
+    if (!structured) return data;
+
+    const merged = {
+        ...data,
+        contact: { ...data.contact },
+        sources: { ...data.sources },
+        provenance: { ...data.provenance }
+    };
+
+    function trust(field, snippet) {
+        recordProvenance(merged.provenance, field, {
+            confidence: 0.95,
+            strategy: `schema.org ${structured.format}`,
+            pageUrl,
+            snippet: typeof snippet === 'string' ? snippet : JSON.stringify(snippet)
+        });
+    }
+
+    function set(field, value, target = merged, key = field) {
+        if (value === null || value === undefined || value === '') return;
+        target[key] = value;
+        merged.sources[field] = pageUrl;
+        trust(field, value);
+    }
+
+    set('businessName', structured.name);
+    set('businessDescription', structured.description);
+    // The business's own phone, email and address lead the lists of everything found on the page
+    const phone = parsePhone(structured.telephone);
+    if (phone) {
+        merged.contact.phones = [{ role: 'main', ...phone }, ...(data.contact?.phones || []).filter(existing => existing.e164 !== phone.e164)];
+    }
+    if (structured.email) {
+        merged.contact.emails = [
+            { role: emailRole(structured.email), address: structured.email, source: 'schema.org' },
+            ...(data.contact?.emails || []).filter(existing => existing.address.toLowerCase() !== structured.email.toLowerCase())
+        ];
+    }
+    if (structured.address) {
+        merged.contact.addressParts = structured.addressParts || null;
+    }
+    set('contact.phone', phone ? phone.display : structured.telephone, merged.contact, 'phone');
+    set('contact.email', structured.email, merged.contact, 'email');
+    set('contact.address', structured.addressParts?.formatted || structured.address, merged.contact, 'address');
+    set('hours', formatStructuredHours(structured));
+    set('logoUrl', resolveUrl(structured.logo, pageUrl));
+    set('geo', structured.geo);
+    set('menuUrl', resolveUrl(structured.hasMenu, pageUrl));
+
+    const profileLinks = socialLinksFromUrls(structured.sameAs);
+    if (profileLinks.length > 0) {
+        const known = new Set(profileLinks.map(link => link.url));
+        merged.socialLinks = [...profileLinks, ...(data.socialLinks || []).filter(link => !known.has(link.url))];
+        merged.sources.socialLinks = pageUrl;
+        trust('socialLinks', structured.sameAs.join(' '));
+    }
+
+    // Order/reserve targets from the markup join the links found on the pages
+    const structuredActions = structured.actions || [];
+    if (structuredActions.length > 0) {
+        const markedUp = structuredActions
+            .map(action => actionFromUrl(resolveUrl(action.url, pageUrl)) || {
+                type: STRUCTURED_ACTION_TYPES[action.type],
+                provider: null,
+                label: null,
+                url: resolveUrl(action.url, pageUrl),
+                firstParty: true,
+                confidence: 0.9
+            })
+            .filter(action => action.type && action.url);
+        merged.actions = mergeActions(markedUp, data.actions || []);
+        if (markedUp.length > 0 && !(data.actions || []).length) {
+            merged.sources.actions = pageUrl;
+            trust('actions', structuredActions.map(action => action.url).join(' '));
+        }
+    }
+
+    // Reviews marked up on the page lead; other quotes on the page follow
+    const structuredReviews = testimonialsFromReviews(structured.reviews);
+    if (structuredReviews.length > 0) {
+        const known = new Set(structuredReviews.map(review => review.text));
+        merged.testimonials = [...structuredReviews, ...(data.testimonials || []).filter(item => !known.has(item.text))].slice(0, 6);
+        merged.sources.testimonials = pageUrl;
+        trust('testimonials', structuredReviews[0].text);
+    }
+
+    const structuredImages = structured.images
+        .map(image => resolveUrl(image, pageUrl))
+        .filter(Boolean)
+        .map(image => ({ url: image, alt: structured.name || 'Business image', type: 'hero' }));
+    if (structuredImages.length > 0) {
+        const known = new Set(structuredImages.map(image => image.url));
+        merged.images = [...structuredImages, ...(data.images || []).filter(image => !known.has(image.url))].slice(0, 6);
+        merged.sources.images = pageUrl;
+        trust('images', structured.images.join(' '));
+    }
+
+    merged.structuredData = { ...structured, pageUrl: pageUrl };
+    return merged;
+}
@@ -0,0 +1,226 @@
+/**
+ * Testimonial and review extraction
+ *
+ * Collects customer quotes from testimonial blocks, review widgets (Google, Yelp, Facebook
+ * embeds rendered into the page) and sections headed "What our customers say" and the like.
+ * A testimonial looks like:
+ * {
+ *     text: 'Best bagels in town. The staff remember our order every Saturday.',
+ *     author: 'Dana K.',
+ *     rating: 5,            // out of 5, or null
+ *     source: 'google'      // 'site', 'google', 'yelp', 'facebook', 'tripadvisor' or 'schema.org'
+ * }
+ */
+
+const MIN_TEXT_LENGTH = 25;
+const MAX_TEXT_LENGTH = 600;
+const MAX_TESTIMONIALS = 6;
+
+// Elements whose class or id marks a single testimonial or review (or a list of them)
+const ITEM_SELECTORS = [
+    '[itemprop="review"]',
+    '[class*="testimonial"]',
+    '[id*="testimonial"]',
+    '[class*="review"]:not([class*="preview"])'
+];
+
+const HEADING_PATTERN = /testimonial|reviews?\b|what (our|people|clients|customers|guests|patients) (say|are saying)|kind words|customer love|happy (customers|clients)|hear from our/i;
+
+const SOURCE_PATTERNS = [
+    ['google', /google\.com\/maps|g\.page|google/i],
+    ['yelp', /yelp/i],
+    ['facebook', /facebook/i],
+    ['tripadvisor', /tripadvisor/i]
+];
+
+// Sections where a signed quote is the business's own (mission statements, the owner's story)
+const OWN_WORDS_SECTION = '[class*="about"], [id*="about"], [class*="mission"], [class*="story"], [class*="team"], [class*="founder"]';
+
+const AUTHOR_SELECTORS = 'cite, [itemprop="author"], [class*="author"], [class*="name"], [class*="reviewer"], figcaption, footer';
+const RATING_SELECTORS = '[itemprop="ratingValue"], [data-rating], [aria-label*="star" i], [title*="star" i], [class*="rating"], [class*="stars"]';
+
+// A rating on its own ("4.5") or said to be one ("4.5/5", "4 out of 5", "5 stars"); a bare number
+// in other text is a review count or a date, not a rating
+const RATING_VALUE = /^(\d(?:\.\d+)?)$|(?:^|[^\d.\/])(\d(?:\.\d+)?)\s*(?:(?:\/|out of|of)\s*5(?![\d.])|stars?\b)/i;
+
+function clean(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Quotes and dashes around a quote or a signature
+function trimQuote(text) {
+    return clean(text).replace(/^["“”'‘’«»\s]+|["“”'‘’«»\s]+$/g, '');
+}
+
+function trimAuthor(text) {
+    // Keep the period on an initial ("Dana K.")
+    const author = clean(text).replace(/^[-–—~\s]+/, '').replace(/(,|(?<!\b[A-Z])\.)\s*$/, '');
+    return author.length > 1 && author.length < 60 ? author : null;
+}
+
+/**
+ * Star rating out of 5 from rating markup: itemprop/data values, "4.5 out of 5" labels,
+ * ★ characters or filled star icons; null when there's no rating, rather than a guess
+ */
+function readRating($, item) {
+    const $item = $(item);
+    let rating = null;
+
+    $item.find(RATING_SELECTORS).addBack(RATING_SELECTORS).each((i, elem) => {
+        const $elem = $(elem);
+        const label = $elem.attr('content') || $elem.attr('data-rating')
+            || $elem.attr('aria-label') || $elem.attr('title') || $elem.text();
+        const match = clean(label).match(RATING_VALUE);
+        const value = match ? parseFloat(match[1] ?? match[2]) : 0;
+        if (value > 0 && value <= 5) {
+            rating = value;
+            return false;
+        }
+        const filled = $elem.find('[class*="star"]').filter((j, star) => !/empty|outline|off|half/i.test($(star).attr('class') || '')).length;
+        if (filled > 0 && filled <= 5) {
+            rating = filled;
+            return false;
+        }
+    });
+
+    if (rating === null) {
+        const stars = ($item.text().match(/★/g) || []).length;
+        if (stars > 0 && stars <= 5) rating = stars;
+    }
+    return rating;
+}
+
+function readSource($, item) {
+    const hints = [
+        $(item).attr('class'),
+        $(item).closest('[class*="google"], [class*="yelp"], [class*="facebook"], [class*="tripadvisor"]').attr('class'),
+        ...$(item).find('a[href], img[src]').map((i, elem) => $(elem).attr('href') || $(elem).attr('src')).get()
+    ].join(' ');
+    const match = SOURCE_PATTERNS.find(([, pattern]) => pattern.test(hints));
+    return match ? match[0] : 'site';
+}
+
+/**
+ * One testimonial from an item element, or null when it doesn't hold a quote
+ */
+function readItem($, item) {
+    const $item = $(item).clone();
+    $item.find('script, style, button, svg, [class*="star"], [class*="rating"]').remove();
+
+    const authorElem = $item.find(AUTHOR_SELECTORS).filter((i, elem) => clean($(elem).text()).length > 1).last();
+    let author = authorElem.length ? trimAuthor(authorElem.text()) : null;
+    authorElem.remove();
+
+    const quoteElem = $item.find('blockquote, q, [itemprop="reviewBody"], [class*="text"], [class*="content"], [class*="body"]').first();
+    let text = quoteElem.length ? quoteElem.text() : $item.text();
+
+    // Plain "Quote text — Author" blocks
+    if (!author) {
+        const signature = clean(text).match(/^(.*?)\s+[-–—~]\s*([A-Z][\w.'’]*(?:\s+[A-Z][\w.'’]*){0,3})\s*[,.]?\s*$/);
+        if (signature) {
+            text = signature[1];
+            author = trimAuthor(signature[2]);
+        }
+    }
+
+    text = trimQuote(text);
+    if (text.length < MIN_TEXT_LENGTH || text.length > MAX_TEXT_LENGTH) return null;
+    // Navigation and buttons ("Read more reviews on Google") aren't quotes
+    if (/^(read|see|view|leave|write) (more|all|us|a)\b/i.test(text)) return null;
+
+    return { text, author, rating: readRating($, item), source: readSource($, item) };
+}
+
+// Class names for the pieces of a testimonial (its author, text, stars...) rather than the whole
+const PART_CLASS = /[-_](author|name|text|content|body|quote|rating|stars?|date|avatar|image|img|photo|meta|title|source|icon|logo|footer|header|link|btn|button|arrow|nav|dots?)s?$/i;
+
+/**
+ * Whether an element matched by class/id is only a piece of a testimonial
+ */
+function isPart($, elem) {
+    const names = `${$(elem).attr('class') || ''} ${$(elem).attr('id') || ''}`.split(/\s+/).filter(name => /testimonial|review/i.test(name));
+    return names.length > 0 && names.every(name => PART_CLASS.test(name));
+}
+
+/**
+ * The innermost matches: a testimonials section that contains testimonial items isn't an item itself
+ */
+function leafItems($, elements) {
+    const set = new Set(elements);
+    return elements.filter(elem => !$(elem).find('*').toArray().some(child => set.has(child)));
+}
+
+/**
+ * Extract testimonials and reviews from a page. Returns { testimonials, strategy, selector }
+ * where strategy says how the most trusted item was found, or null when there are none.
+ */
+export function extractTestimonials($) {
+    const found = [];
+    const seen = new Set();
+    let strategy = null;
+    let selector = null;
+
+    const add = (testimonial, how, where) => {
+        const key = testimonial.text.toLowerCase().replace(/\W+/g, '').substring(0, 80);
+        if (seen.has(key)) return;
+        seen.add(key);
+        found.push(testimonial);
+        if (!strategy) {
+            strategy = how;
+            selector = where;
+        }
+    };
+
+    // Marked-up testimonial and review items
+    for (const itemSelector of ITEM_SELECTORS) {
+        const elements = leafItems($, $(itemSelector).toArray().filter(elem => !isPart($, elem)));
+        for (const elem of elements) {
+            const testimonial = readItem($, elem);
+            if (testimonial) add(testimonial, testimonial.source === 'site' ? 'testimonial-block' : `${testimonial.source}-widget`, itemSelector);
+        }
+    }
+
+    // Quotes under a "What our customers say" heading
+    $('h1, h2, h3, h4').each((i, heading) => {
+        if (!HEADING_PATTERN.test(clean($(heading).text()))) return;
+        const section = $(heading).closest('section, [class*="section"], article').first();
+        const scope = section.length ? section : $(heading).parent();
+        let items = leafItems($, scope.find('blockquote, figure, li, [class*="item"], [class*="slide"], [class*="card"]').toArray());
+        if (items.length === 0) {
+            // Bare paragraphs only count when quoted or signed, so the section's intro line is skipped
+            items = scope.find('p').filter((j, p) => /^\s*["“]|[-–—]\s*[A-Z][\w.'’]*\s*$/.test($(p).text())).toArray();
+        }
+        for (const elem of items) {
+            const testimonial = readItem($, elem);
+            if (testimonial) add(testimonial, 'testimonial-heading', null);
+        }
+    });
+
+    // Stray blockquotes that are signed like a customer quote (not the owner's own words on the about page)
+    $('blockquote').each((i, elem) => {
+        if ($(elem).find('cite, footer').length === 0 && !/[-–—]\s*[A-Z]/.test($(elem).text())) return;
+        if ($(elem).closest(OWN_WORDS_SECTION).length > 0) return;
+        const testimonial = readItem($, elem);
+        if (testimonial && testimonial.author) add(testimonial, 'blockquote', 'blockquote');
+    });
+
+    if (found.length === 0) return null;
+    return { testimonials: found.slice(0, MAX_TESTIMONIALS), strategy, selector };
+}
+
+/**
+ * Normalize schema.org Review entities to testimonials
+ */
+export function testimonialsFromReviews(reviews) {
+    return (reviews || [])
+        .map(review => ({
+            text: trimQuote(review.text),
+            author: trimAuthor(review.author || ''),
+            rating: review.rating && review.bestRating && review.bestRating !== 5
+                ? Math.round((review.rating / review.bestRating) * 5 * 10) / 10
+                : review.rating || null,
+            source: 'schema.org'
+        }))
+        .filter(review => review.text.length >= MIN_TEXT_LENGTH && review.text.length <= MAX_TEXT_LENGTH)
+        .slice(0, MAX_TESTIMONIALS);
+}
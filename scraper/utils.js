@@ -2,60 +2,37 @@
  * Utility functions for web scraping and data extraction
  */
 
-/**
- * Extract colors from CSS stylesheets and inline styles
- */
-export function extractColors($, page) {
-    const colors = new Set();
-    
-    // Extract from inline styles
-    $('[style*="color"], [style*="background"]').each((i, elem) => {
-        const style = $(elem).attr('style') || '';
-        const colorMatches = style.match(/#[0-9A-Fa-f]{3,6}|rgb\([^)]+\)|rgba\([^)]+\)/g);
-        if (colorMatches) {
-            colorMatches.forEach(color => colors.add(color));
-        }
-    });
-
-    // Extract from stylesheets (requires page context)
-    if (page) {
-        try {
-            const stylesheets = page.querySelectorAll('style, link[rel="stylesheet"]');
-            stylesheets.forEach(sheet => {
-                if (sheet.textContent) {
-                    const cssMatches = sheet.textContent.match(/#[0-9A-Fa-f]{3,6}|rgb\([^)]+\)|rgba\([^)]+\)/g);
-                    if (cssMatches) {
-                        cssMatches.forEach(color => colors.add(color));
-                    }
-                }
-            });
-        } catch (e) {
-            console.warn('Could not extract colors from stylesheets:', e.message);
-        }
-    }
-
-    // Convert hex colors to standard format and filter common defaults
-    const colorArray = Array.from(colors)
-        .filter(color => {
-            const normalized = color.toLowerCase();
-            return !['#fff', '#ffffff', '#000', '#000000', '#transparent'].includes(normalized);
-        })
-        .slice(0, 5); // Limit to 5 colors
-
-    // Find primary and secondary colors (first two distinct colors)
-    return {
-        primaryColor: colorArray[0] || '#333333',
-        secondaryColor: colorArray[1] || '#666666',
-        accentColor: colorArray[2] || '#ff6b6b',
-        textColor: '#333333',
-        bgColor: '#ffffff'
-    };
-}
+import { looksLikeHours } from './hours.js';
+import { recordProvenance, snippetOf } from './provenance.js';
+import {
+    PHONE_PATTERN,
+    parsePhone,
+    phoneRole,
+    isCreditText,
+    primaryPhone,
+    primaryEmail,
+    parseAddress
+} from './contact.js';
+import { findEmails, findSmsNumbers } from './channels.js';
+import { socialLinksFromUrls } from './social.js';
+
+export { extractLogo, findLogoCandidates } from './logo.js';
+
+// How much each business name selector is trusted
+const NAME_CONFIDENCE = {
+    'h1': 0.6,
+    '.logo': 0.5,
+    '[class*="logo"]': 0.4,
+    'title': 0.6,
+    'meta[property="og:title"]': 0.6,
+    '[class*="brand"]': 0.4,
+    '[class*="business-name"]': 0.7
+};
 
 /**
- * Extract business name from page
+ * Extract business name from page. Pass a provenance map to record where it came from.
  */
-export function extractBusinessName($) {
+export function extractBusinessName($, provenance = null) {
     // Try multiple selectors
     const selectors = [
         'h1',
@@ -75,42 +52,137 @@ export function extractBusinessName($) {
                 // Clean up the text
                 text = text.trim().split('\n')[0].split('|')[0].split('-')[0].trim();
                 if (text.length > 3 && text.length < 100) {
+                    recordProvenance(provenance, 'businessName', {
+                        confidence: NAME_CONFIDENCE[selector],
+                        strategy: 'selector',
+                        selector,
+                        snippet: snippetOf($, element[0])
+                    });
                     return text;
                 }
             }
         }
     }
 
+    recordProvenance(provenance, 'businessName', { confidence: 0, strategy: 'default' });
     return 'Business Name';
 }
 
+// How much each address selector is trusted
+const ADDRESS_CONFIDENCE = {
+    '[class*="address"]': 0.6,
+    '[class*="location"]': 0.4,
+    '[itemprop="address"]': 0.85,
+    'address': 0.75
+};
+
+/**
+ * The text around a match, for provenance snippets
+ */
+function textAround(text, index, length) {
+    return text.substring(Math.max(0, index - 40), index + length + 40);
+}
+
+/**
+ * Text of an element with one line per paragraph, list item or <br>, so neighbouring blocks
+ * like a postal code and a phone number don't run together. Scripts and styles are skipped.
+ */
+export function blockText($, elem) {
+    const copy = $(elem).clone();
+    copy.find('script, style, noscript, template').remove();
+    copy.find('br').replaceWith('\n');
+    copy.find('p, li, div, section, footer, header, address, h1, h2, h3, h4, h5, h6, tr, dt, dd').append('\n');
+    return copy.text().split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+}
+
+// Label text before a number, cut after any earlier number so "Phone: ... Fax:" labels the fax
+function labelBefore(text, index) {
+    return text.substring(Math.max(0, index - 40), index).replace(/^[\s\S]*\d{4}/, '');
+}
+
+const PHONE_LABEL = /phone|call|tel\b|☎|📞/i;
+
+// Provenance strategy for each way an email is found
+const EMAIL_STRATEGIES = {
+    mailto: 'mailto-link',
+    cloudflare: 'cloudflare-email',
+    text: 'body-text',
+    obfuscated: 'obfuscated-text'
+};
+const ADDRESS_LINE_END = /(\b\d{5}(-\d{4})?|\b[A-Z]\d[A-Z] ?\d[A-Z]\d)\s*(,?\s*(USA|United States|Canada))?\.?$/i;
+
 /**
- * Extract contact information
+ * Extract contact information: every phone number (normalized to E.164, with a role such as
+ * main, fax or reservations), every email address (see channels.js), sms: numbers and the
+ * postal address split into parts.
+ * `phone`, `email` and `address` hold the display forms of the primary entries.
+ *
+ * Pass a provenance map to record where each field came from: a number that's also a tel: link
+ * is trusted far more than one matched in body text, and an address that parses more than one
+ * that doesn't.
  */
-export function extractContactInfo($) {
+export function extractContactInfo($, provenance = null) {
     const contact = {
         phone: null,
         email: null,
-        address: null
+        address: null,
+        phones: [],
+        emails: [],
+        sms: findSmsNumbers($),
+        addressParts: null
     };
 
-    const bodyText = $('body').text();
+    const bodyText = blockText($, $('body'));
+    const phoneEvidence = new Map();
+
+    // Phones: tel: links, then numbers in the text. Numbers credited to a web designer are skipped.
+    $('a[href^="tel:"]').each((i, elem) => {
+        const parsed = parsePhone($(elem).attr('href'));
+        if (!parsed || phoneEvidence.has(parsed.e164)) return;
+        if ($(elem).closest('[class*="credit"], [class*="powered"]').length > 0) return;
+        const parentText = $(elem).parent().text();
+        const label = `${labelBefore(parentText, parentText.indexOf($(elem).text()))} ${$(elem).attr('aria-label') || ''} ${$(elem).text().replace(/[\d\s().+-]/g, ' ')}`;
+        if (isCreditText(label)) return;
+        contact.phones.push({ role: phoneRole(label), ...parsed });
+        phoneEvidence.set(parsed.e164, { confidence: 0.9, strategy: 'tel-link', selector: 'a[href^="tel:"]', snippet: snippetOf($, elem) });
+    });
+
+    for (const match of bodyText.matchAll(PHONE_PATTERN)) {
+        const parsed = parsePhone(match[0]);
+        if (!parsed || phoneEvidence.has(parsed.e164)) continue;
+        const label = labelBefore(bodyText, match.index);
+        if (isCreditText(label)) continue;
+        const role = phoneRole(label);
+        contact.phones.push({ role, ...parsed });
+        const labeled = PHONE_LABEL.test(label) || role !== 'main';
+        phoneEvidence.set(parsed.e164, {
+            confidence: labeled ? 0.7 : 0.4,
+            strategy: labeled ? 'labeled-text' : 'body-text',
+            snippet: textAround(bodyText, match.index, match[0].length)
+        });
+    }
+
+    const phone = primaryPhone(contact.phones);
+    if (phone) {
+        contact.phone = phone.display;
+        recordProvenance(provenance, 'contact.phone', phoneEvidence.get(phone.e164));
+    }
 
-    // Extract phone (common patterns)
-    const phoneRegex = /(\+?1[-.\s]?)?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})/;
-    const phoneMatch = bodyText.match(phoneRegex);
-    if (phoneMatch) {
-        contact.phone = phoneMatch[0];
+    // Emails: mailto: links, Cloudflare-protected and obfuscated addresses, then plain text
+    const emailEvidence = new Map();
+    for (const { role, address, source, ...evidence } of findEmails($, bodyText)) {
+        contact.emails.push({ role, address, source });
+        emailEvidence.set(address.toLowerCase(), { ...evidence, strategy: EMAIL_STRATEGIES[source] });
     }
 
-    // Extract email
-    const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
-    const emailMatch = bodyText.match(emailRegex);
-    if (emailMatch) {
-        contact.email = emailMatch[0];
+    const email = primaryEmail(contact.emails);
+    if (email) {
+        contact.email = email.address;
+        recordProvenance(provenance, 'contact.email', emailEvidence.get(email.address.toLowerCase()));
     }
 
-    // Extract address (look for common address patterns)
+    // Address: an address-like element that parses, else a line in the text that ends in a
+    // postal code, else the raw text of the first address-like element
     const addressSelectors = [
         '[class*="address"]',
         '[class*="location"]',
@@ -118,134 +190,84 @@ export function extractContactInfo($) {
         'address'
     ];
 
+    let unparsed = null;
     for (const selector of addressSelectors) {
-        const element = $(selector).first();
-        if (element.length) {
-            let addr = element.text().trim();
-            if (addr.length > 10 && addr.length < 200) {
-                contact.address = addr;
-                break;
+        $(selector).slice(0, 10).each((i, elem) => {
+            const text = blockText($, elem);
+            if (text.length <= 10 || text.length >= 200) return;
+            const parts = parseAddress(text);
+            if (parts) {
+                contact.addressParts = parts;
+                recordProvenance(provenance, 'contact.address', {
+                    confidence: ADDRESS_CONFIDENCE[selector],
+                    strategy: 'selector',
+                    selector,
+                    snippet: snippetOf($, elem)
+                });
+                return false;
             }
-        }
+            if (!unparsed) unparsed = { text, selector, elem };
+        });
+        if (contact.addressParts) break;
     }
 
-    return contact;
-}
-
-/**
- * Extract social media links
- */
-export function extractSocialLinks($) {
-    const socialLinks = [];
-    const platforms = {
-        'facebook.com': 'Facebook',
-        'twitter.com': 'Twitter',
-        'instagram.com': 'Instagram',
-        'linkedin.com': 'LinkedIn',
-        'youtube.com': 'YouTube',
-        'tiktok.com': 'TikTok'
-    };
-
-    $('a[href]').each((i, elem) => {
-        const href = $(elem).attr('href');
-        if (href) {
-            for (const [domain, platform] of Object.entries(platforms)) {
-                if (href.includes(domain)) {
-                    socialLinks.push({
-                        platform: platform,
-                        url: href.startsWith('http') ? href : `https://${href}`
-                    });
+    if (!contact.addressParts) {
+        const lines = bodyText.split('\n');
+        for (let i = 0; i < lines.length && !contact.addressParts; i++) {
+            if (!ADDRESS_LINE_END.test(lines[i]) || lines[i].length > 200) continue;
+            const candidates = i > 0 ? [lines[i], `${lines[i - 1]}\n${lines[i]}`] : [lines[i]];
+            for (const candidate of candidates) {
+                const parts = parseAddress(candidate);
+                if (parts) {
+                    contact.addressParts = parts;
+                    recordProvenance(provenance, 'contact.address', { confidence: 0.6, strategy: 'address-pattern', snippet: candidate });
                     break;
                 }
             }
         }
-    });
+    }
 
-    return socialLinks;
+    if (contact.addressParts) {
+        contact.address = contact.addressParts.formatted;
+    } else if (unparsed) {
+        contact.address = unparsed.text.replace(/\n/g, ', ');
+        recordProvenance(provenance, 'contact.address', {
+            confidence: Math.min(ADDRESS_CONFIDENCE[unparsed.selector], 0.4),
+            strategy: 'selector-unparsed',
+            selector: unparsed.selector,
+            snippet: snippetOf($, unparsed.elem)
+        });
+    }
+
+    return contact;
 }
 
 /**
- * Extract logo image URL (excludes hosting platform logos)
+ * Extract social media profile links (canonical and deduplicated; share buttons are skipped)
  */
-export function extractLogo($, baseUrl) {
-    // Blacklist of hosting platform domains/logos to exclude
-    const platformBlacklist = [
-        'toast', 'squarespace', 'wix', 'shopify', 'wordpress.com',
-        'cloudfront', 'cdn', 'logo-filled', 'icon-filled'
-    ];
-
-    const logoSelectors = [
-        'img[class*="logo"]:not([src*="toast"]):not([src*="squarespace"]):not([src*="wix"])',
-        '.logo img',
-        '[class*="brand"] img',
-        'header img',
-        '.header img',
-        'img[alt*="logo"]:not([alt*="Toast"]):not([alt*="Squarespace"])',
-        'img[alt*="Logo"]:not([alt*="Toast"])',
-        '[data-logo] img',
-        '[data-brand] img'
-    ];
-
-    for (const selector of logoSelectors) {
-        const img = $(selector).first();
-        if (img.length) {
-            let src = img.attr('src') || img.attr('data-src');
-            if (src) {
-                // Skip if it's a platform logo
-                const srcLower = src.toLowerCase();
-                if (platformBlacklist.some(platform => srcLower.includes(platform))) {
-                    continue; // Skip this one, try next
-                }
-
-                // Handle relative URLs
-                if (src.startsWith('//')) {
-                    src = 'https:' + src;
-                } else if (src.startsWith('/')) {
-                    const url = new URL(baseUrl);
-                    src = url.origin + src;
-                } else if (!src.startsWith('http')) {
-                    const url = new URL(baseUrl);
-                    src = url.origin + '/' + src;
-                }
-                
-                // Final check - skip if still contains platform indicators
-                const finalSrcLower = src.toLowerCase();
-                if (!platformBlacklist.some(platform => finalSrcLower.includes(platform))) {
-                    return src;
-                }
-            }
-        }
-    }
+export function extractSocialLinks($, provenance = null) {
+    const hrefs = [];
 
-    // Fallback: look for images in header/nav that aren't platform logos
-    $('header img, nav img, .navbar img').each((i, elem) => {
-        const src = $(elem).attr('src') || $(elem).attr('data-src');
-        if (src) {
-            const srcLower = src.toLowerCase();
-            if (!platformBlacklist.some(platform => srcLower.includes(platform))) {
-                // Handle relative URLs
-                let fullSrc = src;
-                if (src.startsWith('//')) {
-                    fullSrc = 'https:' + src;
-                } else if (src.startsWith('/')) {
-                    const url = new URL(baseUrl);
-                    fullSrc = url.origin + src;
-                } else if (!src.startsWith('http')) {
-                    const url = new URL(baseUrl);
-                    fullSrc = url.origin + '/' + src;
-                }
-                return fullSrc;
-            }
-        }
+    $('a[href]').each((i, elem) => {
+        hrefs.push($(elem).attr('href'));
     });
 
-    return null;
+    const socialLinks = socialLinksFromUrls(hrefs);
+    if (socialLinks.length > 0) {
+        recordProvenance(provenance, 'socialLinks', {
+            confidence: 0.8,
+            strategy: 'profile-links',
+            selector: 'a[href]',
+            snippet: socialLinks.map(link => link.url).join(' ')
+        });
+    }
+    return socialLinks;
 }
 
 /**
  * Extract services or products
  */
-export function extractServices($) {
+export function extractServices($, provenance = null) {
     const services = [];
     
     // Look for common service/product section selectors
@@ -272,7 +294,15 @@ export function extractServices($) {
                 }
             });
             
-            if (services.length > 0) break;
+            if (services.length > 0) {
+                recordProvenance(provenance, 'services', {
+                    confidence: selector.includes('menu') ? 0.4 : 0.5,
+                    strategy: 'section-headings',
+                    selector,
+                    snippet: snippetOf($, elements[0])
+                });
+                break;
+            }
         }
     }
 
@@ -280,21 +310,36 @@ export function extractServices($) {
 }
 
 /**
- * Extract business hours
+ * Extract business hours (raw text; see hours.js for the structured schedule)
  */
-export function extractHours($) {
+export function extractHours($, provenance = null) {
     const hoursSelectors = [
         '[class*="hour"]',
-        '[class*="time"]',
         '[id*="hour"]',
+        '[class*="time"]',
         'time'
     ];
 
+    // Prefer a block that actually reads like hours (day names plus times or "closed")
+    for (const selector of hoursSelectors) {
+        let found = null;
+        $(selector).slice(0, 20).each((i, elem) => {
+            const hours = $(elem).text().trim();
+            if (hours.length > 5 && hours.length < 400 && looksLikeHours(hours)) {
+                found = hours;
+                recordProvenance(provenance, 'hours', { confidence: 0.75, strategy: 'hours-block', selector, snippet: snippetOf($, elem) });
+                return false;
+            }
+        });
+        if (found) return found;
+    }
+
     for (const selector of hoursSelectors) {
         const element = $(selector).first();
         if (element.length) {
             const hours = element.text().trim();
             if (hours.length > 5 && hours.length < 200) {
+                recordProvenance(provenance, 'hours', { confidence: 0.3, strategy: 'selector', selector, snippet: snippetOf($, element[0]) });
                 return hours;
             }
         }
@@ -306,7 +351,7 @@ export function extractHours($) {
 /**
  * Extract images from website (hero images, food photos, etc.)
  */
-export function extractImages($, baseUrl) {
+export function extractImages($, baseUrl, provenance = null) {
     const images = [];
     
     // Look for hero images, banner images, food photos
@@ -354,13 +399,29 @@ export function extractImages($, baseUrl) {
         }
     });
     
+    if (images.length > 0) {
+        recordProvenance(provenance, 'images', {
+            confidence: 0.6,
+            strategy: 'image-selectors',
+            snippet: images.map(image => image.url).join(' ')
+        });
+    }
     return images.slice(0, 6);
 }
 
+// How much each about-text selector is trusted
+const ABOUT_CONFIDENCE = {
+    '[class*="about"] p': 0.75,
+    '[id*="about"] p': 0.75,
+    '.description': 0.5,
+    '[class*="description"]': 0.5,
+    'section p': 0.3
+};
+
 /**
  * Extract about text
  */
-export function extractAboutText($) {
+export function extractAboutText($, provenance = null) {
     const aboutSelectors = [
         '[class*="about"] p',
         '[id*="about"] p',
@@ -374,6 +435,12 @@ export function extractAboutText($) {
         if (element.length) {
             const text = element.text().trim();
             if (text.length > 50 && text.length < 500) {
+                recordProvenance(provenance, 'aboutText', {
+                    confidence: ABOUT_CONFIDENCE[selector],
+                    strategy: 'selector',
+                    selector,
+                    snippet: snippetOf($, element[0])
+                });
                 return text;
             }
         }
@@ -40,6 +40,9 @@ async function buildSitesPage() {
                 url: `/site/${folder}`,
                 previewUrl: `/site/${folder}/assets/logo.png`, // Will be fixed to use correct extension
                 hasLogo: customer.generated?.hasLogo || false,
+                // Before/after screenshots (paths in customer.json are relative to the site folder)
+                previewScreenshot: customer.screenshots?.preview?.desktop ? `/site/${folder}/${customer.screenshots.preview.desktop}` : null,
+                originalScreenshot: customer.screenshots?.original?.desktop ? `/site/${folder}/${customer.screenshots.original.desktop}` : null,
                 generatedDate: customer.generated?.date || new Date().toISOString(),
                 phone: customer.contact?.phone,
                 address: customer.contact?.address
@@ -74,7 +77,9 @@ async function buildSitesPage() {
                 <span class="status-badge status-${site.status}">${site.status}</span>
             </div>
             <div class="site-preview">
-                ${site.hasLogo ? `<img src="${site.previewUrl}" alt="${site.name}" onerror="this.parentElement.innerHTML='Preview';">` : 'Preview'}
+                ${site.previewScreenshot ? `<img src="${site.previewScreenshot}" alt="${site.name} preview" class="site-screenshot" loading="lazy">`
+                    : site.hasLogo ? `<img src="${site.previewUrl}" alt="${site.name}" onerror="this.parentElement.innerHTML='Preview';">` : 'Preview'}
+                ${site.originalScreenshot ? `<figure class="site-before"><img src="${site.originalScreenshot}" alt="${site.name} current site" loading="lazy"><figcaption>Before</figcaption></figure>` : ''}
             </div>
             <div class="site-info">
                 ${site.phone ? `<div class="site-info-item">📞 ${site.phone}</div>` : ''}
@@ -254,6 +259,38 @@ async function buildSitesPage() {
             object-fit: cover;
         }
         
+        .site-preview img.site-screenshot {
+            object-position: top;
+        }
+        
+        .site-before {
+            position: absolute;
+            right: 0.5rem;
+            bottom: 0.5rem;
+            width: 38%;
+            height: 45%;
+            border: 2px solid white;
+            border-radius: 6px;
+            overflow: hidden;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+            background: white;
+        }
+        
+        .site-before img {
+            object-position: top;
+        }
+        
+        .site-before figcaption {
+            position: absolute;
+            left: 0;
+            bottom: 0;
+            padding: 0.1rem 0.4rem;
+            background: rgba(0,0,0,0.6);
+            color: white;
+            font-size: 0.7rem;
+            border-top-right-radius: 4px;
+        }
+        
         .site-info {
             font-size: 0.9rem;
             color: #666;
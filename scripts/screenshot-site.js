@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Screenshot a generated site (desktop and mobile, full page) as served by the local dev server,
+ * into the customer's data folder next to the screenshots of their current site
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import chalk from 'chalk';
+import { createDevServer } from '../server.js';
+import { createCrawlService } from '../scraper/crawl-service.js';
+import { captureScreenshots, saveScreenshots } from '../scraper/screenshots.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Screenshot websites/sites/<slug> and record the files under `screenshots.preview` in its
+ * customer.json. Returns { desktop, mobile } paths relative to the site folder.
+ *
+ * Options:
+ *   baseUrl - a dev server that's already running (e.g. http://localhost:8080); without one the
+ *             dev server is started on a free port for the duration
+ *   crawler - a crawler service to take a page from (the pipeline's browser pool)
+ */
+async function screenshotSite(slug, options = {}) {
+    const siteDir = path.join(__dirname, '..', 'websites', 'sites', slug);
+    if (!await fs.pathExists(path.join(siteDir, 'index.html'))) {
+        throw new Error(`No generated site found for ${slug}`);
+    }
+
+    let server = null;
+    let baseUrl = options.baseUrl;
+    if (!baseUrl) {
+        server = createDevServer();
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    }
+
+    const crawler = options.crawler || createCrawlService({ log: false });
+    let page;
+    try {
+        // The site is ours and local, so no robots.txt or rate limit; nothing is blocked either
+        page = await crawler.openPage({ blockResources: false });
+        await page.goto(`${baseUrl.replace(/\/$/, '')}/site/${slug}/`, { waitUntil: 'networkidle0' });
+        const shots = await captureScreenshots(page);
+        const saved = await saveScreenshots(shots, path.join(siteDir, 'data', 'screenshots'), 'preview');
+
+        const preview = Object.fromEntries(Object.entries(saved).map(([viewport, file]) => [viewport, `data/screenshots/${path.basename(file)}`]));
+        const customerFile = path.join(siteDir, 'customer.json');
+        if (await fs.pathExists(customerFile)) {
+            const customer = await fs.readJson(customerFile);
+            customer.screenshots = { ...customer.screenshots, preview, previewDate: new Date().toISOString() };
+            await fs.writeJson(customerFile, customer, { spaces: 2 });
+        }
+
+        console.log(chalk.green(`✓ Preview screenshots saved (${Object.keys(preview).join(', ')})`));
+        return preview;
+    } finally {
+        await crawler.releasePage(page);
+        if (!options.crawler) {
+            await crawler.close();
+        }
+        if (server) {
+            await new Promise(resolve => server.close(resolve));
+        }
+    }
+}
+
+export { screenshotSite };
+
+// Run if called directly
+if (process.argv[1] && (import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href || process.argv[1].endsWith('screenshot-site.js'))) {
+    const args = process.argv.slice(2);
+    const slugs = args.filter(arg => !arg.startsWith('--'));
+    const baseUrlArg = args.find(arg => arg.startsWith('--base-url='));
+
+    if (slugs.length === 0) {
+        console.log(chalk.red('❌ Please provide a site slug'));
+        console.log(chalk.yellow('\nUsage: node scripts/screenshot-site.js <business-slug> [...more slugs] [--base-url=http://localhost:8080]\n'));
+        process.exit(1);
+    }
+
+    (async () => {
+        const crawler = createCrawlService({ log: false });
+        try {
+            for (const slug of slugs) {
+                console.log(chalk.gray(`Screenshotting ${slug}...`));
+                await screenshotSite(slug, { crawler, baseUrl: baseUrlArg?.substring('--base-url='.length) });
+            }
+            // The portfolio page shows the new screenshots
+            const { buildSitesPage } = await import('./build-index.js');
+            await buildSitesPage();
+        } finally {
+            await crawler.close();
+        }
+    })().catch(err => {
+        console.error(chalk.red('Error:'), err.message);
+        process.exit(1);
+    });
+}
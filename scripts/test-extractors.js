@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+
+/**
+ * Golden-file regression harness for the scraper extractors
+ *
+ * Runs every extractor over a corpus of saved pages and compares the output with checked-in
+ * expected JSON, reporting pass/fail per field and precision per field across the corpus.
+ *
+ * A fixture is either `<name>.html`, a recorded snapshot directory `<name>/snapshot.json`
+ * (see scraper/snapshot.js) or `<name>.txt` - plain text as read from a PDF menu, checked with the
+ * text menu parser only - with its golden next to it in `<name>.expected.json`:
+ *   { "url": "https://example.com/", "fields": { "businessName": "...", ... } }
+ * Fields missing from a golden aren't checked, so a golden can pin down just the fields it cares about.
+ *
+ * Usage:
+ *   node scripts/test-extractors.js [fixture-name...] [--dir=path] [--update]
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import * as cheerio from 'cheerio';
+import {
+    extractBusinessName,
+    extractContactInfo,
+    extractSocialLinks,
+    extractLogo,
+    findLogoCandidates,
+    extractServices,
+    extractHours,
+    extractImages,
+    extractAboutText
+} from '../scraper/utils.js';
+import { extractStructuredData } from '../scraper/structured-data.js';
+import { parseHoursText } from '../scraper/hours.js';
+import { extractMenu, parseMenuText } from '../scraper/menu.js';
+import { readSnapshot } from '../scraper/snapshot.js';
+import { detectPlatform, extractField } from '../scraper/platforms/index.js';
+import { findContactForms } from '../scraper/channels.js';
+import { extractTestimonials } from '../scraper/testimonials.js';
+import { extractActions } from '../scraper/actions.js';
+import { auditPage } from '../scraper/audit.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'extractors');
+const DEFAULT_URL = 'https://example.com/';
+
+/**
+ * Each field and how to extract it from a page. Like the analyzer, the detected platform's
+ * adapter gets the first try at the fields it covers.
+ */
+const FIELDS = {
+    platform: ($, url, adapter) => adapter?.name || null,
+    businessName: $ => extractBusinessName($),
+    phone: $ => extractContactInfo($).phone,
+    phones: $ => extractContactInfo($).phones,
+    email: $ => extractContactInfo($).email,
+    emails: $ => extractContactInfo($).emails,
+    address: $ => extractContactInfo($).address,
+    addressParts: $ => extractContactInfo($).addressParts,
+    sms: $ => extractContactInfo($).sms,
+    contactForms: ($, url) => findContactForms($, url),
+    socialLinks: $ => extractSocialLinks($),
+    logoUrl: ($, url, adapter) => extractField(adapter, 'logo', $, url, null, () => extractLogo($, url)),
+    // Inline SVGs are data: URLs; only their media type is worth comparing
+    logoCandidates: ($, url) => findLogoCandidates($, url).map(candidate => ({
+        strategy: candidate.strategy,
+        url: candidate.url.startsWith('data:') ? candidate.url.substring(0, candidate.url.indexOf(',')) : candidate.url
+    })),
+    services: ($, url, adapter) => extractField(adapter, 'services', $, url, null, () => extractServices($)),
+    hours: ($, url, adapter) => extractField(adapter, 'hours', $, url, null, () => extractHours($)),
+    hoursSchedule: ($, url, adapter) => parseHoursText(extractField(adapter, 'hours', $, url, null, () => extractHours($))),
+    images: ($, url, adapter) => extractField(adapter, 'images', $, url, null, () => extractImages($, url)),
+    aboutText: $ => extractAboutText($),
+    testimonials: $ => extractTestimonials($)?.testimonials || null,
+    actions: ($, url) => extractActions($, url),
+    // What the HTML shows; performance and broken images need the browser
+    audit: ($, url, adapter) => auditPage($, url, { platform: adapter ? { adapter } : null }),
+    menu: $ => extractMenu($),
+    structuredData: $ => extractStructuredData($)
+};
+
+/**
+ * The fields of a plain-text fixture
+ */
+const TEXT_FIELDS = {
+    menu: text => parseMenuText(text)
+};
+
+function loadHtml(html) {
+    return cheerio.default ? cheerio.default.load(html) : cheerio.load(html);
+}
+
+/**
+ * JSON with sorted keys, so key order never fails a comparison
+ */
+function canonical(value) {
+    return JSON.stringify(value, (key, nested) => {
+        if (nested && typeof nested === 'object' && !Array.isArray(nested)) {
+            return Object.fromEntries(Object.keys(nested).sort().map(name => [name, nested[name]]));
+        }
+        return nested;
+    });
+}
+
+function normalize(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Find fixtures in a directory: HTML files, text files and snapshot directories
+ */
+async function findFixtures(dir, names) {
+    const fixtures = [];
+    for (const entry of (await fs.readdir(dir)).sort()) {
+        const fullPath = path.join(dir, entry);
+        let fixture = null;
+        if (entry.endsWith('.html')) {
+            fixture = { name: entry.replace(/\.html$/, ''), htmlFile: fullPath };
+        } else if (entry.endsWith('.txt')) {
+            fixture = { name: entry.replace(/\.txt$/, ''), textFile: fullPath };
+        } else if (await fs.pathExists(path.join(fullPath, 'snapshot.json'))) {
+            fixture = { name: entry, snapshotDir: fullPath };
+        }
+        if (fixture && (names.length === 0 || names.includes(fixture.name))) {
+            fixture.goldenFile = path.join(dir, `${fixture.name}.expected.json`);
+            fixtures.push(fixture);
+        }
+    }
+    return fixtures;
+}
+
+/**
+ * Read a fixture's HTML (or text) and URL
+ */
+async function loadFixture(fixture) {
+    const golden = await fs.pathExists(fixture.goldenFile) ? await fs.readJson(fixture.goldenFile) : null;
+
+    if (fixture.snapshotDir) {
+        const snapshot = await readSnapshot(fixture.snapshotDir);
+        const documentEntry = snapshot.entries.find(entry => entry.url === snapshot.url && entry.body)
+            || snapshot.entries.find(entry => entry.resourceType === 'document' && entry.body);
+        if (!documentEntry) {
+            throw new Error(`Snapshot ${fixture.snapshotDir} has no recorded page`);
+        }
+        const html = await fs.readFile(path.join(fixture.snapshotDir, documentEntry.body), 'utf-8');
+        return { html, url: golden?.url || documentEntry.url, golden };
+    }
+
+    if (fixture.textFile) {
+        return { text: await fs.readFile(fixture.textFile, 'utf-8'), url: golden?.url || DEFAULT_URL, golden };
+    }
+
+    const html = await fs.readFile(fixture.htmlFile, 'utf-8');
+    return { html, url: golden?.url || DEFAULT_URL, golden };
+}
+
+/**
+ * How many of the extracted values are correct: list items found in the expected list, or a
+ * non-empty scalar equal to the expected one. Empty output counts as no prediction.
+ */
+function scoreField(expected, actual) {
+    if (Array.isArray(actual)) {
+        const expectedItems = new Set((Array.isArray(expected) ? expected : []).map(canonical));
+        return {
+            predicted: actual.length,
+            correct: actual.filter(item => expectedItems.has(canonical(item))).length
+        };
+    }
+    const predicted = actual === null || actual === '' ? 0 : 1;
+    return { predicted, correct: predicted && canonical(expected) === canonical(actual) ? 1 : 0 };
+}
+
+function preview(value) {
+    const text = canonical(value);
+    return text.length > 160 ? `${text.substring(0, 157)}...` : text;
+}
+
+async function run() {
+    const args = process.argv.slice(2);
+    const update = args.includes('--update');
+    const dirArg = args.find(arg => arg.startsWith('--dir='));
+    const fixtureDir = dirArg ? path.resolve(dirArg.substring('--dir='.length)) : DEFAULT_FIXTURE_DIR;
+    const names = args.filter(arg => !arg.startsWith('--'));
+
+    if (!await fs.pathExists(fixtureDir)) {
+        throw new Error(`Fixture directory not found: ${fixtureDir}`);
+    }
+
+    const fixtures = await findFixtures(fixtureDir, names);
+    if (fixtures.length === 0) {
+        console.log(chalk.yellow(`No fixtures found in ${fixtureDir}`));
+        return true;
+    }
+
+    console.log(chalk.cyan(`\nExtractor regression: ${fixtures.length} fixtures in ${path.relative(process.cwd(), fixtureDir) || '.'}\n`));
+
+    const totals = Object.fromEntries(Object.keys(FIELDS).map(field => [field, { pass: 0, checked: 0, predicted: 0, correct: 0 }]));
+    let failedFixtures = 0;
+
+    for (const fixture of fixtures) {
+        const { html, text, url, golden } = await loadFixture(fixture);
+        let fields;
+        let extractArgs;
+        if (fixture.textFile) {
+            fields = TEXT_FIELDS;
+            extractArgs = [text];
+        } else {
+            const $ = loadHtml(html);
+            fields = FIELDS;
+            extractArgs = [$, url, detectPlatform($, url)?.adapter || null];
+        }
+
+        const actual = {};
+        for (const [field, extract] of Object.entries(fields)) {
+            try {
+                actual[field] = normalize(extract(...extractArgs));
+            } catch (e) {
+                actual[field] = { error: e.message };
+            }
+        }
+
+        if (update) {
+            await fs.writeJson(fixture.goldenFile, { url, fields: actual }, { spaces: 2 });
+            console.log(chalk.blue(`  ✎ ${fixture.name}: ${golden ? 'golden updated' : 'golden created'}`));
+            continue;
+        }
+        // A fixture without a golden checks nothing, so it can't pass
+        if (!golden) {
+            failedFixtures++;
+            console.log(chalk.red(`  ✗ ${fixture.name}: no golden (create it with --update and review it)`));
+            continue;
+        }
+
+        const failures = [];
+        let checked = 0;
+        for (const field of Object.keys(FIELDS)) {
+            if (!(field in golden.fields)) continue;
+            const expected = golden.fields[field];
+            const score = scoreField(expected, actual[field]);
+            const total = totals[field];
+            const passed = canonical(expected) === canonical(actual[field]);
+
+            checked++;
+            total.checked++;
+            total.predicted += score.predicted;
+            total.correct += score.correct;
+            if (passed) {
+                total.pass++;
+            } else {
+                failures.push({ field, expected, actual: actual[field] });
+            }
+        }
+
+        if (failures.length === 0) {
+            console.log(chalk.green(`  ✓ ${fixture.name}`) + chalk.gray(` (${checked}/${checked} fields)`));
+        } else {
+            failedFixtures++;
+            console.log(chalk.red(`  ✗ ${fixture.name}`) + chalk.gray(` (${checked - failures.length}/${checked} fields)`));
+            for (const failure of failures) {
+                console.log(chalk.red(`      ${failure.field}`));
+                console.log(chalk.gray(`        expected: ${preview(failure.expected)}`));
+                console.log(chalk.gray(`        actual:   ${preview(failure.actual)}`));
+            }
+        }
+    }
+
+    if (update) {
+        console.log(chalk.blue('\nGoldens re-blessed. Review the diff before committing.\n'));
+        return true;
+    }
+
+    console.log(chalk.cyan('\nPer-field results across the corpus:\n'));
+    console.log(chalk.gray(`  ${'field'.padEnd(16)}${'pass'.padEnd(10)}precision`));
+    for (const [field, total] of Object.entries(totals)) {
+        if (total.checked === 0) continue;
+        const precision = total.predicted > 0 ? `${Math.round((total.correct / total.predicted) * 100)}%` : 'n/a';
+        const line = `  ${field.padEnd(16)}${`${total.pass}/${total.checked}`.padEnd(10)}${precision}`;
+        console.log(total.pass === total.checked ? line : chalk.red(line));
+    }
+
+    console.log(failedFixtures === 0
+        ? chalk.green(`\n✓ All ${fixtures.length} fixtures match their goldens\n`)
+        : chalk.red(`\n❌ ${failedFixtures} of ${fixtures.length} fixtures have no golden or differ from it (re-bless with --update if the change is intended)\n`));
+    return failedFixtures === 0;
+}
+
+run().then(passed => {
+    process.exit(passed ? 0 : 1);
+}).catch(err => {
+    console.error(chalk.red('\n❌ Fatal error:'), err);
+    process.exit(1);
+});
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the robots.txt parser and matcher (scraper/robots.js) against RFC 9309
+ *
+ * fetchRobots is checked against a throwaway local server, so no outside network is needed.
+ *
+ * Usage:
+ *   node scripts/test-robots.js [filter]    only the checks whose group or name contains `filter`
+ */
+
+import assert from 'assert/strict';
+import http from 'http';
+import { group, test, runTests } from './test-runner.js';
+import { ROBOTS_AGENT, parseRobots, isAllowed, fetchRobots } from '../scraper/robots.js';
+
+/**
+ * Which of `paths` the robots.txt `text` lets us fetch, as { path: allowed }
+ */
+function allowedPaths(text, paths) {
+    const robots = parseRobots(text);
+    return Object.fromEntries(paths.map(urlPath => [urlPath, isAllowed(robots, `https://example.com${urlPath}`)]));
+}
+
+/**
+ * Run `fn` with the origin of a local server answering /robots.txt with `status` and `body`
+ */
+async function withRobotsServer(status, body, fn) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        requests.push({ url: request.url, userAgent: request.headers['user-agent'] });
+        response.writeHead(status, { 'Content-Type': 'text/plain' });
+        response.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        return await fn(`http://127.0.0.1:${server.address().port}`, requests);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+group('Group matching');
+
+test('a group naming our product token wins over "*"', () => {
+    const robots = parseRobots(`User-agent: *\nDisallow: /\n\nUser-agent: ${ROBOTS_AGENT}\nDisallow: /private/\n`);
+    assert.deepEqual(robots.rules, [{ allow: false, pattern: '/private/' }]);
+});
+
+test('the product token matches case-insensitively', () => {
+    const robots = parseRobots('User-agent: *\nDisallow: /\n\nUser-agent: Small-Business-Website-Generator\nAllow: /\n');
+    assert.deepEqual(robots.rules, [{ allow: true, pattern: '/' }]);
+});
+
+test('"*" groups apply when no group names us; other bots\' groups never do', () => {
+    const robots = parseRobots('User-agent: googlebot\nDisallow: /g/\n\nUser-agent: *\nDisallow: /all/\n');
+    assert.deepEqual(robots.rules, [{ allow: false, pattern: '/all/' }]);
+    assert.deepEqual(parseRobots('User-agent: googlebot\nDisallow: /\n'), { rules: [], crawlDelay: null });
+});
+
+test('consecutive User-agent lines share one group', () => {
+    const robots = parseRobots(`User-agent: googlebot\nUser-agent: ${ROBOTS_AGENT}\nDisallow: /shared/\n\nUser-agent: *\nDisallow: /\n`);
+    assert.deepEqual(robots.rules, [{ allow: false, pattern: '/shared/' }]);
+});
+
+test('groups for the same agent are combined', () => {
+    const robots = parseRobots('User-agent: *\nDisallow: /a/\nCrawl-delay: 2\n\nUser-agent: bingbot\nDisallow: /b/\n\nUser-agent: *\nDisallow: /c/\nCrawl-delay: 5\n');
+    assert.deepEqual(robots, { rules: [{ allow: false, pattern: '/a/' }, { allow: false, pattern: '/c/' }], crawlDelay: 5 });
+});
+
+test('rules before any User-agent, comments and unknown lines are ignored', () => {
+    const robots = parseRobots('Disallow: /orphan/\n# Disallow: /commented/\nUser-agent: * # everyone\nDisallow: /tmp/ # scratch\nSitemap: https://example.com/sitemap.xml\nNonsense\nDisallow:\n');
+    assert.deepEqual(robots.rules, [{ allow: false, pattern: '/tmp/' }]);
+});
+
+test('CRLF and CR line endings', () => {
+    assert.deepEqual(parseRobots('User-agent: *\r\nDisallow: /a/\rDisallow: /b/\r\n').rules, [{ allow: false, pattern: '/a/' }, { allow: false, pattern: '/b/' }]);
+});
+
+test('an empty or missing file allows everything', () => {
+    assert.deepEqual(parseRobots(''), { rules: [], crawlDelay: null });
+    assert.deepEqual(parseRobots(null), { rules: [], crawlDelay: null });
+    assert.equal(isAllowed(parseRobots(''), 'https://example.com/anything'), true);
+    assert.equal(isAllowed(null, 'https://example.com/anything'), true);
+});
+
+test('Crawl-delay takes non-negative numbers only', () => {
+    assert.equal(parseRobots('User-agent: *\nCrawl-delay: 1.5\n').crawlDelay, 1.5);
+    assert.equal(parseRobots('User-agent: *\nCrawl-delay: -1\n').crawlDelay, null);
+    assert.equal(parseRobots('User-agent: *\nCrawl-delay: soon\n').crawlDelay, null);
+});
+
+group('Allow and Disallow precedence');
+
+test('the longest matching rule wins', () => {
+    const text = 'User-agent: *\nDisallow: /menus/\nAllow: /menus/dinner\nDisallow: /menus/dinner/draft\n';
+    assert.deepEqual(allowedPaths(text, ['/menus/lunch', '/menus/dinner.pdf', '/menus/dinner/draft-2', '/about']), {
+        '/menus/lunch': false,
+        '/menus/dinner.pdf': true,
+        '/menus/dinner/draft-2': false,
+        '/about': true
+    });
+});
+
+test('Allow wins a tie, whichever comes first', () => {
+    assert.deepEqual(allowedPaths('User-agent: *\nDisallow: /page\nAllow: /page\n', ['/page']), { '/page': true });
+    assert.deepEqual(allowedPaths('User-agent: *\nAllow: /page\nDisallow: /page\n', ['/page']), { '/page': true });
+});
+
+test('rules match from the start of the path and include the query', () => {
+    const text = 'User-agent: *\nDisallow: /search?\nDisallow: /cart\n';
+    assert.deepEqual(allowedPaths(text, ['/search?q=pizza', '/search', '/shop/cart', '/cart/checkout', '/carts']), {
+        '/search?q=pizza': false,
+        '/search': true,
+        '/shop/cart': true,
+        '/cart/checkout': false,
+        '/carts': false
+    });
+});
+
+test('"Disallow: /" blocks everything an Allow doesn\'t open up', () => {
+    assert.deepEqual(allowedPaths('User-agent: *\nDisallow: /\nAllow: /$\nAllow: /contact\n', ['/', '/contact', '/menu']), {
+        '/': true,
+        '/contact': true,
+        '/menu': false
+    });
+});
+
+test('percent-encoded and plain paths compare equal', () => {
+    assert.deepEqual(allowedPaths('User-agent: *\nDisallow: /caf%C3%A9/\nDisallow: /menú\n', ['/café/hours', '/caf%C3%A9/hours', '/men%C3%BA', '/cafe/']), {
+        '/café/hours': false,
+        '/caf%C3%A9/hours': false,
+        '/men%C3%BA': false,
+        '/cafe/': true
+    });
+});
+
+test('URLs that can\'t be parsed are allowed', () => {
+    assert.equal(isAllowed(parseRobots('User-agent: *\nDisallow: /\n'), 'not a url'), true);
+});
+
+group('Wildcards');
+
+test('"*" matches any run of characters, including none', () => {
+    const text = 'User-agent: *\nDisallow: /*/private/\nDisallow: /tmp*\n';
+    assert.deepEqual(allowedPaths(text, ['/team/private/notes', '//private/', '/private/', '/tmp', '/tmpfiles/a', '/x/tmp']), {
+        '/team/private/notes': false,
+        '//private/': false,
+        '/private/': true,
+        '/tmp': false,
+        '/tmpfiles/a': false,
+        '/x/tmp': true
+    });
+});
+
+test('"$" anchors a rule to the end of the path', () => {
+    const text = 'User-agent: *\nDisallow: /*.pdf$\nDisallow: /exact$\n';
+    assert.deepEqual(allowedPaths(text, ['/menu.pdf', '/files/menu.pdf', '/menu.pdf?download=1', '/menu.pdfx', '/exact', '/exact/more']), {
+        '/menu.pdf': false,
+        '/files/menu.pdf': false,
+        '/menu.pdf?download=1': true,
+        '/menu.pdfx': true,
+        '/exact': false,
+        '/exact/more': true
+    });
+});
+
+test('wildcard rules take part in longest-match precedence by pattern length', () => {
+    const text = 'User-agent: *\nAllow: /fish\nDisallow: /fish*.php$\n';
+    assert.deepEqual(allowedPaths(text, ['/fish', '/fish.php', '/fishheads/catfish.php', '/fish.php?id=1']), {
+        '/fish': true,
+        '/fish.php': false,
+        '/fishheads/catfish.php': false,
+        '/fish.php?id=1': true
+    });
+});
+
+test('other regex characters in a pattern are literal', () => {
+    assert.deepEqual(allowedPaths('User-agent: *\nDisallow: /a.b+(c)\n', ['/a.b+(c)', '/axbb(c)']), { '/a.b+(c)': false, '/axbb(c)': true });
+});
+
+group('Fetching robots.txt');
+
+test('a 200 response is parsed, sent with our user agent', async () => {
+    await withRobotsServer(200, 'User-agent: *\nDisallow: /admin/\nCrawl-delay: 3\n', async (origin, requests) => {
+        const robots = await fetchRobots(`${origin}/menu/dinner`, { userAgent: 'TestAgent/1.0' });
+        assert.deepEqual(robots, { rules: [{ allow: false, pattern: '/admin/' }], crawlDelay: 3, status: 200 });
+        assert.deepEqual(requests, [{ url: '/robots.txt', userAgent: 'TestAgent/1.0' }]);
+    });
+});
+
+test('a missing robots.txt (4xx) allows everything', async () => {
+    for (const status of [404, 403, 410]) {
+        await withRobotsServer(status, 'User-agent: *\nDisallow: /\n', async origin => {
+            const robots = await fetchRobots(origin);
+            assert.deepEqual(robots, { rules: [], crawlDelay: null, status });
+            assert.equal(isAllowed(robots, `${origin}/menu`), true);
+        });
+    }
+});
+
+test('a server error (5xx) disallows everything', async () => {
+    for (const status of [500, 503]) {
+        await withRobotsServer(status, '', async origin => {
+            const robots = await fetchRobots(origin);
+            assert.equal(robots.status, status);
+            assert.equal(isAllowed(robots, `${origin}/`), false);
+            assert.equal(isAllowed(robots, `${origin}/menu?x=1`), false);
+        });
+    }
+});
+
+test('an unreachable host allows everything', async () => {
+    // A port that was just freed has nothing listening on it
+    const origin = await withRobotsServer(200, '', async address => address);
+    const robots = await fetchRobots(origin, { timeout: 2000 });
+    assert.equal(robots.status, null);
+    assert.ok(robots.error);
+    assert.equal(isAllowed(robots, `${origin}/menu`), true);
+});
+
+runTests('robots.txt tests', 'robots.txt checks');
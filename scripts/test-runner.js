@@ -0,0 +1,70 @@
+/**
+ * The small test runner the unit test scripts share (scripts/test-templates.js,
+ * scripts/test-robots.js). A script adds its checks with group() and test(), then calls
+ * runTests(); a command-line argument keeps only the checks whose group or name contains it.
+ *
+ *   group('Wildcards');
+ *   test('"*" matches any run of characters', () => { assert.equal(...); });
+ *   runTests('robots.txt tests', 'robots.txt checks');
+ */
+
+import chalk from 'chalk';
+
+const groups = [];
+
+/**
+ * Start a group of checks; `test()` adds to the latest one
+ */
+export function group(title) {
+    groups.push({ title, tests: [] });
+}
+
+/**
+ * Add a check: `fn` passes unless it throws (or its promise rejects)
+ */
+export function test(name, fn) {
+    groups[groups.length - 1].tests.push({ name, fn });
+}
+
+async function run(heading, label) {
+    const filter = process.argv.slice(2).find(arg => !arg.startsWith('--'))?.toLowerCase();
+    let passed = 0;
+    let failed = 0;
+
+    console.log(chalk.cyan(`\n${heading}\n`));
+    for (const { title, tests } of groups) {
+        const selected = tests.filter(({ name }) => !filter || `${title} ${name}`.toLowerCase().includes(filter));
+        if (selected.length === 0) continue;
+
+        console.log(chalk.bold(`  ${title}`));
+        for (const { name, fn } of selected) {
+            try {
+                await fn();
+                passed++;
+                console.log(chalk.green(`    ✓ ${name}`));
+            } catch (e) {
+                failed++;
+                console.log(chalk.red(`    ✗ ${name}`));
+                console.log(chalk.gray(`      ${e.message.replace(/\n/g, '\n      ')}`));
+            }
+        }
+    }
+
+    console.log(failed === 0
+        ? chalk.green(`\n✓ All ${passed} ${label} pass\n`)
+        : chalk.red(`\n❌ ${failed} of ${passed + failed} ${label} failed\n`));
+    return failed === 0;
+}
+
+/**
+ * Run every check in order, print the results under `heading` and exit with the outcome;
+ * `label` names the checks in the summary line ("template checks")
+ */
+export function runTests(heading, label) {
+    run(heading, label).then(passed => {
+        process.exit(passed ? 0 : 1);
+    }).catch(err => {
+        console.error(chalk.red('\n❌ Fatal error:'), err);
+        process.exit(1);
+    });
+}
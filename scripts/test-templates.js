@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the template engine (generator/template-engine.js) and the theme registry
+ * (generator/themes.js, generator/templates.js)
+ *
+ * Each check renders a small template and compares the output, or the syntax error, with what
+ * the engine documents. No browser or scraped data needed.
+ *
+ * Usage:
+ *   node scripts/test-templates.js [filter]    only the checks whose group or name contains `filter`
+ */
+
+import assert from 'assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { group, test, runTests } from './test-runner.js';
+import { compileTemplate, renderTemplate, registerHelper, registerHelpers, TemplateSyntaxError } from '../generator/template-engine.js';
+import { siteHelpers } from '../generator/helpers.js';
+import { DEFAULT_THEME, listThemes, selectTheme } from '../generator/themes.js';
+import { loadTemplateSet } from '../generator/templates.js';
+
+/**
+ * Assert that compiling `template` fails with a TemplateSyntaxError whose message is `message`
+ */
+function assertSyntaxError(template, message, options = {}) {
+    assert.throws(() => compileTemplate(template, { name: 'page.html', ...options }), error => {
+        assert.ok(error instanceof TemplateSyntaxError, `expected a TemplateSyntaxError, got ${error}`);
+        assert.equal(error.message, message);
+        return true;
+    });
+}
+
+group('Syntax errors');
+
+test('an unclosed section names where it was opened', () => {
+    assertSyntaxError('<p>\n  {{#if open}}Open', 'page.html:2:3: Unclosed {{#if}}: expected {{/if}}');
+});
+
+test('an unclosed {{else if}} chain reports its first block', () => {
+    assertSyntaxError('{{#if a}}1{{else if b}}2', 'page.html:1:1: Unclosed {{#if}}: expected {{/if}}');
+});
+
+test('a section closed by the wrong tag', () => {
+    assertSyntaxError('{{#each items}}x{{/if}}', 'page.html:1:17: {{/if}} closes {{#each}} (opened at line 1, column 1)');
+});
+
+test('a closing tag with nothing open', () => {
+    assertSyntaxError('x {{/if}}', 'page.html:1:3: {{/if}} without an open block');
+});
+
+test('an unclosed tag and an unclosed comment', () => {
+    assertSyntaxError('Hi {{name', 'page.html:1:4: Unclosed tag: expected "}}"');
+    assertSyntaxError('{{{html}}', 'page.html:1:1: Unclosed tag: expected "}}}"');
+    assertSyntaxError('{{!-- note }}', 'page.html:1:1: Unclosed comment: expected "--}}"');
+});
+
+test('{{else}} outside a block, twice, or chained onto {{#each}}', () => {
+    assertSyntaxError('{{else}}', 'page.html:1:1: {{else}} outside of a block');
+    assertSyntaxError('{{#each a}}{{else}}{{else}}{{/each}}', 'page.html:1:20: Second {{else}} in {{#each}} (opened at line 1, column 1)');
+    assertSyntaxError('{{#each a}}{{else if b}}{{/each}}', 'page.html:1:12: {{else if}} can only follow {{#if}} or {{#unless}}, not {{#each}}');
+});
+
+test('unknown blocks, empty tags and bad names', () => {
+    assertSyntaxError('{{#for items}}{{/for}}', 'page.html:1:1: Unknown block "{{#for}}"; expected one of #if, #unless, #each, #with, #block, #extends');
+    assertSyntaxError('{{}}', 'page.html:1:1: Empty tag "{{}}"');
+    assertSyntaxError('{{a.}}', 'page.html:1:1: Invalid name "a." in {{a.}}');
+    assertSyntaxError('{{#if}}x{{/if}}', 'page.html:1:1: Expected a name after {{#if}}');
+});
+
+test('errors in a partial name the partial\'s file', () => {
+    assertSyntaxError('{{> card}}', 'partials/card:2:1: Unclosed {{#if}}: expected {{/if}}', { partials: { card: '<div>\n{{#if a}}' } });
+    assertSyntaxError('{{> card}}', 'page.html:1:1: Unknown partial "card"');
+    assertSyntaxError('{{> card}}', 'partials/card:1:1: The partial "card" includes itself', { partials: { card: '{{> card}}' } });
+});
+
+test('comments render nothing', () => {
+    assert.equal(renderTemplate('a{{! note }}b{{!-- has }} in it --}}c', {}), 'abc');
+});
+
+group('Scoping');
+
+test('{{#each}} item names, @index, @first, @last and ../', () => {
+    const template = '{{#each items}}{{@index}}:{{name}}/{{../name}}{{#if @first}} first{{/if}}{{#if @last}} last{{/if}};{{/each}}';
+    assert.equal(renderTemplate(template, { name: 'top', items: [{ name: 'a' }, { name: 'b' }] }), '0:a/top first;1:b/top last;');
+});
+
+test('names missing from an item come from the enclosing scopes', () => {
+    const data = { title: 'outer', siteBasePath: '/s/', items: [{}, { title: 'inner' }] };
+    assert.equal(renderTemplate('{{#each items}}{{title}} {{siteBasePath}},{{/each}}', data), 'outer /s/,inner /s/,');
+});
+
+test('@root skips to the template data', () => {
+    const data = { name: 'top', items: [{ name: 'a', children: [{ name: 'c' }] }] };
+    assert.equal(renderTemplate('{{#each items}}{{#each children}}{{name}} {{../name}} {{@root.name}}{{/each}}{{/each}}', data), 'c a top');
+});
+
+test('{{@index}} in a nested loop is the inner loop\'s', () => {
+    const data = { rows: [{ cells: ['a', 'b'] }, { cells: ['c'] }] };
+    assert.equal(renderTemplate('{{#each rows}}{{#each cells}}{{@index}}{{this}} {{/each}}|{{/each}}', data), '0a 1b |0c |');
+});
+
+test('{{#each}} over an object gives @key, and {{else}} when empty', () => {
+    assert.equal(renderTemplate('{{#each hours}}{{@key}}={{this}};{{/each}}', { hours: { mon: '9-5', tue: 'closed' } }), 'mon=9-5;tue=closed;');
+    assert.equal(renderTemplate('{{#each items}}x{{else}}none{{/each}}', { items: [] }), 'none');
+    assert.equal(renderTemplate('{{#each items}}x{{else}}none{{/each}}', {}), 'none');
+});
+
+test('{{#with}} changes {{this}} and falls back to {{else}}', () => {
+    const template = '{{#with contact}}{{this.city}}, {{businessName}}{{else}}no contact{{/with}}';
+    assert.equal(renderTemplate(template, { businessName: 'Deli', contact: { city: 'Austin' } }), 'Austin, Deli');
+    assert.equal(renderTemplate(template, { contact: null }), 'no contact');
+});
+
+test('{{#if}}, {{else if}} and {{#unless}} truthiness', () => {
+    const template = '{{#if a}}a{{else if b}}b{{else unless c}}not c{{else}}c{{/if}}';
+    assert.equal(renderTemplate(template, { a: 1 }), 'a');
+    assert.equal(renderTemplate(template, { b: 'yes' }), 'b');
+    assert.equal(renderTemplate(template, {}), 'not c');
+    assert.equal(renderTemplate(template, { c: true }), 'c');
+    // 0 is truthy; empty lists and empty strings aren't
+    assert.equal(renderTemplate('{{#if zero}}0{{/if}}{{#if list}}L{{/if}}{{#if text}}T{{/if}}', { zero: 0, list: [], text: '' }), '0');
+});
+
+test('a partial with a context and parameters', () => {
+    const partials = { card: '{{title}} ({{size}}) {{siteName}}' };
+    const data = { siteName: 'Deli', item: { title: 'Soup' } };
+    assert.equal(renderTemplate('{{> card item size="large"}}', data, { partials }), 'Soup (large) Deli');
+    assert.equal(renderTemplate('{{#with item}}{{> card}}{{/with}}', data, { partials }), 'Soup () Deli');
+});
+
+test('null and undefined values render as nothing', () => {
+    assert.equal(renderTemplate('[{{a}}][{{b.c}}][{{{d}}}]', { a: null }), '[][][]');
+});
+
+group('Whitespace');
+
+test('text around tags is kept as written', () => {
+    assert.equal(renderTemplate('{{#each items}}\n  <li>{{this}}</li>\n{{/each}}\n', { items: ['a'] }), '\n  <li>a</li>\n\n');
+});
+
+test('a partial on a line of its own is indented to match its tag', () => {
+    const partials = { item: '<li>\n  {{name}}\n</li>\n' };
+    assert.equal(renderTemplate('<ul>\n    {{> item}}\n</ul>', { name: 'x' }, { partials }), '<ul>\n    <li>\n      x\n    </li>\n</ul>');
+});
+
+test('nested standalone partials add up their indentation', () => {
+    const partials = { outer: '<div>\n  {{> inner}}\n</div>', inner: '<p>\nhi\n</p>' };
+    assert.equal(renderTemplate('  {{> outer}}', {}, { partials }), '  <div>\n    <p>\n    hi\n    </p>\n  </div>');
+});
+
+test('an inline partial is not indented', () => {
+    assert.equal(renderTemplate('a {{> item}} b', {}, { partials: { item: '<i>\n</i>' } }), 'a <i>\n</i> b');
+});
+
+test('the same partial gets each include\'s indentation', () => {
+    const partials = { line: 'x\ny' };
+    assert.equal(renderTemplate('{{> line}}\n  {{> line}}', {}, { partials }), 'x\ny\n  x\n  y');
+});
+
+test('a partial file\'s final newline is dropped', () => {
+    assert.equal(renderTemplate('[{{> line}}]', {}, { partials: { line: 'text\r\n' } }), '[text]');
+});
+
+group('Escaping');
+
+const UNSAFE_TEXT = '<b>"Tom\'s" & `co`</b>';
+
+test('text and quoted attribute values are HTML-escaped', () => {
+    const escaped = '&lt;b&gt;&quot;Tom&#39;s&quot; &amp; &#96;co&#96;&lt;/b&gt;';
+    assert.equal(renderTemplate('<p>{{v}}</p>', { v: UNSAFE_TEXT }), `<p>${escaped}</p>`);
+    assert.equal(renderTemplate('<p title="{{v}}" data-x=\'{{v}}\'>', { v: UNSAFE_TEXT }), `<p title="${escaped}" data-x='${escaped}'>`);
+    assert.equal(renderTemplate('<!-- {{v}} -->', { v: '-->' }), '<!-- --&gt; -->');
+});
+
+test('a URL attribute only takes safe schemes', () => {
+    const href = url => renderTemplate('<a href="{{url}}">', { url });
+    assert.equal(href('javascript:alert(1)'), '<a href="about:invalid">');
+    assert.equal(href(' JaVa\tScript:alert(1)'), '<a href="about:invalid">');
+    assert.equal(href('vbscript:x'), '<a href="about:invalid">');
+    assert.equal(href('https://example.com/?a=1&b=2'), '<a href="https://example.com/?a=1&amp;b=2">');
+    assert.equal(href('mailto:hi@example.com'), '<a href="mailto:hi@example.com">');
+    assert.equal(href('tel:+15125550100'), '<a href="tel:+15125550100">');
+    assert.equal(href('menu.html#lunch'), '<a href="menu.html#lunch">');
+    assert.equal(renderTemplate('<form action="{{url}}">', { url: 'javascript:x' }), '<form action="about:invalid">');
+});
+
+test('data: URLs are allowed for raster images only', () => {
+    const src = url => renderTemplate('<img src="{{url}}">', { url });
+    assert.equal(src('data:image/png;base64,AAAA'), '<img src="data:image/png;base64,AAAA">');
+    assert.equal(src('data:image/svg+xml,<svg onload=x>'), '<img src="about:invalid">');
+    assert.equal(src('data:text/html,<script>x</script>'), '<img src="about:invalid">');
+});
+
+test('a value after the start of a URL can\'t change its scheme', () => {
+    assert.equal(renderTemplate('<a href="tel:{{phone}}">', { phone: '512 555"0100' }), '<a href="tel:512 555&quot;0100">');
+    assert.equal(renderTemplate('<a href="/menu/{{page}}">', { page: 'javascript:x' }), '<a href="/menu/javascript:x">');
+});
+
+test('every srcset candidate is a checked URL', () => {
+    assert.equal(renderTemplate('<img srcset="{{set}}">', { set: 'a.jpg 1x, javascript:x 2x' }), '<img srcset="a.jpg 1x, about:invalid 2x">');
+    assert.equal(renderTemplate('<img srcset="a.jpg 1x, {{big}} 2x">', { big: 'javascript:x' }), '<img srcset="a.jpg 1x, about:invalid 2x">');
+});
+
+test('CSS only takes plain tokens, in style=, <style> and .css templates', () => {
+    assert.equal(renderTemplate('<div style="color: {{c}}">', { c: '#fff' }), '<div style="color: #fff">');
+    assert.equal(renderTemplate('<div style="color: {{c}}">', { c: 'red; background: url(x)' }), '<div style="color: ">');
+    assert.equal(renderTemplate('<style>a { color: {{c}}; }</style>', { c: 'red}body{' }), '<style>a { color: ; }</style>');
+    assert.equal(renderTemplate('a { font: {{f}}; color: {{c}}; }', { f: '16px Inter, sans-serif', c: 'x;}' }, { name: 'styles.css' }), 'a { font: 16px Inter, sans-serif; color: ; }');
+});
+
+test('inside <script> a value is written as JSON that can\'t end the element', () => {
+    assert.equal(renderTemplate('<script>const d = {{d}};</script>', { d: { a: '</script><!--', b: 1 } }),
+        '<script>const d = {"a":"\\u003c/script\\u003e\\u003c!--","b":1};</script>');
+    assert.equal(renderTemplate('<script>const s = {{s}};</script>', { s: 'a\u2028b' }), '<script>const s = "a\\u2028b";</script>');
+    // After the element closes it's HTML text again
+    assert.equal(renderTemplate('<script>x()</script><p>{{s}}</p>', { s: '<i>' }), '<script>x()</script><p>&lt;i&gt;</p>');
+});
+
+test('values where no escaping is safe are syntax errors', () => {
+    assertSyntaxError('<a {{attrs}}>', 'page.html:1:4: {{attrs}} is inside a tag but not in an attribute value; quote it as an attribute value or use {{{raw}}} output');
+    assertSyntaxError('<a href={{url}}>', 'page.html:1:9: {{url}} is in the unquoted href= attribute; put the value in quotes');
+    assertSyntaxError('<a onclick="go({{id}})">', 'page.html:1:16: {{id}} can\'t be escaped safely in the onclick event handler');
+});
+
+test('triple-stash output is written as-is in every context', () => {
+    assert.equal(renderTemplate('<p>{{{html}}}</p>', { html: '<b>x</b>' }), '<p><b>x</b></p>');
+    assert.equal(renderTemplate('<a href="{{{url}}}">', { url: 'javascript:x' }), '<a href="javascript:x">');
+    assert.equal(renderTemplate('<a {{{attrs}}}>', { attrs: 'class="x"' }), '<a class="x">');
+    assert.equal(renderTemplate('<script>const d = {{{payload}}};</script>', { payload: '{"a":1}' }), '<script>const d = {"a":1};</script>');
+    assert.equal(renderTemplate('a { color: {{{c}}}; }', { c: 'red;}' }, { name: 'styles.css' }), 'a { color: red;}; }');
+});
+
+test('a helper\'s result is escaped like any other value, unless triple-stashed', () => {
+    assert.equal(renderTemplate('<p>{{html | default "<i>none</i>"}}</p>', {}), '<p>&lt;i&gt;none&lt;/i&gt;</p>');
+    assert.equal(renderTemplate('<p>{{{html | default "<i>none</i>"}}}</p>', {}), '<p><i>none</i></p>');
+});
+
+group('Layouts and blocks');
+
+const LAYOUTS = { page: '<main>\n  {{#block main}}<p>default</p>{{/block}}\n</main>\n<footer>{{#block footer}}{{year}}{{/block}}</footer>' };
+
+test('{{#block}} overrides replace the layout\'s content, others keep it', () => {
+    const template = '{{#extends page}}\n{{#block main}}<h1>{{title}}</h1>{{/block}}\n{{/extends}}';
+    assert.equal(renderTemplate(template, { title: '<Deli>', year: 2026 }, { layouts: LAYOUTS }), '<main>\n  <h1>&lt;Deli&gt;</h1>\n</main>\n<footer>2026</footer>');
+});
+
+test('a template that extends a layout can only hold blocks', () => {
+    assertSyntaxError('{{#extends page}}<p>x</p>{{/extends}}', 'page.html:1:1: Only {{#block}}s can go inside {{#extends}}', { layouts: LAYOUTS });
+    assertSyntaxError('<p>x</p>{{#extends page}}{{/extends}}', 'page.html:1:9: A template that uses {{#extends}} can only have {{#block}}s, inside the {{#extends}}', { layouts: LAYOUTS });
+    assertSyntaxError('{{#extends page}}{{#block main}}{{/block}}{{#block main}}{{/block}}{{/extends}}', 'page.html:1:43: {{#block main}} is given twice', { layouts: LAYOUTS });
+});
+
+test('a {{#block}} in a URL attribute is a syntax error, not an unchecked URL', () => {
+    const layouts = { link: '<a href="{{#block target}}/{{/block}}">Menu</a>' };
+    assertSyntaxError('{{#extends link}}{{#block target}}{{url}}{{/block}}{{/extends}}', 'layouts/link:1:10: {{#block target}} can only go between tags, not in the href attribute', { layouts });
+});
+
+test('a {{#block}} inside <script> is a syntax error, not HTML-escaped', () => {
+    const layouts = { app: '<script>const config = {{#block config}}{}{{/block}};</script>' };
+    assertSyntaxError('{{#extends app}}{{#block config}}{{settings}}{{/block}}{{/extends}}', 'layouts/app:1:24: {{#block config}} can only go between tags, not in a script', { layouts });
+});
+
+test('partials can only go between tags too', () => {
+    const partials = { url: 'https://example.com/' };
+    assertSyntaxError('<a href="{{> url}}">', 'page.html:1:10: {{> url}} can only go between tags, not in the href attribute', { partials });
+    assertSyntaxError('<style>{{> url}}</style>', 'page.html:1:8: {{> url}} can only go between tags, not in a css', { partials });
+});
+
+group('Helpers');
+
+test('built-in helpers as calls and as pipes', () => {
+    const data = { status: 'open', count: 2, list: [1, 2], info: { a: 1 } };
+    assert.equal(renderTemplate('{{eq status "open"}} {{gt count 1}} {{lte count 1}} {{length list}} {{list | length}} {{not status}}', data), 'true true false 2 2 false');
+    assert.equal(renderTemplate('{{and status count}} {{or "" 0}} {{missing | default "none"}} {{json info}}', data), 'true true none {&quot;a&quot;:1}');
+});
+
+test('helpers work in block conditions and {{#each}}', () => {
+    assert.equal(renderTemplate('{{#if count | gt 1}}many{{else}}one{{/if}}', { count: 2 }), 'many');
+    assert.equal(renderTemplate('{{#unless eq status "open"}}closed{{/unless}}', { status: 'open' }), '');
+    assert.equal(renderTemplate('{{#each items | default fallback}}{{this}}{{/each}}', { fallback: ['x', 'y'] }), 'xy');
+});
+
+test('pipes chain left to right and pass literal arguments', () => {
+    const helpers = { upper: value => String(value).toUpperCase(), wrap: (value, before, after) => `${before}${value}${after}` };
+    assert.equal(renderTemplate('{{name | upper | wrap "[" \'"]\'}}', { name: 'ab' }, { helpers }), '[AB&quot;]');
+    assert.equal(renderTemplate('{{wrap 1.5 true null}}', {}, { helpers }), 'true1.5null');
+    assert.equal(renderTemplate('{{wrap "a \\" b" "|" "x"}}', {}, { helpers }), '|a &quot; bx');
+});
+
+test('a helper name wins over a data name', () => {
+    assert.equal(renderTemplate('{{length}}', { length: 5 }), '0');
+});
+
+test('the `helpers` option is for one compile only', () => {
+    assert.equal(renderTemplate('{{shout word}}', { word: 'hi' }, { helpers: { shout: value => `${value}!` } }), 'hi!');
+    assertSyntaxError('{{shout word}}', 'page.html:1:1: Unknown helper "shout" in {{shout word}}');
+});
+
+test('registerHelper and registerHelpers add helpers for every template', () => {
+    registerHelper('testTwice', value => `${value}${value}`);
+    registerHelpers({ testInitial: value => String(value).charAt(0) });
+    assert.equal(renderTemplate('{{word | testTwice}} {{testInitial word}}', { word: 'ab' }), 'abab a');
+});
+
+test('registerHelper refuses a bad name or a non-function', () => {
+    assert.throws(() => registerHelper('two words', () => ''), { name: 'TypeError', message: 'registerHelper needs a name and a function, got two words' });
+    assert.throws(() => registerHelper('testValue', 'text'), { name: 'TypeError', message: 'registerHelper needs a name and a function, got testValue' });
+});
+
+test('unknown helpers are syntax errors wherever they are used', () => {
+    assertSyntaxError('Hi {{greet name}}', 'page.html:1:4: Unknown helper "greet" in {{greet name}}');
+    assertSyntaxError('{{name | greet}}', 'page.html:1:1: Unknown helper "greet" in {{name | greet}}');
+    assertSyntaxError('{{{name | greet}}}', 'page.html:1:1: Unknown helper "greet" in {{{name | greet}}}');
+    assertSyntaxError('{{#if name | greet}}x{{/if}}', 'page.html:1:1: Unknown helper "greet" in {{#if}}');
+    assertSyntaxError('{{"text" 1}}', 'page.html:1:1: Unknown helper "text" in {{"text" 1}}');
+});
+
+test('malformed pipes and arguments are syntax errors', () => {
+    assertSyntaxError('{{name |}}', 'page.html:1:1: Empty pipe in {{name |}}');
+    assertSyntaxError('{{| name}}', 'page.html:1:1: Empty pipe in {{| name}}');
+    assertSyntaxError('{{about | truncate "160}}', 'page.html:1:1: Unclosed string in {{about | truncate "160}}');
+    assertSyntaxError('{{eq status open.}}', 'page.html:1:1: Invalid name "open." in {{eq status open.}}');
+});
+
+test('a helper that throws names the template, position and helper', () => {
+    const template = compileTemplate('<p>\n  {{price | money}}</p>', { name: 'menu.html', helpers: { money: value => value.toFixed(2) } });
+    assert.equal(template({ price: 3 }), '<p>\n  3.00</p>');
+    assert.throws(() => template({ price: null }), { message: /^menu\.html:2:3: helper "money" failed: Cannot read properties of null/ });
+});
+
+test('site helpers (generator/helpers.js)', () => {
+    const render = (template, data) => renderTemplate(template, data, { helpers: siteHelpers });
+    assert.equal(render('<a href="tel:{{phone | tel}}">{{phone}}</a>', { phone: '(512) 555-0100' }), '<a href="tel:+15125550100">(512) 555-0100</a>');
+    assert.equal(render('{{about | truncate 20}}', { about: 'Family owned since 1952 in Austin' }), 'Family owned since…');
+    assert.equal(render('{{reviews | pluralize "review"}}, {{price | format "currency"}}, {{day | date "ddd, MMM D"}}', { reviews: 1, price: 12.5, day: '2024-12-25' }),
+        '1 review, $12.50, Wed, Dec 25');
+});
+
+group('Themes');
+
+/**
+ * Run `fn` with a scratch themes folder holding a valid default theme, removed afterwards
+ */
+async function withThemesDir(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'themes-'));
+    try {
+        await fs.outputJson(path.join(dir, DEFAULT_THEME, 'theme.json'), { name: 'Classic' });
+        return await fn(dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+test('the repo\'s themes are valid, the default first', async () => {
+    const themes = await listThemes();
+    assert.equal(themes[0].id, DEFAULT_THEME);
+    assert.deepEqual(themes.map(theme => theme.id).sort(), ['base', 'restaurant', 'services']);
+    for (const theme of themes) {
+        assert.ok(await fs.pathExists(theme.preview), `${theme.id} has no preview`);
+    }
+});
+
+test('theme manifests are validated', async () => {
+    await withThemesDir(async dir => {
+        const where = `${path.basename(dir)}/cafe/theme.json`;
+        const rejects = async (manifest, message, id = 'cafe') => {
+            await fs.outputFile(path.join(dir, id, 'theme.json'), typeof manifest === 'string' ? manifest : JSON.stringify(manifest));
+            try {
+                await assert.rejects(listThemes(dir), error => {
+                    assert.ok(error.message.startsWith(message), `"${error.message}" should start with "${message}"`);
+                    return true;
+                });
+            } finally {
+                await fs.remove(path.join(dir, id));
+            }
+        };
+
+        await rejects('{ "name": ', `${where}: `);
+        await rejects({ name: 'Café' }, `${path.basename(dir)}/Cafe_Theme/theme.json: theme folders are named in lowercase-with-dashes`, 'Cafe_Theme');
+        await rejects({ name: ' ' }, `${where}: "name" is required`);
+        await rejects({ name: 'Café', categories: 'cafe' }, `${where}: "categories" must be a list of strings`);
+        await rejects({ name: 'Café', requires: ['businessName', 1] }, `${where}: "requires" must be a list of strings`);
+        await rejects({ name: 'Café', optional: [''] }, `${where}: "optional" must be a list of strings`);
+        await rejects({ name: 'Café', preview: 'preview.svg' }, `${where}: preview preview.svg not found`);
+
+        await fs.outputJson(path.join(dir, 'cafe', 'theme.json'), { name: 'Café', categories: ['cafe'] });
+        const [, cafe] = await listThemes(dir);
+        assert.deepEqual({ ...cafe, dir: path.basename(cafe.dir) }, {
+            id: 'cafe', dir: 'cafe', name: 'Café', description: '', categories: ['cafe'], requires: [], optional: [], preview: null
+        });
+    });
+});
+
+test('a themes folder needs the default theme', async () => {
+    await withThemesDir(async dir => {
+        await fs.remove(path.join(dir, DEFAULT_THEME));
+        await assert.rejects(listThemes(dir), { message: `The default theme has no manifest (${path.basename(dir)}/${DEFAULT_THEME}/theme.json)` });
+    });
+});
+
+test('a Places type picks the first theme made for it that has its required data', async () => {
+    const themes = await listThemes();
+    const pick = (data, options) => {
+        const { theme, reason, missing } = selectTheme(themes, data, options);
+        return { theme: theme.id, reason, missing };
+    };
+
+    assert.deepEqual(pick({ businessName: 'Rosen\'s', placeTypes: ['deli', 'sandwich_shop', 'plumber'] }),
+        { theme: 'restaurant', reason: 'Places type sandwich_shop', missing: [] });
+    assert.deepEqual(pick({ businessName: 'Ace', contact: { phone: '555-0100' }, placeTypes: ['plumber'] }),
+        { theme: 'services', reason: 'Places type plumber', missing: [] });
+    // Without a phone number the call-first theme doesn't fit
+    assert.deepEqual(pick({ businessName: 'Ace', contact: { phone: '' }, placeTypes: ['plumber'] }),
+        { theme: 'base', reason: 'default', missing: [] });
+    assert.deepEqual(pick({ businessName: 'Shop', placeTypes: ['store'] }), { theme: 'base', reason: 'default', missing: [] });
+});
+
+test('--theme and the customer record come before the Places types', async () => {
+    const themes = await listThemes();
+    const data = { businessName: 'Ace', placeTypes: ['cafe'] };
+    const pick = options => {
+        const { theme, reason, missing } = selectTheme(themes, data, options);
+        return { theme: theme.id, reason, missing };
+    };
+
+    assert.deepEqual(pick({ theme: 'services', customerTheme: 'base' }), { theme: 'services', reason: 'asked for', missing: ['contact.phone'] });
+    assert.deepEqual(pick({ customerTheme: 'base' }), { theme: 'base', reason: 'customer record', missing: [] });
+    // A saved theme that's since been removed falls through
+    assert.deepEqual(pick({ customerTheme: 'retired' }), { theme: 'restaurant', reason: 'Places type cafe', missing: [] });
+    assert.throws(() => pick({ theme: 'retired' }), { message: 'Unknown theme "retired" (themes: base, restaurant, services)' });
+});
+
+test('a theme\'s templates fall back to templates/base', async () => {
+    const [, restaurant] = await listThemes();
+    const templates = await loadTemplateSet(restaurant.dir);
+    assert.equal(templates.index.file, 'templates/restaurant/index.html');
+    assert.equal(templates.partials.hero.file, 'templates/restaurant/partials/hero.html');
+    assert.equal(templates.partials.menu.file, 'templates/base/partials/menu.html');
+    assert.equal(templates.partials['theme-styles'].file, 'templates/restaurant/partials/theme-styles.css');
+    assert.equal(templates.layouts.page.file, 'templates/base/layouts/page.html');
+    assert.equal(templates.styles.file, 'templates/base/styles.css');
+});
+
+test('a theme with only a partial renders the base page with it', async () => {
+    await withThemesDir(async dir => {
+        const themeDir = path.join(dir, 'plain');
+        await fs.outputFile(path.join(themeDir, 'partials', 'footer.html'), '<footer>Plain footer {{businessName}}</footer>\n');
+        const { index, partials, layouts, helpers } = await loadTemplateSet(themeDir);
+        assert.equal(index.file, 'templates/base/index.html');
+        assert.equal(partials.footer.file, path.join(themeDir, 'partials', 'footer.html'));
+        assert.equal(partials.header.file, 'templates/base/partials/header.html');
+
+        const html = renderTemplate(index.source, { businessName: 'Ace & Co' }, { name: index.file, partials, layouts, helpers: { ...siteHelpers, ...helpers } });
+        assert.ok(html.includes('<footer>Plain footer Ace &amp; Co</footer>'));
+    });
+});
+test('an .html and a .css partial with the same name are an error', async () => {
+    await withThemesDir(async dir => {
+        const partialsDir = path.join(dir, 'plain', 'partials');
+        await fs.outputFile(path.join(partialsDir, 'hero.html'), '<section>Hero</section>');
+        await fs.outputFile(path.join(partialsDir, 'hero.css'), '.hero { color: red; }');
+        await assert.rejects(loadTemplateSet(path.join(dir, 'plain')), { message: /partials\/hero\.(?:css|html) and .*partials\/hero\.(?:css|html) are both named "hero"; rename one$/ });
+    });
+});
+
+runTests('Template engine tests', 'template checks');
@@ -8,7 +8,7 @@
 import http from 'http';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { extname } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -52,7 +52,7 @@ function serveFile(filePath, res) {
     });
 }
 
-const server = http.createServer((req, res) => {
+function handleRequest(req, res) {
     let filePath = path.join(ROOT_DIR, req.url === '/' ? 'index.html' : req.url);
     
     // Handle /site/[slug] routing
@@ -110,24 +110,35 @@ const server = http.createServer((req, res) => {
         
         serveFile(filePath, res);
     });
-});
+}
 
-server.listen(PORT, () => {
-    console.log(`\n🚀 Local server running at http://localhost:${PORT}`);
-    console.log(`\n📁 Available routes:`);
-    console.log(`   - Homepage: http://localhost:${PORT}/`);
-    console.log(`   - Sites Portfolio: http://localhost:${PORT}/sites`);
-    console.log(`   - Client Sites: http://localhost:${PORT}/site/[business-slug]`);
-    console.log(`\n   Example: http://localhost:${PORT}/site/patton-block-grill-brew-pub\n`);
-});
+/**
+ * The dev server, not yet listening (the screenshot step runs one on a free port)
+ */
+export function createDevServer() {
+    return http.createServer(handleRequest);
+}
 
-server.on('error', (err) => {
-    if (err.code === 'EADDRINUSE') {
-        console.error(`\n❌ Port ${PORT} is already in use.`);
-        console.error(`   Try stopping the other server or use a different port.\n`);
-    } else {
-        console.error('Server error:', err);
-    }
-    process.exit(1);
-});
+// Run if called directly
+if (process.argv[1] && (import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href || process.argv[1].endsWith('server.js'))) {
+    const server = createDevServer();
 
+    server.listen(PORT, () => {
+        console.log(`\n🚀 Local server running at http://localhost:${PORT}`);
+        console.log(`\n📁 Available routes:`);
+        console.log(`   - Homepage: http://localhost:${PORT}/`);
+        console.log(`   - Sites Portfolio: http://localhost:${PORT}/sites`);
+        console.log(`   - Client Sites: http://localhost:${PORT}/site/[business-slug]`);
+        console.log(`\n   Example: http://localhost:${PORT}/site/patton-block-grill-brew-pub\n`);
+    });
+
+    server.on('error', (err) => {
+        if (err.code === 'EADDRINUSE') {
+            console.error(`\n❌ Port ${PORT} is already in use.`);
+            console.error(`   Try stopping the other server or use a different port.\n`);
+        } else {
+            console.error('Server error:', err);
+        }
+        process.exit(1);
+    });
+}